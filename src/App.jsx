@@ -1,100 +1,782 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { Canvas } from '@react-three/fiber';
 import { OrbitControls } from '@react-three/drei';
 import DataTable from './components/DataTable';
 import OlapControls from './components/OlapControls';
 import ThreeDCube from './components/ThreeDCube';
+import SchemaEditor from './components/SchemaEditor';
+import OperationPipeline from './components/OperationPipeline';
+import DatasetLibrary from './components/DatasetLibrary';
+import SavedViews from './components/SavedViews';
+import ColorLegend from './components/ColorLegend';
+import PivotTable from './components/PivotTable';
+import DataQualityReport from './components/DataQualityReport';
+import CalculatedMeasureEditor from './components/CalculatedMeasureEditor';
+import QueryConsole from './components/QueryConsole';
+import ExportMenu from './components/ExportMenu';
+import DataSourcePanel from './components/DataSourcePanel';
 import {
-  processRawData,
-  applySlice,
-  applyDice,
-  applyPivot,
   applyRollUp,
+  applyDrillDown,
+  getMeasureOptions,
+  AGGREGATIONS,
+  BASE_MEASURE,
 } from './data/dataProcessor';
+import { toCsv, getExportColumns } from './data/csvUtils';
+import {
+  DEFAULT_SCHEMA,
+  getCubeDimensions,
+  getDefaultAxisMapping,
+  isAllLevel,
+  getHierarchyLevels,
+} from './data/schema';
+import { createOperation } from './data/operationPipeline';
+import { OTHERS_MEMBER, formatMember, sortCells } from './data/ranking';
+import { DEFAULT_GLYPH_SETTINGS, getGlyphMeasures, SEGMENT_COLORS } from './data/glyphs';
+import { decodeViewState, encodeViewState } from './data/viewState';
+import { createViewExport, parseViewExport } from './data/viewExport';
+import {
+  listDatasets,
+  loadDataset,
+  saveDataset,
+  renameDataset,
+  deleteDataset,
+  getActiveDatasetId,
+  setActiveDatasetId,
+  listSavedViews,
+  saveView,
+  renameView,
+  deleteView,
+} from './data/storage';
+import { createColorScale, DEFAULT_COLOR_SETTINGS } from './data/colorScales';
+import {
+  applyTimeCalculation,
+  getTimeAxes,
+  isTimeCalculationAvailable,
+  DEFAULT_TIME_CALCULATION,
+  TIME_CALCULATIONS,
+} from './data/timeIntelligence';
+import { downloadFile } from './utils/download';
+import { createCubeEngine } from './utils/cubeEngine';
+import { createSourceSchema, getRowsFingerprint, loadSourceRows } from './data/dataSources';
+
+// How many pipeline changes can be undone.
+const MAX_HISTORY = 100;
+// Camera position used when the URL doesn't specify one.
+const DEFAULT_CAMERA_POSITION = [20, 20, 20];
+
+const createDatasetId = () => `dataset-${Date.now()}`;
+
+// The load state of a dataset's source before anything was loaded.
+const SOURCE_IDLE = { loading: false, error: null, loadedAt: null, errors: [] };
+
+// Filter value pickers offer no members until the cube engine has loaded the data.
+const NO_FIELD_VALUES = {};
+
+// The dataset shown on load: the one open last time (or the most recent one), or a new empty one on first use.
+const loadInitialDataset = () => {
+  const stored = listDatasets();
+  const dataset = loadDataset(getActiveDatasetId()) || (stored.length > 0 && loadDataset(stored[0].id));
+  return dataset || { id: createDatasetId(), name: 'My dataset', schema: DEFAULT_SCHEMA, rows: [] };
+};
 
 function App() {
-  const [rawData, setRawData] = useState([]); // No dummy data
-  const [cubeData, setCubeData] = useState([]);
-  const [axisMapping, setAxisMapping] = useState({ x: 'continent', y: 'region', z: 'quarter' });
-  const [currentFilters, setCurrentFilters] = useState({});
-  const [isRolledUp, setIsRolledUp] = useState(false);
-  const [originalCubeDataBeforeRollUp, setOriginalCubeDataBeforeRollUp] = useState([]);
-
-  // Update cube when rawData or axisMapping changes
+  const [initialDataset] = useState(loadInitialDataset);
+  const [rawData, setRawData] = useState(initialDataset.rows);
+  const [schema, setSchema] = useState(initialDataset.schema);
+  // The dataset library: the active dataset's id, the index of stored datasets and the active dataset's saved views.
+  const [datasetId, setDatasetId] = useState(initialDataset.id);
+  const [datasets, setDatasets] = useState(listDatasets);
+  const [savedViews, setSavedViews] = useState(() => listSavedViews(initialDataset.id));
+  const [storageError, setStorageError] = useState(null);
+  // Where the active dataset is loaded from (see dataSources.js), if anywhere, and the state of its last load.
+  // `sourceReloads` counts "Refresh Now" requests.
+  const [dataSource, setDataSource] = useState(initialDataset.source || null);
+  const [sourceStatus, setSourceStatus] = useState(SOURCE_IDLE);
+  const [sourceReloads, setSourceReloads] = useState(0);
+  // The data last read from or written to storage, so opening a dataset doesn't immediately save it again.
+  // A dataset created on first use isn't stored yet, hence the null id.
+  const storedDataRef = useRef({
+    id: datasets.some(d => d.id === initialDataset.id) ? initialDataset.id : null,
+    rows: initialDataset.rows,
+    schema: initialDataset.schema,
+    source: initialDataset.source || null,
+  });
+  // A view shared through the URL (pipeline, aggregation, camera) is restored on load.
+  const [initialView] = useState(() => decodeViewState(window.location.hash, initialDataset.schema));
+  // The OLAP view is a pipeline of operations; `past` and `future` hold earlier/undone versions for undo/redo.
+  const [history, setHistory] = useState(() => ({
+    past: [],
+    present: initialView ? initialView.operations : [],
+    future: [],
+  }));
+  // The function used to combine facts into a cube cell (see AGGREGATIONS in dataProcessor).
+  const [aggregation, setAggregation] = useState(initialView ? initialView.aggregation : 'sum');
+  // The measure shown in the cube and pivot table: the base value or a calculated measure.
+  const [measure, setMeasure] = useState(initialView ? initialView.measure : BASE_MEASURE);
+  // The time-intelligence display mode (e.g. change vs previous period) applied to the cells shown.
+  const [timeCalculation, setTimeCalculation] = useState(initialView ? initialView.timeCalculation : DEFAULT_TIME_CALCULATION);
+  // How cells are drawn: blocks, or bars, sized cubes or stacks showing more measures.
+  const [glyphSettings, setGlyphSettings] = useState(initialView ? initialView.glyph : DEFAULT_GLYPH_SETTINGS);
+  // The camera as last left by the user, written to the URL.
+  const [camera, setCamera] = useState(initialView ? initialView.camera : null);
+  // The camera the canvas is (re)mounted with; `key` changes when a view is loaded from the URL.
+  const [canvasView, setCanvasView] = useState({ key: 0, camera: initialView ? initialView.camera : null });
+  const [linkCopied, setLinkCopied] = useState(false);
+  // Id of the cube cell selected by clicking it.
+  const [selectedCellId, setSelectedCellId] = useState(null);
+  // Palette and domain used to color cells by value.
+  const [colorSettings, setColorSettings] = useState(DEFAULT_COLOR_SETTINGS);
+  // Whether positions without a value are drawn as wireframe blocks.
+  const [showEmptyCells, setShowEmptyCells] = useState(false);
+  // Whether the cube animates between states; off by default for users who ask their system for reduced motion.
+  const [animateTransitions, setAnimateTransitions] = useState(
+    () => !(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches)
+  );
+  const operations = history.present;
+
+  // Dimensions offered by the OLAP controls, derived from the schema.
+  const availableDimensions = useMemo(() => getCubeDimensions(schema), [schema]);
+  // Numeric fields offered for range filters: every measure column plus the displayed value.
+  const measureFields = useMemo(() => [...schema.measures, { key: 'value', label: 'Value' }], [schema]);
+
+  // Measures that can be shown; a calculated measure that was deleted falls back to the base value.
+  const measureOptions = useMemo(() => getMeasureOptions(schema), [schema]);
+  const activeMeasure = measureOptions.find(option => option.key === measure) || measureOptions[0];
+  const aggregationLabel = (AGGREGATIONS[aggregation] || AGGREGATIONS.sum).label;
+  const measureLabel = activeMeasure.calculated
+    ? `${activeMeasure.label} (${aggregationLabel})`
+    : `${aggregationLabel} of ${activeMeasure.key === BASE_MEASURE && activeMeasure.label === 'Value' ? 'values' : activeMeasure.label}`;
+  // The measures the cell glyphs draw besides the displayed value (none for plain blocks).
+  const glyphMeasureKeys = getGlyphMeasures(glyphSettings, measureOptions).join('|');
+  const glyphMeasures = useMemo(() => (glyphMeasureKeys ? glyphMeasureKeys.split('|') : []), [glyphMeasureKeys]);
+
+  // The cube engine: a worker holding the applied data in a column store and answering view, pivot, cell and report
+  // queries off the main thread (see workers/cubeEngine.worker.js). `loaded` is the result of its last data load (with
+  // the rows and schema loaded) and `view` of its last view query (with the query it answered); both stay shown while
+  // the next ones run.
+  const [engine, setEngine] = useState(null);
+  const [loaded, setLoaded] = useState(null);
+  const [view, setView] = useState(null);
+  // Engine requests still running or stopped, by kind ('load', 'view' or 'report'): { stage, progress } while a long
+  // one runs, then { cancelled: true } or { error } until it is run again or dismissed.
+  const [engineTasks, setEngineTasks] = useState({});
+  // How often each kind was run again after a cancel or error.
+  const [engineRuns, setEngineRuns] = useState({ load: 0, view: 0 });
+  const engineControllersRef = useRef({});
+  // The requests the user cancelled; others are aborted quietly when the data or view they were for changes.
+  const userCancelsRef = useRef(new WeakSet());
+  // The levels of the cells shown, which the next view's cells are related to for the cube's transition.
+  const shownLevelsRef = useRef(null);
+
+  useEffect(() => {
+    const started = createCubeEngine();
+    setEngine(started);
+    return () => started.terminate();
+  }, []);
+
+  // Runs an engine request of a kind, showing its progress until it settles, and resolves with its answer (or null
+  // if it failed or was cancelled). A request replaced by a newer one of its kind, or aborted because what it was for
+  // changed, drops out quietly; only a cancel by the user is reported.
+  const runEngineTask = useCallback(async (kind, controller, request) => {
+    engineControllersRef.current[kind] = controller;
+    const update = (state) => setEngineTasks(prev => (prev[kind] === state ? prev : { ...prev, [kind]: state }));
+    try {
+      const result = await request({
+        signal: controller.signal,
+        onProgress: ({ progress, stage }) => update({ progress, stage }),
+      });
+      update(null);
+      return controller.signal.aborted ? null : result;
+    } catch (error) {
+      if (engineControllersRef.current[kind] === controller) {
+        if (error.name !== 'AbortError') {
+          console.error(`Cube engine ${kind} failed: ${error.message}`);
+          update({ error: error.message });
+        } else {
+          update(userCancelsRef.current.has(controller) ? { cancelled: true } : null);
+        }
+      }
+      return null;
+    } finally {
+      if (engineControllersRef.current[kind] === controller) delete engineControllersRef.current[kind];
+    }
+  }, []);
+
+  // The engine rebuilds its column store whenever the applied data or schema change.
+  useEffect(() => {
+    if (!engine) return undefined;
+    const controller = new AbortController();
+    runEngineTask('load', controller, (options) => engine.load(rawData, schema, options)).then(result => {
+      if (result) setLoaded({ ...result, rows: rawData, schema });
+    });
+    return () => controller.abort();
+  }, [engine, rawData, schema, engineRuns.load, runEngineTask]);
+
+  // The view is queried again whenever the data is reloaded or the pipeline, aggregation or measures change. While
+  // the engine is still loading newer data, the query waits for it.
+  useEffect(() => {
+    if (!engine || !loaded || loaded.rows !== rawData || loaded.schema !== schema) return undefined;
+    const controller = new AbortController();
+    const query = { operations, aggregation, measure: activeMeasure.key, measures: glyphMeasures };
+    runEngineTask('view', controller, (options) => engine.queryView({ ...query, relateFrom: shownLevelsRef.current }, options))
+      .then(result => {
+        if (!result) return;
+        const { x, y, z } = result.axisMapping;
+        shownLevelsRef.current = [...new Set([x, y, z].filter(Boolean))];
+        setView({ ...result, query });
+      });
+    return () => controller.abort();
+  }, [engine, loaded, rawData, schema, operations, aggregation, activeMeasure.key, glyphMeasures, engineRuns.view, runEngineTask]);
+
+  // Stops the engine requests running; the cube keeps showing the last results.
+  const handleCancelEngine = useCallback(() => {
+    Object.values(engineControllersRef.current).forEach(controller => {
+      userCancelsRef.current.add(controller);
+      controller.abort();
+    });
+  }, []);
+
+  // Runs the cancelled or failed load and view requests again, and clears the messages of stopped requests.
+  const handleRetryEngine = useCallback(() => {
+    const isStopped = (state) => Boolean(state) && !state.stage;
+    setEngineRuns(prev => ({
+      load: prev.load + (isStopped(engineTasks.load) ? 1 : 0),
+      view: prev.view + (isStopped(engineTasks.view) ? 1 : 0),
+    }));
+    setEngineTasks(prev => Object.fromEntries(Object.entries(prev).filter(([, state]) => !isStopped(state))));
+  }, [engineTasks]);
+
+  // The request the status bar shows: a running one first, else a stopped one.
+  const engineTask = Object.entries(engineTasks).find(([, state]) => state && state.stage) ||
+    Object.entries(engineTasks).find(([, state]) => state);
+
+  // Skipped, incomplete and duplicated rows of the applied data, and the distinct members of each dimension for the
+  // filter value pickers, as found by the engine.
+  const dataQuality = loaded ? loaded.dataQuality : null;
+  const fieldValues = loaded ? loaded.fieldValues : NO_FIELD_VALUES;
+
+  // Until the first view arrives the axes show the schema's default mapping, with no cells.
+  const emptyView = useMemo(() => ({
+    axisMapping: getDefaultAxisMapping(schema),
+    filters: {},
+    rankings: {},
+    steps: [],
+    memberOrder: {},
+    cells: [],
+    relations: null,
+    query: null,
+  }), [schema]);
+  const shownView = view || emptyView;
+  const { axisMapping, filters: currentFilters, cells: cubeData, memberOrder } = shownView;
+
+  // The time levels on the axes decide which time calculations can run; an unavailable one shows the plain values.
+  const timeAxes = useMemo(() => getTimeAxes(axisMapping, schema), [axisMapping, schema]);
+  const timeMode = isTimeCalculationAvailable(timeCalculation.mode, timeAxes) ? timeCalculation.mode : 'none';
+  // The cells as displayed: the cube cells with the time calculation applied (the cube cells themselves stay as they are).
+  const displayData = useMemo(
+    () => applyTimeCalculation(cubeData, axisMapping, schema, { ...timeCalculation, mode: timeMode }),
+    [cubeData, axisMapping, schema, timeCalculation, timeMode]
+  );
+  const valueLabel = timeMode === 'none'
+    ? measureLabel
+    : `${TIME_CALCULATIONS[timeMode].label}${timeMode === 'movingAvg' ? ` (${timeCalculation.window} periods)` : ''}: ${measureLabel}`;
+  // Percentages keep a decimal, and so do averages over periods.
+  let valueDecimals = activeMeasure.decimals;
+  if (TIME_CALCULATIONS[timeMode].percent) valueDecimals = 1;
+  if (timeMode === 'movingAvg') valueDecimals = activeMeasure.decimals ?? 1;
+
+  // The color scale over the values currently shown, so colors and legend follow slice, dice and roll-up.
+  const colorScale = useMemo(
+    () => createColorScale(displayData.map(cell => cell.value), colorSettings),
+    [displayData, colorSettings]
+  );
+
+  // What the glyphs show besides color, for the legend: the measure bars and cubes are scaled by, or the stack's segments.
+  const glyphKey = useMemo(() => {
+    if (glyphMeasures.length === 0) return null;
+    const labelOf = (key) => (measureOptions.find(option => option.key === key) || { label: key }).label;
+    if (glyphSettings.shape === 'stacked') {
+      return {
+        label: 'Stacked segments',
+        segments: glyphMeasures.map((key, idx) => ({ label: labelOf(key), color: SEGMENT_COLORS[idx % SEGMENT_COLORS.length] })),
+      };
+    }
+    return { label: `${glyphSettings.shape === 'bar' ? 'Bar height' : 'Cube size'}: ${labelOf(glyphMeasures[0])}`, segments: [] };
+  }, [glyphMeasures, glyphSettings.shape, measureOptions]);
+
+  // Per-axis hierarchy state for the controls: the breadcrumb of levels and whether the axis can move up or down.
+  const axisLevels = useMemo(() => ['x', 'y', 'z'].map(axis => ({
+    axis,
+    current: axisMapping[axis],
+    levels: getHierarchyLevels(schema, axisMapping[axis]),
+    canRollUp: applyRollUp(axisMapping, axis, schema) !== axisMapping,
+    canDrillDown: applyDrillDown(axisMapping, axis, schema) !== axisMapping,
+  })), [axisMapping, schema]);
+
+  // Replaces the pipeline (or updates it from the current one) as a new, undoable history entry.
+  const commitOperations = useCallback((update) => {
+    setHistory(prev => {
+      const next = typeof update === 'function' ? update(prev.present) : update;
+      if (next === prev.present) return prev;
+      return { past: [...prev.past, prev.present].slice(-MAX_HISTORY), present: next, future: [] };
+    });
+  }, []);
+
+  // Appends one operation to the pipeline.
+  const addOperation = useCallback((type, params) => {
+    commitOperations(prev => [...prev, createOperation(type, params)]);
+  }, [commitOperations]);
+
+  const handleUndo = useCallback(() => {
+    setHistory(prev => (prev.past.length === 0 ? prev : {
+      past: prev.past.slice(0, -1),
+      present: prev.past[prev.past.length - 1],
+      future: [prev.present, ...prev.future],
+    }));
+  }, []);
+
+  const handleRedo = useCallback(() => {
+    setHistory(prev => (prev.future.length === 0 ? prev : {
+      past: [...prev.past, prev.present],
+      present: prev.future[0],
+      future: prev.future.slice(1),
+    }));
+  }, []);
+
+  // Keep the URL in sync with the view so it can be bookmarked; the default view leaves the URL clean.
   useEffect(() => {
-    if (rawData.length > 0) {
-      const processed = processRawData(rawData, axisMapping);
-      setCubeData(processed);
-      setOriginalCubeDataBeforeRollUp(processed);
+    const isDefaultView = operations.length === 0 && aggregation === 'sum' && activeMeasure.key === BASE_MEASURE &&
+      timeCalculation.mode === 'none' && glyphSettings.shape === 'block' && !camera;
+    const hash = isDefaultView
+      ? ''
+      : encodeViewState({ operations, aggregation, measure: activeMeasure.key, timeCalculation, glyph: glyphSettings, camera });
+    if (hash !== window.location.hash) {
+      window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash}`);
+    }
+  }, [operations, aggregation, activeMeasure.key, timeCalculation, glyphSettings, camera]);
+
+  // Shows a view (from a link or a saved view): its pipeline as an undoable change, its aggregation, measure,
+  // time calculation, cell glyphs and camera.
+  const applyView = useCallback((view) => {
+    commitOperations(view.operations);
+    setAggregation(view.aggregation);
+    setMeasure(view.measure || BASE_MEASURE);
+    setTimeCalculation(view.timeCalculation || DEFAULT_TIME_CALCULATION);
+    setGlyphSettings(view.glyph || DEFAULT_GLYPH_SETTINGS);
+    setCamera(view.camera);
+    setCanvasView(prev => ({ key: prev.key + 1, camera: view.camera }));
+  }, [commitOperations]);
+
+  // Shows the view a query selects (see data/cubeQuery.js): its pipeline as an undoable change, its aggregation,
+  // measure and cell glyphs. The time calculation and camera stay as they are.
+  const handleRunQuery = useCallback((view) => {
+    commitOperations(view.operations);
+    setAggregation(view.aggregation);
+    setMeasure(view.measure);
+    setGlyphSettings(view.glyph);
+  }, [commitOperations]);
+
+  // Load a view when a shared link is pasted into the address bar of an open tab.
+  useEffect(() => {
+    const handleHashChange = () => {
+      const view = decodeViewState(window.location.hash, schema);
+      if (view) applyView(view);
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, [applyView, schema]);
+
+  // Runs a storage write, showing its error (e.g. a full store) instead of throwing. Returns the result, or null on failure.
+  const persist = useCallback((write) => {
+    try {
+      const result = write();
+      setStorageError(null);
+      return result;
+    } catch (error) {
+      console.error(error.message);
+      setStorageError(error.message);
+      return null;
+    }
+  }, []);
+
+  // Autosave: the applied data, schema and source are written to the active dataset whenever they change.
+  useEffect(() => {
+    const stored = storedDataRef.current;
+    if (stored.id === datasetId && stored.rows === rawData && stored.schema === schema && stored.source === dataSource) return;
+    storedDataRef.current = { id: datasetId, rows: rawData, schema, source: dataSource };
+    const name = (datasets.find(d => d.id === datasetId) || initialDataset).name;
+    const index = persist(() => saveDataset({ id: datasetId, name, schema, rows: rawData, source: dataSource }));
+    if (index) setDatasets(index);
+  }, [datasetId, rawData, schema, dataSource, datasets, initialDataset, persist]);
+
+  // A dataset with a source is loaded from it when opened, on "Refresh Now" and at its refresh interval. A refresh
+  // that is still running when the next one is due is left to finish; switching datasets cancels it.
+  useEffect(() => {
+    if (!dataSource) return undefined;
+    const controller = new AbortController();
+    let running = false;
+    const load = async () => {
+      if (running) return;
+      running = true;
+      setSourceStatus(prev => ({ ...prev, loading: true }));
+      try {
+        const { rows, errors } = await loadSourceRows(dataSource, controller.signal);
+        // Unchanged data keeps the same rows, so the cube isn't rebuilt (or re-saved) on every refresh.
+        const fingerprint = getRowsFingerprint(rows, dataSource.fields);
+        setRawData(prev => (getRowsFingerprint(prev, dataSource.fields) === fingerprint ? prev : rows));
+        setSourceStatus({ loading: false, error: null, loadedAt: Date.now(), errors });
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error(`Could not load ${dataSource.url}: ${error.message}`);
+        setSourceStatus(prev => ({ ...prev, loading: false, error: error.message }));
+      } finally {
+        running = false;
+      }
+    };
+    load();
+    const timer = dataSource.refreshSeconds > 0 ? setInterval(load, dataSource.refreshSeconds * 1000) : null;
+    return () => {
+      controller.abort();
+      if (timer) clearInterval(timer);
+    };
+  }, [dataSource, sourceReloads]);
+
+  // Remember which dataset is open for the next visit.
+  useEffect(() => {
+    persist(() => setActiveDatasetId(datasetId));
+  }, [datasetId, persist]);
+
+  // Switches to a dataset. The pipeline and its history belong to the previous data, so they start over.
+  const openDataset = useCallback((dataset) => {
+    storedDataRef.current = { id: dataset.id, rows: dataset.rows, schema: dataset.schema, source: dataset.source || null };
+    setDatasetId(dataset.id);
+    setRawData(dataset.rows);
+    setSchema(dataset.schema);
+    setDataSource(dataset.source || null);
+    setSourceStatus(SOURCE_IDLE);
+    // The cube of the previous dataset isn't shown while the engine loads this one.
+    setView(null);
+    shownLevelsRef.current = null;
+    setHistory({ past: [], present: [], future: [] });
+    setAggregation('sum');
+    setMeasure(BASE_MEASURE);
+    setTimeCalculation(DEFAULT_TIME_CALCULATION);
+    setGlyphSettings(DEFAULT_GLYPH_SETTINGS);
+    setSavedViews(listSavedViews(dataset.id));
+  }, []);
+
+  const handleOpenDataset = useCallback((id) => {
+    const dataset = loadDataset(id);
+    if (dataset) {
+      openDataset(dataset);
     } else {
-      setCubeData([]); // No cube if no data
+      setStorageError('The dataset could not be read from browser storage.');
+    }
+  }, [openDataset]);
+
+  // Stores a new dataset and switches to it. Returns whether it could be stored.
+  const addDataset = useCallback((dataset) => {
+    const index = persist(() => saveDataset(dataset));
+    if (index) {
+      setDatasets(index);
+      openDataset(dataset);
     }
-    setIsRolledUp(false);
-    setCurrentFilters({});
-  }, [rawData, axisMapping]);
+    return Boolean(index);
+  }, [persist, openDataset]);
+
+  const handleCreateDataset = useCallback(() => {
+    addDataset({ id: createDatasetId(), name: `Dataset ${datasets.length + 1}`, schema: DEFAULT_SCHEMA, rows: [] });
+  }, [addDataset, datasets]);
+
+  // Copies the active dataset's applied data and schema (not its saved views).
+  const handleDuplicateDataset = useCallback(() => {
+    const current = datasets.find(d => d.id === datasetId) || initialDataset;
+    addDataset({ id: createDatasetId(), name: `${current.name} (copy)`, schema, rows: rawData });
+  }, [addDataset, datasets, datasetId, initialDataset, schema, rawData]);
+
+  // Opens a view exported as JSON: its data becomes a new dataset, shown with the exported view.
+  const handleImportView = useCallback((text) => {
+    const { dataset, view, error } = parseViewExport(text);
+    if (error) return error;
+    if (addDataset({ id: createDatasetId(), ...dataset })) applyView(view);
+    return null;
+  }, [addDataset, applyView]);
+
+  // Creates a dataset loaded from a URL, with the rows of the preview until the first load completes.
+  const handleConnectSource = useCallback(({ name, source, rows }) => {
+    addDataset({ id: createDatasetId(), name, schema: createSourceSchema(source.fields), rows, source });
+  }, [addDataset]);
+
+  const handleRefreshSource = useCallback(() => {
+    setSourceReloads(prev => prev + 1);
+  }, []);
+
+  // Stops loading the active dataset from its source; it keeps the rows loaded last, as a local dataset.
+  const handleDisconnectSource = useCallback(() => {
+    setDataSource(null);
+    setSourceStatus(SOURCE_IDLE);
+  }, []);
+
+  const handleRenameDataset = useCallback((id, name) => {
+    const index = persist(() => renameDataset(id, name));
+    if (index) setDatasets(index);
+  }, [persist]);
+
+  // Deletes a dataset; deleting the active one opens the most recent remaining dataset.
+  const handleDeleteDataset = useCallback((id) => {
+    const index = persist(() => deleteDataset(id));
+    if (!index) return;
+    setDatasets(index);
+    if (id === datasetId && index.length > 0) {
+      handleOpenDataset(index[0].id);
+    }
+  }, [persist, datasetId, handleOpenDataset]);
+
+  // Saves the current view (pipeline, aggregation, measure, time calculation, cell glyphs and camera) of the active
+  // dataset under a name.
+  const handleSaveView = useCallback((name) => {
+    const view = {
+      id: `view-${Date.now()}`,
+      datasetId,
+      name,
+      operations,
+      aggregation,
+      measure: activeMeasure.key,
+      timeCalculation,
+      glyph: glyphSettings,
+      camera,
+    };
+    const views = persist(() => saveView(view));
+    if (views) setSavedViews(views);
+  }, [persist, datasetId, operations, aggregation, activeMeasure.key, timeCalculation, glyphSettings, camera]);
+
+  const handleRenameView = useCallback((id, name) => {
+    const views = persist(() => renameView(datasetId, id, name));
+    if (views) setSavedViews(views);
+  }, [persist, datasetId]);
+
+  const handleDeleteView = useCallback((id) => {
+    const views = persist(() => deleteView(datasetId, id));
+    if (views) setSavedViews(views);
+  }, [persist, datasetId]);
+
+  // Canvas camera and orbit target, only changing when a view is loaded (not while the user orbits).
+  const canvasCamera = useMemo(() => ({
+    position: canvasView.camera ? canvasView.camera.position : DEFAULT_CAMERA_POSITION,
+    fov: 75,
+  }), [canvasView]);
+  const orbitTarget = useMemo(() => (canvasView.camera ? canvasView.camera.target : [0, 0, 0]), [canvasView]);
+
+  // Records the camera after the user finishes rotating, panning or zooming.
+  const handleCameraEnd = useCallback((e) => {
+    const controls = e.target;
+    setCamera({ position: controls.object.position.toArray(), target: controls.target.toArray() });
+  }, []);
+
+  // Copies the current URL (which encodes the view) to the clipboard.
+  const handleCopyLink = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      console.error(`Could not copy link: ${error.message}`);
+      window.prompt('Copy this link:', window.location.href);
+    }
+  }, []);
 
   const handleDataTableChange = useCallback((newData) => {
     setRawData(newData);
   }, []);
 
+  // Switches to a new schema (edited, or detected from an imported file), optionally with the data that follows it.
+  // The pipeline is kept; steps that no longer fit the schema are flagged and skipped when it is evaluated.
+  const handleSchemaChange = useCallback((newSchema, newData) => {
+    setSchema(newSchema);
+    if (newData) {
+      setRawData(newData);
+    }
+  }, []);
+
   const handleSlice = useCallback((dimension, value) => {
-    const newFilters = { ...currentFilters, [dimension]: value };
-    setCurrentFilters(newFilters);
-    const filteredData = applySlice(originalCubeDataBeforeRollUp, dimension, value);
-    setCubeData(filteredData);
-    setIsRolledUp(false);
-  }, [currentFilters, originalCubeDataBeforeRollUp]);
+    addOperation('slice', { dimension, value });
+  }, [addOperation]);
 
   const handleDice = useCallback((filters) => {
-    setCurrentFilters(filters);
-    const filteredData = applyDice(originalCubeDataBeforeRollUp, filters);
-    setCubeData(filteredData);
-    setIsRolledUp(false);
-  }, [originalCubeDataBeforeRollUp]);
+    addOperation('dice', { filters });
+  }, [addOperation]);
 
   const handlePivot = useCallback((newMapping) => {
-    setAxisMapping(newMapping);
-    setIsRolledUp(false);
+    addOperation('pivot', { axisMapping: newMapping });
+  }, [addOperation]);
+
+  // Moves one axis a level up its hierarchy; the cube is re-aggregated from the facts.
+  const handleRollUp = useCallback((axis) => {
+    addOperation('rollUp', { axis });
+  }, [addOperation]);
+
+  // Moves one axis a level down its hierarchy.
+  const handleDrillDown = useCallback((axis) => {
+    addOperation('drillDown', { axis });
+  }, [addOperation]);
+
+  // Jumps an axis straight to a level of its hierarchy (used by the breadcrumbs).
+  const handleSetLevel = useCallback((axis, level) => {
+    addOperation('setLevel', { axis, level });
+  }, [addOperation]);
+
+  // Orders an axis's members by a measure and optionally keeps only the top or bottom N.
+  const handleRank = useCallback((params) => {
+    addOperation('rank', params);
+  }, [addOperation]);
+
+  // Drills into members picked in the cube (an axis label, or each axis of a cell): slices each axis to its member
+  // and drills down the axes that have a finer level, with the same operations as the OLAP controls.
+  // Axes showing "All" have nothing to slice on, but can still be drilled into; the Others bucket of a ranking
+  // (OTHERS_MEMBER, unlike a real member named "Others") isn't a member of the data, so its axis is drilled without a slice.
+  const handleDrillInto = useCallback((targets) => {
+    const slices = targets
+      .filter(({ axis, member }) => !isAllLevel(axisMapping[axis]) && member !== OTHERS_MEMBER)
+      .map(({ axis, member }) => createOperation('slice', { dimension: axisMapping[axis], value: String(member) }));
+    const drills = targets
+      .filter(({ axis }) => axisLevels.find(a => a.axis === axis).canDrillDown)
+      .map(({ axis }) => createOperation('drillDown', { axis }));
+    // One gesture is one step of the history, so a single Undo reverses it.
+    if (slices.length + drills.length > 0) commitOperations(prev => [...prev, ...slices, ...drills]);
+  }, [axisMapping, axisLevels, commitOperations]);
+
+  const handleMemberDoubleClick = useCallback((axis, member) => {
+    handleDrillInto([{ axis, member }]);
+  }, [handleDrillInto]);
+
+  const handleCellDoubleClick = useCallback((cell) => {
+    handleDrillInto(['x', 'y', 'z'].filter(axis => axisMapping[axis]).map(axis => ({ axis, member: cell[axisMapping[axis]] })));
+  }, [handleDrillInto, axisMapping]);
+
+  // Clicking a cell selects it; clicking it again clears the selection.
+  const handleSelectCell = useCallback((cell) => {
+    setSelectedCellId(prev => (prev === cell.id ? null : cell.id));
   }, []);
 
-  const handleRollUp = useCallback(() => {
-    if (!isRolledUp) {
-      setOriginalCubeDataBeforeRollUp(cubeData);
-      const rolledUpData = applyRollUp(cubeData);
-      setCubeData(rolledUpData);
-      setIsRolledUp(true);
-    }
-  }, [cubeData, isRolledUp]);
-
-  const handleDrillDown = useCallback(() => {
-    if (isRolledUp) {
-      setCubeData(originalCubeDataBeforeRollUp);
-      setIsRolledUp(false);
-    } else if (Object.keys(currentFilters).length > 0) {
-      setCurrentFilters({});
-      const processed = processRawData(rawData, axisMapping);
-      setCubeData(processed);
-    }
-  }, [isRolledUp, currentFilters, originalCubeDataBeforeRollUp, rawData, axisMapping]);
+  const handleAggregationChange = useCallback((newAggregation) => {
+    setAggregation(newAggregation);
+  }, []);
 
+  // Clears the pipeline (undoable) and restores the default aggregation, measure, time calculation and cell glyphs.
   const handleReset = useCallback(() => {
-    const defaultMap = { x: 'continent', y: 'region', z: 'quarter' };
-    setAxisMapping(defaultMap);
-    setCurrentFilters({});
-    setIsRolledUp(false);
-    const resetCube = processRawData(rawData, defaultMap);
-    setCubeData(resetCube);
-    setOriginalCubeDataBeforeRollUp(resetCube);
-  }, [rawData]);
+    commitOperations(prev => (prev.length === 0 ? prev : []));
+    setAggregation('sum');
+    setMeasure(BASE_MEASURE);
+    setTimeCalculation(DEFAULT_TIME_CALCULATION);
+    setGlyphSettings(DEFAULT_GLYPH_SETTINGS);
+  }, [commitOperations]);
+
+  // The canvas's react-three-fiber state, for image and 3D exports; it is replaced when the canvas remounts.
+  const threeRef = useRef(null);
+  const getThree = useCallback(() => (threeRef.current ? threeRef.current.get() : null), []);
+
+  // Exports the cube data currently shown (after slice/dice/roll-up, rankings and any time calculation) as CSV,
+  // in the order the members are shown (the Others bucket of a ranking by its label), with a column per glyph measure.
+  const handleExportView = useCallback(() => {
+    const levels = Object.values(axisMapping).filter(Boolean);
+    const rows = sortCells(displayData, axisMapping, schema, memberOrder).map(({ measureValues, ...cell }) => {
+      const row = { ...measureValues, ...cell };
+      levels.filter(level => level in row).forEach(level => { row[level] = formatMember(row[level]); });
+      return row;
+    });
+    downloadFile('cube-view.csv', toCsv(rows, getExportColumns(rows)), 'text/csv');
+  }, [displayData, axisMapping, schema, memberOrder]);
+
+  const datasetName = (datasets.find(d => d.id === datasetId) || initialDataset).name;
+
+  // Exports an XLSX report of the view shown: the crosstab of the axes, the operations and filters applied, and the
+  // rows behind it. The engine builds it from its copy of the data.
+  const handleExportReport = useCallback(async () => {
+    if (!engine || !shownView.query) return;
+    const { operations: viewOperations, aggregation: viewAggregation, measure: viewMeasure } = shownView.query;
+    const workbook = await runEngineTask('report', new AbortController(), (options) => engine.buildReport({
+      datasetName,
+      operations: viewOperations,
+      aggregation: viewAggregation,
+      measure: viewMeasure,
+      timeCalculation: { ...timeCalculation, mode: timeMode },
+    }, options));
+    if (workbook) {
+      downloadFile('cube-report.xlsx', new Blob([workbook], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }));
+    }
+  }, [engine, shownView, runEngineTask, datasetName, timeCalculation, timeMode]);
+
+  // Exports the dataset and view as JSON, with the cells shown; importing the file restores the exact view.
+  const handleExportJson = useCallback(() => {
+    const json = createViewExport({
+      dataset: { name: datasetName, schema, rows: rawData },
+      view: { operations, aggregation, measure: activeMeasure.key, timeCalculation, glyph: glyphSettings, camera },
+      axisMapping,
+      cells: sortCells(displayData, axisMapping, schema, memberOrder),
+    });
+    downloadFile('cube-view.json', json, 'application/json');
+  }, [datasetName, schema, rawData, operations, aggregation, activeMeasure.key, timeCalculation, glyphSettings, camera,
+    axisMapping, displayData, memberOrder]);
+
+  // The details of a cell for the cube's tooltip, and the pivot table, both for the view shown.
+  const handleDescribeCell = useCallback(
+    (cell) => engine.describeCell({ ...shownView.query, cell }),
+    [engine, shownView]
+  );
+  const handleQueryPivot = useCallback(
+    (layout, options) => engine.queryPivot({ ...shownView.query, ...layout }, options),
+    [engine, shownView]
+  );
 
   return (
     <div className="flex flex-col lg:flex-row h-screen px-8 py-4 bg-gray-100 app-container">
       {/* Left Panel */}
       <div className="flex flex-col w-full lg:w-1/2 p-4 bg-white rounded-lg shadow-md mr-4 mb-4 lg:mb-0 overflow-auto panel">
         <h2 className="text-2xl font-bold mb-4 text-gray-800">OLAP Data Visualizer</h2>
+        <div className="dataset-panel mb-6">
+          <DatasetLibrary
+            datasets={datasets}
+            activeId={datasetId}
+            error={storageError}
+            onOpen={handleOpenDataset}
+            onCreate={handleCreateDataset}
+            onDuplicate={handleDuplicateDataset}
+            onRename={handleRenameDataset}
+            onDelete={handleDeleteDataset}
+            onImportView={handleImportView}
+          />
+        </div>
+        <div className="data-source-panel mb-6">
+          <DataSourcePanel
+            source={dataSource}
+            status={sourceStatus}
+            onConnect={handleConnectSource}
+            onRefresh={handleRefreshSource}
+            onSourceChange={setDataSource}
+            onDisconnect={handleDisconnectSource}
+          />
+        </div>
+        <div className="schema-panel mb-6">
+          <SchemaEditor schema={schema} onSchemaChange={handleSchemaChange} />
+        </div>
+        <div className="calculated-measures-panel mb-6">
+          <CalculatedMeasureEditor schema={schema} onSchemaChange={handleSchemaChange} />
+        </div>
         <div className="data-table-panel mb-6">
           <h3 className="text-xl font-semibold mb-3 text-gray-700">Input Data Table</h3>
-          <DataTable data={rawData} onDataChange={handleDataTableChange} />
+          <DataTable
+            data={rawData}
+            schema={schema}
+            onDataChange={handleDataTableChange}
+            onSchemaChange={handleSchemaChange}
+            readOnlyMessage={dataSource
+              ? `These rows are loaded from ${dataSource.url} and replaced at every refresh. Disconnect the source to edit them here.`
+              : null}
+          />
+        </div>
+        <div className="data-quality-panel mb-6">
+          {dataQuality && <DataQualityReport report={dataQuality} />}
         </div>
         <div className="controls-panel">
           <h3 className="text-xl font-semibold mb-3 text-gray-700">OLAP Operations</h3>
@@ -104,35 +786,192 @@ function App() {
             onPivot={handlePivot}
             onRollUp={handleRollUp}
             onDrillDown={handleDrillDown}
+            onSetLevel={handleSetLevel}
+            onRank={handleRank}
+            onAggregationChange={handleAggregationChange}
+            onMeasureChange={setMeasure}
+            onTimeCalculationChange={setTimeCalculation}
+            onGlyphSettingsChange={setGlyphSettings}
+            onShowEmptyCellsChange={setShowEmptyCells}
+            onAnimateChange={setAnimateTransitions}
             onReset={handleReset}
             currentAxisMapping={axisMapping}
-            isRolledUp={isRolledUp}
-            availableDimensions={['continent', 'region', 'product', 'quarter']}
+            axisLevels={axisLevels}
+            aggregation={aggregation}
+            measure={activeMeasure.key}
+            measureOptions={measureOptions}
+            timeCalculation={timeCalculation}
+            timeAxes={timeAxes}
+            glyphSettings={glyphSettings}
+            showEmptyCells={showEmptyCells}
+            animate={animateTransitions}
+            availableDimensions={availableDimensions}
+            measureFields={measureFields}
+            fieldValues={fieldValues}
+            activeFilters={currentFilters}
+            rankings={shownView.rankings}
+          />
+        </div>
+        <div className="query-console-panel mt-6">
+          <QueryConsole schema={schema} datasetName={datasetName} onRun={handleRunQuery} />
+        </div>
+        <div className="pipeline-panel mt-6">
+          <OperationPipeline
+            operations={operations}
+            steps={shownView.steps}
+            schema={schema}
+            onChange={commitOperations}
+            onUndo={handleUndo}
+            onRedo={handleRedo}
+            canUndo={history.past.length > 0}
+            canRedo={history.future.length > 0}
+          />
+        </div>
+        <div className="saved-views-panel mt-6">
+          <SavedViews
+            views={savedViews}
+            error={storageError}
+            onSave={handleSaveView}
+            onOpen={applyView}
+            onRename={handleRenameView}
+            onDelete={handleDeleteView}
           />
         </div>
       </div>
 
       {/* Right Panel */}
-      <div className="flex-1 bg-white rounded-lg shadow-md p-4 flex flex-col items-center justify-center relative panel">
+      <div className="flex-1 bg-white rounded-lg shadow-md p-4 flex flex-col items-center relative overflow-auto panel">
         <h3 className="text-xl font-semibold mb-3 text-gray-700">3D Cube Visualization</h3>
+        {engineTask && (
+          <div className="engine-status w-full mb-3 p-2 border border-gray-200 rounded-md bg-gray-50 text-sm flex items-center gap-3">
+            {engineTask[1].stage && (
+              <>
+                <span className="text-gray-700">{engineTask[1].stage}…</span>
+                <progress value={engineTask[1].progress} max={1} className="flex-grow" />
+                <button onClick={handleCancelEngine} className="bg-gray-500 hover:bg-gray-600 text-white py-1 px-3 rounded-md">
+                  Cancel
+                </button>
+              </>
+            )}
+            {!engineTask[1].stage && (
+              <>
+                <span className={`flex-grow ${engineTask[1].error ? 'text-red-600' : 'text-gray-700'}`}>
+                  {engineTask[1].error || 'Cancelled.'} {cubeData.length > 0 && 'The cube shows the last result.'}
+                </span>
+                <button onClick={handleRetryEngine} className="bg-blue-500 hover:bg-blue-600 text-white py-1 px-3 rounded-md">
+                  {engineTask[0] === 'report' ? 'Dismiss' : 'Run Again'}
+                </button>
+              </>
+            )}
+          </div>
+        )}
         {cubeData.length > 0 ? (
           <div className="relative w-full" style={{ height: '80vh', minHeight: '600px' }}>
             <Canvas
-              camera={{ position: [20, 20, 20], fov: 75 }}
+              key={canvasView.key}
+              camera={canvasCamera}
+              onCreated={(state) => { threeRef.current = state; }}
+              onPointerMissed={() => setSelectedCellId(null)}
               style={{ width: '100%', height: '100%' }}
             >
               <ambientLight intensity={0.5} />
               <pointLight position={[10, 10, 10]} />
-              <ThreeDCube data={cubeData} axisMapping={axisMapping} />
-              <OrbitControls enablePan enableZoom enableRotate />
+              <ThreeDCube
+                data={displayData}
+                relations={shownView.relations}
+                describeCell={handleDescribeCell}
+                memberOrder={memberOrder}
+                glyphShape={glyphSettings.shape}
+                glyphMeasures={glyphMeasures}
+                axisMapping={axisMapping}
+                schema={schema}
+                aggregation={aggregation}
+                decimals={valueDecimals}
+                valueLabel={valueLabel}
+                colorScale={colorScale}
+                selectedCellId={selectedCellId}
+                onSelectCell={handleSelectCell}
+                onCellDoubleClick={handleCellDoubleClick}
+                onMemberDoubleClick={handleMemberDoubleClick}
+                showEmptyCells={showEmptyCells}
+                animate={animateTransitions}
+              />
+              <OrbitControls enablePan enableZoom enableRotate target={orbitTarget} onEnd={handleCameraEnd} />
             </Canvas>
+            <div className="absolute top-4 right-4">
+              <ColorLegend
+                scale={colorScale}
+                settings={colorSettings}
+                aggregation={aggregation}
+                decimals={valueDecimals}
+                title={valueLabel}
+                onSettingsChange={setColorSettings}
+                glyphKey={glyphKey}
+              />
+            </div>
+            <div className="absolute bottom-4 left-4 text-sm text-gray-600">
+              Use mouse to rotate, pan, and zoom the cube. Hover a cell for details, click to select it,
+              double-click a cell or axis label to drill into it.
+            </div>
+            <div className="absolute bottom-4 right-4 flex gap-2">
+              <button
+                onClick={handleCopyLink}
+                title="The link restores this view (axes, filters, levels, aggregation and camera) on the same dataset"
+                className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-md"
+              >
+                {linkCopied ? 'Link Copied!' : 'Copy Link'}
+              </button>
+              <button
+                onClick={handleExportView}
+                className="bg-gray-500 hover:bg-gray-600 text-white py-2 px-4 rounded-md"
+              >
+                Export View (CSV)
+              </button>
+              <button
+                onClick={handleExportReport}
+                title="Crosstab, operations and filters, and the underlying rows, as an Excel workbook"
+                className="bg-gray-500 hover:bg-gray-600 text-white py-2 px-4 rounded-md"
+              >
+                Export Report (XLSX)
+              </button>
+              <button
+                onClick={handleExportJson}
+                title="The data and view as JSON; import it from the dataset list to restore this view"
+                className="bg-gray-500 hover:bg-gray-600 text-white py-2 px-4 rounded-md"
+              >
+                Export View (JSON)
+              </button>
+              <ExportMenu
+                getThree={getThree}
+                title={valueLabel}
+                colorScale={colorScale}
+                aggregation={aggregation}
+                decimals={valueDecimals}
+                glyphKey={glyphKey}
+              />
+            </div>
           </div>
         ) : (
-          <div className="text-gray-500 mt-10">No data to display. Please add data above.</div>
+          <div className="text-gray-500 mt-10">
+            {!view && rawData.length > 0 ? 'Building the cube…' : 'No data to display. Please add data above.'}
+          </div>
+        )}
+        {cubeData.length > 0 && (
+          <div className="pivot-panel w-full mt-6">
+            <h3 className="text-xl font-semibold mb-3 text-gray-700">Pivot Table</h3>
+            <PivotTable
+              queryPivot={handleQueryPivot}
+              cubeData={cubeData}
+              axisMapping={axisMapping}
+              schema={schema}
+              aggregation={aggregation}
+              measure={activeMeasure.key}
+              decimals={activeMeasure.decimals}
+              selectedCellId={selectedCellId}
+              onSelectCell={handleSelectCell}
+            />
+          </div>
         )}
-        <div className="absolute bottom-4 left-4 text-sm text-gray-600">
-          Use mouse to rotate, pan, and zoom the cube.
-        </div>
       </div>
     </div>
   );
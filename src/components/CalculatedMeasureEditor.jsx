@@ -0,0 +1,152 @@
+// This component defines calculated measures: named formulas over the measures (e.g. H1 = Q1 + Q2, or
+// share = value / total(region)) that are evaluated per cube cell and can be shown instead of the base value.
+// The definitions are part of the schema, so they are saved with the dataset.
+import React, { useState } from 'react';
+import { BASE_MEASURE, getCalculatedMeasures, validateCalculatedMeasure } from '../data/dataProcessor';
+import { getFormulaReferences, parseFormula } from '../data/formula';
+import { getCubeDimensions } from '../data/schema';
+
+const EMPTY_DRAFT = { key: '', formula: '', decimals: 2 };
+
+// The calculated measures whose formulas refer to `key`.
+const getDependents = (schema, key) => getCalculatedMeasures(schema)
+  .filter(m => {
+    const { ast } = parseFormula(m.formula);
+    return ast && getFormulaReferences(ast).refs.some(ref => ref.name === key);
+  })
+  .map(m => m.key);
+
+function CalculatedMeasureEditor({ schema, onSchemaChange }) {
+  // The measure being written: a new one (editingKey null) or a copy of an existing one.
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [editingKey, setEditingKey] = useState(null);
+  const [error, setError] = useState(null);
+  const measures = getCalculatedMeasures(schema);
+
+  const handleDraftChange = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+    setError(null);
+  };
+
+  const handleEdit = (measure) => {
+    setDraft({ ...EMPTY_DRAFT, ...measure });
+    setEditingKey(measure.key);
+    setError(null);
+  };
+
+  const handleCancel = () => {
+    setDraft(EMPTY_DRAFT);
+    setEditingKey(null);
+    setError(null);
+  };
+
+  // Adds the draft, or replaces the measure being edited. Renaming a measure other formulas use would break them.
+  const handleSave = () => {
+    const definition = {
+      key: draft.key.trim(),
+      formula: draft.formula.trim(),
+      decimals: Math.min(Math.max(Math.round(Number(draft.decimals) || 0), 0), 10),
+    };
+    const problem = validateCalculatedMeasure(definition, schema, editingKey);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    const dependents = editingKey && editingKey !== definition.key ? getDependents(schema, editingKey) : [];
+    if (dependents.length > 0) {
+      setError({ field: 'key', message: `${dependents.join(', ')} use ${editingKey}; change their formulas before renaming it.`, position: null });
+      return;
+    }
+    const calculatedMeasures = editingKey
+      ? measures.map(m => (m.key === editingKey ? definition : m))
+      : [...measures, definition];
+    onSchemaChange({ ...schema, calculatedMeasures });
+    handleCancel();
+  };
+
+  const handleDelete = (key) => {
+    const dependents = getDependents(schema, key).filter(dependent => dependent !== key);
+    if (dependents.length > 0) {
+      setError({ field: 'key', message: `${dependents.join(', ')} use ${key}; change their formulas before deleting it.`, position: null });
+      return;
+    }
+    onSchemaChange({ ...schema, calculatedMeasures: measures.filter(m => m.key !== key) });
+    if (editingKey === key) handleCancel();
+  };
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg bg-gray-50 shadow-sm">
+      <h4 className="font-semibold text-lg mb-2 text-gray-700">Calculated Measures</h4>
+      {measures.length === 0 ? (
+        <p className="text-sm text-gray-600 mb-3">No calculated measures yet.</p>
+      ) : (
+        <ul className="space-y-2 mb-3">
+          {measures.map(measure => (
+            <li key={`calculated-${measure.key}`} className="flex flex-col sm:flex-row gap-2 items-center p-2 border border-gray-200 rounded-md bg-white">
+              <span className="flex-grow text-sm text-gray-700 font-mono">{measure.key} = {measure.formula}</span>
+              <button onClick={() => handleEdit(measure)} className="py-1 px-3 rounded-md text-sm">Edit</button>
+              <button
+                onClick={() => handleDelete(measure.key)}
+                className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md text-sm"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex flex-col sm:flex-row gap-3 items-center mb-2">
+        <input
+          type="text"
+          placeholder="Name, e.g. H1"
+          value={draft.key}
+          onChange={(e) => handleDraftChange('key', e.target.value)}
+          className={`p-2 border rounded-md ${error && error.field === 'key' ? 'border-red-500' : 'border-gray-300'}`}
+        />
+        <span className="text-gray-700">=</span>
+        <input
+          type="text"
+          placeholder="Formula, e.g. Q1 + Q2"
+          value={draft.formula}
+          onChange={(e) => handleDraftChange('formula', e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') handleSave(); }}
+          className={`p-2 border rounded-md flex-grow font-mono ${error && error.field === 'formula' ? 'border-red-500' : 'border-gray-300'}`}
+        />
+        <label className="text-sm text-gray-700 flex items-center gap-1">
+          Decimals
+          <input
+            type="number"
+            min="0"
+            max="10"
+            value={draft.decimals}
+            onChange={(e) => handleDraftChange('decimals', e.target.value)}
+            className="p-2 border border-gray-300 rounded-md w-16"
+          />
+        </label>
+      </div>
+      {error && (
+        <div className="text-sm text-red-600 mb-2">
+          {/* Point at the error in the formula, e.g. an unknown name or a missing ")" */}
+          {error.field === 'formula' && error.position !== null && (
+            <pre className="font-mono text-gray-700">{draft.formula}{'\n'}{' '.repeat(error.position)}^</pre>
+          )}
+          {error.message}
+        </div>
+      )}
+      <div className="flex gap-2 mb-3">
+        <button onClick={handleSave} className="bg-green-500 hover:bg-green-600 text-white py-2 px-4 rounded-md flex-grow">
+          {editingKey ? `Update ${editingKey}` : 'Add Calculated Measure'}
+        </button>
+        {editingKey && <button onClick={handleCancel} className="py-2 px-4 rounded-md">Cancel</button>}
+      </div>
+      <p className="text-sm text-gray-600">
+        Measures: {[BASE_MEASURE, ...schema.measures.map(m => m.key), ...measures.map(m => m.key)].join(', ')}
+        {' '}(use [brackets] for names with spaces). Functions: abs(x), round(x, digits), if(condition, then, else),
+        min, max, sqrt, and total(level) for the value at the parent of a level, e.g. value / total(region).
+        Levels: {getCubeDimensions(schema).map(d => d.key).join(', ')}.
+      </p>
+    </div>
+  );
+}
+
+export default CalculatedMeasureEditor;
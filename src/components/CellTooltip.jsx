@@ -0,0 +1,49 @@
+// This component shows the details of the cube cell under the pointer: its member on each axis,
+// the members of the other dimensions, every measure and the number of table rows behind it.
+import React from 'react';
+import { formatCellValue } from '../data/dataProcessor';
+import { formatMember } from '../data/ranking';
+
+// Dimensions with more members than this are summarized as a count.
+const MAX_LISTED_MEMBERS = 3;
+
+function CellTooltip({ details, value, baseValue, aggregation, decimals }) {
+  const axisKeys = details.axes.map(a => a.key);
+  return (
+    <div
+      className="p-2 border border-gray-300 rounded-md bg-white shadow-md text-xs text-gray-700"
+      style={{ minWidth: '12rem', pointerEvents: 'none', whiteSpace: 'nowrap' }}
+    >
+      {details.axes.map(({ axis, label, member }) => (
+        <div key={`axis-${axis}`}>
+          <span className="font-semibold">{axis.toUpperCase()} · {label}:</span> {String(formatMember(member))}
+        </div>
+      ))}
+      <div className="font-semibold mt-1">Value: {formatCellValue(value, aggregation, decimals)}</div>
+      {/* Set when a time calculation replaced the value: the cell's own value for its period */}
+      {baseValue !== undefined && <div>Period value: {formatCellValue(baseValue, aggregation, decimals)}</div>}
+      {details.dimensions
+        .filter(dim => !axisKeys.includes(dim.key) && dim.members.length > 0)
+        .map(({ key, label, members }) => (
+          <div key={`dim-${key}`}>
+            {label}: {members.length > MAX_LISTED_MEMBERS ? `${members.length} members` : members.join(', ')}
+          </div>
+        ))}
+      {details.measures.length > 0 && (
+        <table className="mt-1">
+          <tbody>
+            {details.measures.map(({ key, label, value: measureValue, decimals: measureDecimals }) => (
+              <tr key={`measure-${key}`}>
+                <td className="pr-2">{label}</td>
+                <td className="text-right">{measureValue === null ? '–' : formatCellValue(measureValue, aggregation, measureDecimals)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <div className="mt-1 text-gray-500">{details.rowCount} contributing row(s)</div>
+    </div>
+  );
+}
+
+export default CellTooltip;
@@ -0,0 +1,122 @@
+// This component shows the legend for the cube's cell colors over the 3D view, with the palette and domain settings.
+// The legend follows the cells currently shown, so it updates with slice, dice and roll-up.
+import React from 'react';
+import { PALETTES, DOMAIN_MODES } from '../data/colorScales';
+import { formatCellValue } from '../data/dataProcessor';
+
+function ColorLegend({
+  scale,            // The color scale from createColorScale
+  settings,         // The color settings ({ palette, domain, percentile, min, max })
+  aggregation,      // The aggregation function key, for number formatting
+  decimals,         // Decimals to format values with, when the displayed measure sets them
+  title,            // What the colors represent, e.g. 'Sum of values'
+  onSettingsChange, // Called with the updated settings
+  glyphKey,         // What the cell glyphs show besides color ({ label, segments: [{ label, color }] }), or null for blocks
+}) {
+  const [min, max] = scale.domain;
+  const format = (value) => formatCellValue(value, aggregation, decimals);
+  const handleChange = (field, value) => onSettingsChange({ ...settings, [field]: value });
+
+  return (
+    <div className="p-3 border border-gray-200 rounded-lg bg-white shadow-sm text-sm" style={{ width: '16rem' }}>
+      <div className="font-semibold text-gray-700 mb-2">{title}</div>
+      {scale.type === 'categorical' ? (
+        <ul className="space-y-1 mb-2">
+          {scale.bins.map((bin, idx) => (
+            <li key={`bin-${idx}`} className="flex items-center gap-2 text-gray-700">
+              <span style={{ background: bin.color, width: '1rem', height: '1rem', display: 'inline-block' }} />
+              {format(bin.from)} – {format(bin.to)}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="mb-2">
+          <div style={{ height: '0.75rem', background: `linear-gradient(to right, ${scale.gradient.join(', ')})` }} />
+          <div className="flex justify-between text-gray-700">
+            <span>{scale.clipped ? '≤ ' : ''}{format(min)}</span>
+            {scale.midpoint !== null && <span>{format(scale.midpoint)}</span>}
+            <span>{scale.clipped ? '≥ ' : ''}{format(max)}</span>
+          </div>
+        </div>
+      )}
+      {glyphKey && (
+        <div className="mb-2 text-gray-700">
+          <div>{glyphKey.label}</div>
+          {glyphKey.segments.length > 0 && (
+            <ul className="space-y-1 mt-1">
+              {glyphKey.segments.map((segment, idx) => (
+                <li key={`segment-${idx}`} className="flex items-center gap-2">
+                  <span style={{ background: segment.color, width: '1rem', height: '1rem', display: 'inline-block' }} />
+                  {segment.label}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      <div className="flex flex-col gap-2">
+        <select
+          value={settings.palette}
+          onChange={(e) => handleChange('palette', e.target.value)}
+          className="p-1 border border-gray-300 rounded-md"
+        >
+          {['sequential', 'diverging', 'categorical'].map(type => (
+            <optgroup key={`palette-type-${type}`} label={type.charAt(0).toUpperCase() + type.slice(1)}>
+              {Object.entries(PALETTES)
+                .filter(([, palette]) => palette.type === type)
+                .map(([key, palette]) => (
+                  <option key={`palette-${key}`} value={key}>
+                    {palette.label}{palette.colorblindSafe ? ' (colorblind-safe)' : ''}
+                  </option>
+                ))}
+            </optgroup>
+          ))}
+        </select>
+        <select
+          value={settings.domain}
+          onChange={(e) => handleChange('domain', e.target.value)}
+          className="p-1 border border-gray-300 rounded-md"
+        >
+          {Object.entries(DOMAIN_MODES).map(([key, { label }]) => (
+            <option key={`domain-${key}`} value={key}>{label}</option>
+          ))}
+        </select>
+        {settings.domain === 'percentile' && (
+          <label className="flex items-center gap-2 text-gray-700">
+            Clip each end by
+            <input
+              type="number"
+              min="0"
+              max="49"
+              value={settings.percentile}
+              onChange={(e) => handleChange('percentile', e.target.value)}
+              className="p-1 border border-gray-300 rounded-md w-16"
+            />
+            %
+          </label>
+        )}
+        {settings.domain === 'fixed' && (
+          <div className="flex gap-2">
+            <input
+              type="number"
+              placeholder="Min"
+              value={settings.min}
+              onChange={(e) => handleChange('min', e.target.value)}
+              className="p-1 border border-gray-300 rounded-md w-full"
+            />
+            <input
+              type="number"
+              placeholder="Max"
+              value={settings.max}
+              onChange={(e) => handleChange('max', e.target.value)}
+              className="p-1 border border-gray-300 rounded-md w-full"
+            />
+          </div>
+        )}
+        {scale.error && <p className="text-red-600">{scale.error}</p>}
+      </div>
+    </div>
+  );
+}
+
+export default ColorLegend;
@@ -0,0 +1,59 @@
+// This component reports data quality issues in the applied table rows: rows the cube skips,
+// rows with blank or non-numeric fields, and rows that share their coordinates with other rows.
+import React from 'react';
+
+// Rows listed per section before the list is cut short.
+const MAX_LISTED = 50;
+
+function ReportSection({ title, description, items, renderItem }) {
+  if (items.length === 0) return null;
+  return (
+    <details className="mt-2">
+      <summary className="cursor-pointer text-gray-700">
+        <span className="font-semibold">{title}: {items.length}</span> — {description}
+      </summary>
+      <ul className="mt-1 text-sm text-gray-700 list-disc pl-5">
+        {items.slice(0, MAX_LISTED).map(renderItem)}
+        {items.length > MAX_LISTED && <li>…and {items.length - MAX_LISTED} more</li>}
+      </ul>
+    </details>
+  );
+}
+
+function DataQualityReport({ report }) {
+  const issueCount = report.skipped.length + report.incomplete.length + report.duplicates.length;
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg bg-gray-50 shadow-sm">
+      <h4 className="font-semibold text-lg mb-2 text-gray-700">Data Quality</h4>
+      {issueCount === 0 ? (
+        <p className="text-sm text-gray-600">
+          {report.rowCount === 0 ? 'No rows applied yet.' : `All ${report.rowCount} row(s) are complete and distinct.`}
+        </p>
+      ) : (
+        <p className="text-sm text-gray-600">{report.rowCount} row(s) applied to the cube.</p>
+      )}
+      <ReportSection
+        title="Skipped rows"
+        description="these rows have no value to show in the cube"
+        items={report.skipped}
+        renderItem={({ rowId, reason }) => <li key={`skipped-${rowId}`}>Row {rowId}: {reason}</li>}
+      />
+      <ReportSection
+        title="Incomplete rows"
+        description="blank dimensions leave the row out of axes showing them; blank or non-numeric measures are empty"
+        items={report.incomplete}
+        renderItem={({ rowId, issues }) => <li key={`incomplete-${rowId}`}>Row {rowId}: {issues.join(', ')}</li>}
+      />
+      <ReportSection
+        title="Duplicated coordinates"
+        description="these rows share every dimension member, so their values are aggregated into the same cells"
+        items={report.duplicates}
+        renderItem={({ rowIds, members }) => (
+          <li key={`duplicate-${rowIds.join('-')}`}>Rows {rowIds.join(', ')}: {members}</li>
+        )}
+      />
+    </div>
+  );
+}
+
+export default DataQualityReport;
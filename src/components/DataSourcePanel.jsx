@@ -0,0 +1,264 @@
+// This component connects a dataset to a URL serving JSON or CSV: the response's fields are previewed and mapped to
+// dimensions and measures, and the connected dataset is reloaded on request or at a refresh interval. For a dataset
+// that is already connected it shows the loading state, the last refresh and any error.
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  FIELD_ROLES,
+  REFRESH_INTERVALS,
+  SOURCE_FORMATS,
+  fetchSourceRecords,
+  inferFieldMapping,
+  mapSourceRecords,
+  validateFieldMapping,
+} from '../data/dataSources';
+
+// How many skipped records are listed after a load.
+const MAX_LISTED_ERRORS = 5;
+
+// A dataset name from a URL, e.g. 'http://localhost:3001/api/sales.json' → 'sales.json'.
+const nameFromUrl = (url) => {
+  try {
+    const { pathname, host } = new URL(url, window.location.href);
+    return pathname.split('/').filter(Boolean).pop() || host;
+  } catch {
+    return 'Connected data';
+  }
+};
+
+function DataSourcePanel({
+  source,           // The active dataset's source ({ url, format, recordsPath, fields, refreshSeconds }), or null
+  status,           // The source's load state: { loading, error, loadedAt, errors }
+  onConnect,        // Called with { name, source, rows } to create a dataset from a source and switch to it
+  onRefresh,        // Reloads the active dataset from its source now
+  onSourceChange,   // Called with the updated source (e.g. a new refresh interval)
+  onDisconnect,     // Keeps the rows as loaded last and stops loading from the source
+}) {
+  const [url, setUrl] = useState('');
+  const [format, setFormat] = useState('auto');
+  const [recordsPath, setRecordsPath] = useState('');
+  const [refreshSeconds, setRefreshSeconds] = useState(0);
+  const [name, setName] = useState('');
+  // The previewed response ({ headers, records }) and the field mapping being edited.
+  const [preview, setPreview] = useState(null);
+  const [fields, setFields] = useState([]);
+  const [previewing, setPreviewing] = useState(false);
+  const [error, setError] = useState(null);
+  const previewControllerRef = useRef(null);
+
+  // A preview still loading is cancelled when the panel goes away.
+  useEffect(() => () => {
+    if (previewControllerRef.current) previewControllerRef.current.abort();
+  }, []);
+
+  // Fetches the URL and proposes a mapping of its fields.
+  const handlePreview = async () => {
+    if (previewControllerRef.current) previewControllerRef.current.abort();
+    const controller = new AbortController();
+    previewControllerRef.current = controller;
+    setPreviewing(true);
+    setError(null);
+    try {
+      const result = await fetchSourceRecords({ url: url.trim(), format, recordsPath: recordsPath.trim() }, controller.signal);
+      if (result.headers.length === 0) {
+        setError('The response has no fields.');
+        setPreview(null);
+      } else {
+        setPreview(result);
+        setFields(inferFieldMapping(result.headers, result.records));
+        setName(prev => prev || nameFromUrl(url.trim()));
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      setError(err.message);
+      setPreview(null);
+    } finally {
+      if (previewControllerRef.current === controller) {
+        previewControllerRef.current = null;
+        setPreviewing(false);
+      }
+    }
+  };
+
+  const updateField = (field, changes) => {
+    setFields(prev => prev.map(f => (f.field === field ? { ...f, ...changes } : f)));
+  };
+
+  const handleConnect = () => {
+    const mappingError = validateFieldMapping(fields);
+    if (mappingError) {
+      setError(mappingError);
+      return;
+    }
+    const connected = { url: url.trim(), format, recordsPath: recordsPath.trim(), fields, refreshSeconds };
+    onConnect({ name: name.trim() || nameFromUrl(connected.url), source: connected, rows: mapSourceRecords(preview.records, fields).rows });
+    setPreview(null);
+    setFields([]);
+    setName('');
+    setError(null);
+  };
+
+  const intervalSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(Number(e.target.value))} className="p-2 border border-gray-300 rounded-md">
+      {REFRESH_INTERVALS.map(interval => (
+        <option key={`refresh-${interval.seconds}`} value={interval.seconds}>{interval.label}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg bg-gray-50 shadow-sm">
+      <h4 className="font-semibold text-lg mb-2 text-gray-700">Data Source</h4>
+
+      {source && (
+        <div className="mb-4 p-3 border border-blue-200 rounded-md bg-white text-sm">
+          <p className="text-gray-700 mb-1 break-all">
+            This dataset is loaded from <span className="font-mono">{source.url}</span>.
+            Edits in the table are replaced by the next refresh.
+          </p>
+          <p className="mb-2">
+            {status.loading && <span className="text-blue-600">Loading…</span>}
+            {!status.loading && status.error && <span className="text-red-600">{status.error}</span>}
+            {!status.loading && !status.error && status.loadedAt && (
+              <span className="text-gray-600">Last refreshed {new Date(status.loadedAt).toLocaleTimeString()}.</span>
+            )}
+            {!status.loading && status.error && status.loadedAt && (
+              <span className="text-gray-600"> Showing the data from {new Date(status.loadedAt).toLocaleTimeString()}.</span>
+            )}
+          </p>
+          {status.errors.length > 0 && (
+            <div className="mb-2 text-amber-700">
+              <p>{status.errors.length} record(s) skipped:</p>
+              <ul className="list-disc pl-5">
+                {status.errors.slice(0, MAX_LISTED_ERRORS).map(({ record, message }) => (
+                  <li key={`source-error-${record}`}>Record {record}: {message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          <div className="flex flex-col sm:flex-row gap-3 items-center">
+            {intervalSelect(source.refreshSeconds, (seconds) => onSourceChange({ ...source, refreshSeconds: seconds }))}
+            <button
+              onClick={onRefresh}
+              disabled={status.loading}
+              className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-md"
+            >
+              Refresh Now
+            </button>
+            <button onClick={onDisconnect} className="bg-gray-500 hover:bg-gray-600 text-white py-2 px-4 rounded-md">
+              Disconnect
+            </button>
+          </div>
+        </div>
+      )}
+
+      <p className="text-sm text-gray-600 mb-2">
+        Load a dataset from a URL serving JSON (a list of records) or CSV, e.g. a local dev server or a report export.
+        The server must allow cross-origin requests from this page.
+      </p>
+      <div className="flex flex-col sm:flex-row gap-3 mb-2">
+        <input
+          type="url"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="http://localhost:3001/api/sales"
+          className="p-2 border border-gray-300 rounded-md flex-grow"
+        />
+        <select value={format} onChange={(e) => setFormat(e.target.value)} className="p-2 border border-gray-300 rounded-md">
+          {Object.entries(SOURCE_FORMATS).map(([key, { label }]) => (
+            <option key={`source-format-${key}`} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+      {format !== 'csv' && (
+        <input
+          type="text"
+          value={recordsPath}
+          onChange={(e) => setRecordsPath(e.target.value)}
+          placeholder="Records path in the JSON, e.g. data.items (optional)"
+          className="p-2 border border-gray-300 rounded-md w-full mb-2"
+        />
+      )}
+      <button
+        onClick={handlePreview}
+        disabled={!url.trim() || previewing}
+        className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-md w-full"
+      >
+        {previewing ? 'Loading…' : 'Load Fields'}
+      </button>
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+
+      {preview && (
+        <div className="mt-3">
+          <p className="text-sm text-gray-600 mb-2">
+            {preview.records.length} record(s). Choose what each field becomes in the cube:
+          </p>
+          <table className="min-w-full text-sm border-collapse mb-3">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="p-1">Field</th>
+                <th className="p-1">Example</th>
+                <th className="p-1">Role</th>
+                <th className="p-1">Column</th>
+                <th className="p-1">Label</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map(f => (
+                <tr key={`source-field-${f.field}`}>
+                  <td className="p-1 font-mono">{f.field}</td>
+                  <td className="p-1 text-gray-500 truncate" style={{ maxWidth: '8rem' }}>
+                    {preview.records.length > 0 ? preview.records[0][f.field] : ''}
+                  </td>
+                  <td className="p-1">
+                    <select
+                      value={f.role}
+                      onChange={(e) => updateField(f.field, { role: e.target.value })}
+                      className="p-1 border border-gray-300 rounded-md"
+                    >
+                      {Object.entries(FIELD_ROLES).map(([key, { label }]) => (
+                        <option key={`role-${key}`} value={key}>{label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="p-1">
+                    <input
+                      type="text"
+                      value={f.key}
+                      disabled={f.role === 'ignore'}
+                      onChange={(e) => updateField(f.field, { key: e.target.value })}
+                      className="p-1 border border-gray-300 rounded-md w-full"
+                    />
+                  </td>
+                  <td className="p-1">
+                    <input
+                      type="text"
+                      value={f.label}
+                      disabled={f.role === 'ignore'}
+                      onChange={(e) => updateField(f.field, { label: e.target.value })}
+                      className="p-1 border border-gray-300 rounded-md w-full"
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex flex-col sm:flex-row gap-3 items-center">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Dataset name"
+              className="p-2 border border-gray-300 rounded-md flex-grow"
+            />
+            {intervalSelect(refreshSeconds, setRefreshSeconds)}
+            <button onClick={handleConnect} className="bg-green-500 hover:bg-green-600 text-white py-2 px-4 rounded-md">
+              Connect as New Dataset
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DataSourcePanel;
@@ -1,26 +1,99 @@
-// This component provides an editable table for users to input and modify their sales data.
-import React, { useState, useEffect } from 'react';
+// This component provides an editable table for users to input and modify their data. Columns come from the cube schema.
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { parseCsvRows, toCsv } from '../data/csvUtils';
+import { createEmptyRow, getSchemaColumns, isMeasure } from '../data/schema';
+import { validateRows } from '../data/validation';
+import { sortRows, filterRows, parseClipboardBlock, pasteBlock } from '../data/tableUtils';
+import { downloadFile } from '../utils/download';
 
-function DataTable({ data, onDataChange }) {
+// Page sizes offered for the table; only one page of inputs is rendered at a time.
+const PAGE_SIZES = [25, 50, 100, 250];
+
+// With a `readOnlyMessage` (e.g. for a dataset loaded from a URL, whose refreshes would replace any edits), the table
+// can be browsed and exported but not edited, and the message says why.
+function DataTable({ data, schema, onDataChange, onSchemaChange, readOnlyMessage = null }) {
+  const readOnly = Boolean(readOnlyMessage);
   // Internal state for the table data, initialized with the 'data' prop.
   const [tableData, setTableData] = useState(data);
   // State for the new row input fields
-  const [newRow, setNewRow] = useState({
-    continent: '', region: '', product: '', Q1: 0, Q2: 0, Q3: 0, Q4: 0
-  });
+  const [newRow, setNewRow] = useState(() => createEmptyRow(schema));
+  // State for file import: whether imported rows replace or extend the table, drag highlight and the last import's outcome.
+  const [importMode, setImportMode] = useState('replace');
+  const [isDragging, setIsDragging] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+  const fileInputRef = useRef(null);
+  // Validation: errors of the "Add New Data" inputs (shown after a rejected Add Row), whether invalid rows block
+  // or only warn on apply, and whether the problems are listed (after an apply attempt with invalid rows).
+  const [newRowErrors, setNewRowErrors] = useState({});
+  const [invalidRowsMode, setInvalidRowsMode] = useState('block');
+  const [showApplySummary, setShowApplySummary] = useState(false);
+  // Spreadsheet features: column sort, quick filter, paging, selected row ids and the outcome of the last paste.
+  const [sort, setSort] = useState(null);
+  const [quickFilter, setQuickFilter] = useState('');
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(50);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [pasteResult, setPasteResult] = useState(null);
 
   // Effect to update internal tableData state if the 'data' prop changes from parent (e.g., on reset).
   useEffect(() => {
     setTableData(data);
+    setSelectedIds(new Set());
   }, [data]);
 
+  // Back to the first page when the filter or sort changes which rows come first.
+  useEffect(() => {
+    setPage(0);
+  }, [quickFilter, sort, pageSize]);
+
+  // Effect to reset the "Add New Data" inputs when the schema (and therefore the columns) changes.
+  useEffect(() => {
+    setNewRow(createEmptyRow(schema));
+    setNewRowErrors({});
+  }, [schema]);
+
+  const columns = getSchemaColumns(schema);
+  const dimensionColumns = schema.dimensions.map(d => ({ ...d, type: 'text' }));
+  const measureColumns = schema.measures.map(m => ({ ...m, type: 'number' }));
+  const tableColumns = [...dimensionColumns, ...measureColumns];
+
+  // Errors per row and field, for highlighting the table's inputs.
+  const validation = useMemo(() => validateRows(tableData, schema), [tableData, schema]);
+
+  // The rows in the order shown (filtered, then sorted), and the page of them that is rendered.
+  const orderedRows = useMemo(
+    () => sortRows(filterRows(tableData, quickFilter, getSchemaColumns(schema)), sort, schema),
+    [tableData, quickFilter, sort, schema]
+  );
+  const pageCount = Math.max(1, Math.ceil(orderedRows.length / pageSize));
+  // Deleting rows can leave the current page past the end.
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRows = orderedRows.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+  const pageSelected = pageRows.length > 0 && pageRows.every(row => selectedIds.has(row.id));
+
+  // Converts typed text for a column. Measure text that isn't a number is kept as typed, so validation can flag it
+  // instead of it silently becoming 0.
+  const parseCellInput = (field, value) => {
+    if (!isMeasure(schema, field)) return value;
+    const trimmed = value.trim();
+    return trimmed !== '' && !Number.isNaN(Number(trimmed)) ? Number(trimmed) : value;
+  };
+
+  // Input styling, with a red highlight and the message as tooltip when the value is invalid.
+  const inputProps = (column, error) => ({
+    type: 'text',
+    inputMode: column.type === 'number' ? 'decimal' : undefined,
+    title: error || undefined,
+    className: `w-full p-2 border rounded-md ${error ? 'border-red-500 bg-red-50' : 'border-gray-300'}`,
+  });
+
   // Handles changes in input fields within the table.
   const handleInputChange = (e, id, field) => {
     const newValue = e.target.value;
     setTableData(prevData =>
       prevData.map(row =>
-        // Update the specific row and field. Convert Q values to numbers.
-        row.id === id ? { ...row, [field]: field.startsWith('Q') ? parseFloat(newValue) || 0 : newValue } : row
+        // Update the specific row and field. Convert measure values to numbers.
+        row.id === id ? { ...row, [field]: parseCellInput(field, newValue) } : row
       )
     );
   };
@@ -30,185 +103,456 @@ function DataTable({ data, onDataChange }) {
     const newValue = e.target.value;
     setNewRow(prev => ({
       ...prev,
-      [field]: field.startsWith('Q') ? parseFloat(newValue) || 0 : newValue
+      [field]: parseCellInput(field, newValue)
     }));
   };
 
-  // Adds a new row to the table from the "Add New Data" inputs.
+  // Adds a new row to the table from the "Add New Data" inputs, unless they break a validation rule.
   const handleAddRow = () => {
-    const newId = tableData.length > 0 ? Math.max(...tableData.map(row => row.id)) + 1 : 1;
+    const { errors } = validateRows([{ id: 'new', ...newRow }], schema);
+    if (errors.new) {
+      setNewRowErrors(errors.new);
+      return;
+    }
+    setNewRowErrors({});
+    const newId = tableData.reduce((max, row) => Math.max(max, Number(row.id) || 0), 0) + 1;
     setTableData(prevData => [
       ...prevData,
       { id: newId, ...newRow }
     ]);
     // Clear the new row input fields after adding
-    setNewRow({ continent: '', region: '', product: '', Q1: 0, Q2: 0, Q3: 0, Q4: 0 });
+    setNewRow(createEmptyRow(schema));
   };
 
   // Deletes a row from the table based on its ID.
   const handleDeleteRow = (id) => {
     setTableData(prevData => prevData.filter(row => row.id !== id));
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      next.delete(id);
+      return next;
+    });
+  };
+
+  // Clicking a header sorts ascending, then descending, then back to table order.
+  const handleSort = (column) => {
+    setSort(prev => {
+      if (!prev || prev.column !== column) return { column, direction: 'asc' };
+      return prev.direction === 'asc' ? { column, direction: 'desc' } : null;
+    });
+  };
+
+  const sortIndicator = (column) => {
+    if (!sort || sort.column !== column) return '';
+    return sort.direction === 'asc' ? ' ▲' : ' ▼';
+  };
+
+  const handleToggleRow = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id); else next.add(id);
+      return next;
+    });
+  };
+
+  // The header checkbox selects or clears the rows on the current page.
+  const handleTogglePage = () => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      pageRows.forEach(row => (pageSelected ? next.delete(row.id) : next.add(row.id)));
+      return next;
+    });
+  };
+
+  const handleDeleteSelected = () => {
+    setTableData(prevData => prevData.filter(row => !selectedIds.has(row.id)));
+    setSelectedIds(new Set());
+  };
+
+  // Appends a copy of each selected row, with new ids, and selects the copies.
+  const handleDuplicateSelected = () => {
+    let nextId = tableData.reduce((max, row) => Math.max(max, Number(row.id) || 0), 0) + 1;
+    const copies = tableData.filter(row => selectedIds.has(row.id)).map(row => ({ ...row, id: nextId++ }));
+    setTableData([...tableData, ...copies]);
+    setSelectedIds(new Set(copies.map(row => row.id)));
+  };
+
+  // Pastes a block copied from a spreadsheet (tab-separated, one line per row) with its top-left cell at the
+  // focused input. Single values without tabs or line breaks are left to the input's own paste.
+  const handlePaste = (e) => {
+    const { rowId, column } = e.target.dataset;
+    if (readOnly || rowId === undefined || !column) return;
+    const text = e.clipboardData.getData('text/plain').replace(/\r?\n$/, '');
+    if (!/[\t\n]/.test(text)) return;
+    e.preventDefault();
+    const orderedIds = orderedRows.map(row => row.id);
+    // Data attributes are strings; find the row id they stand for.
+    const startRowId = orderedIds.find(id => String(id) === rowId);
+    const result = pasteBlock(
+      tableData,
+      orderedIds,
+      startRowId,
+      tableColumns.map(c => c.key),
+      column,
+      parseClipboardBlock(text),
+      schema
+    );
+    setTableData(result.rows);
+    setPasteResult({ updatedCount: result.updatedCount, addedCount: result.addedCount });
+  };
+
+  // Reads a CSV/TSV file and loads its rows into the table, reporting any rows that couldn't be read.
+  // A file with different columns brings its own schema; it replaces the table and is applied to the cube right away,
+  // since the current cube can't be built from it.
+  const handleImportFile = async (file) => {
+    if (!file) return;
+    let text;
+    try {
+      text = await file.text();
+    } catch (error) {
+      // E.g. the file was moved or deleted after it was picked, or can't be read.
+      setImportResult({ fileName: file.name, readError: error.message || 'The file could not be read.' });
+      return;
+    }
+    const { rows, errors, delimiter, hasHeader, schema: fileSchema } = parseCsvRows(text, schema);
+    const importResultBase = {
+      fileName: file.name,
+      delimiter: delimiter === '\t' ? 'tab' : delimiter,
+      hasHeader,
+    };
+
+    if (fileSchema !== schema) {
+      if (importMode === 'append') {
+        setImportResult({
+          ...importResultBase,
+          rowCount: 0,
+          errors: [{ line: 1, message: 'The file has different columns than the table. Choose "Replace table rows" to load it as a new dataset.' }],
+        });
+        return;
+      }
+      const newData = rows.map((row, idx) => ({ id: idx + 1, ...row }));
+      setTableData(newData);
+      onSchemaChange(fileSchema, newData);
+      setImportResult({ ...importResultBase, rowCount: rows.length, errors, schemaChanged: true });
+      return;
+    }
+
+    setTableData(prevData => {
+      const baseData = importMode === 'append' ? prevData : [];
+      let nextId = baseData.reduce((max, row) => Math.max(max, Number(row.id) || 0), 0) + 1;
+      return [...baseData, ...rows.map(row => ({ id: nextId++, ...row }))];
+    });
+    setImportResult({ ...importResultBase, rowCount: rows.length, errors });
+  };
+
+  // Handles a file chosen through the file picker. The input is cleared so the same file can be picked again.
+  const handleFileInputChange = (e) => {
+    handleImportFile(e.target.files[0]);
+    e.target.value = '';
+  };
+
+  // Drag-and-drop handlers for the import drop zone.
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    setIsDragging(!readOnly);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (!readOnly) handleImportFile(e.dataTransfer.files[0]);
+  };
+
+  // Exports the rows currently in the table (including edits not yet applied to the cube) as CSV.
+  const handleExportTable = () => {
+    downloadFile('olap-data.csv', toCsv(tableData, columns), 'text/csv');
   };
 
   // Triggers the 'onDataChange' callback in the parent component (App.jsx)
-  // to load the current table data into the 3D cube.
+  // to load the current table data into the 3D cube. With invalid rows, the problems are listed first:
+  // in "block" mode the data isn't applied, in "warn" mode it can be applied anyway.
   const handleLoadData = () => {
+    if (validation.problems.length > 0) {
+      setShowApplySummary(true);
+      return;
+    }
+    setShowApplySummary(false);
+    onDataChange(tableData);
+  };
+
+  const handleApplyAnyway = () => {
+    setShowApplySummary(false);
     onDataChange(tableData);
   };
 
   return (
     <div className="overflow-x-auto">
+      {readOnly && <p className="mb-4 p-3 border border-blue-200 rounded-lg bg-blue-50 text-sm text-gray-700">{readOnlyMessage}</p>}
       {/* Input fields for adding new data, styled like the reference image */}
-      <div className="mb-4 p-4 border border-gray-200 rounded-lg bg-gray-50 shadow-sm">
-        <h4 className="font-semibold text-lg mb-3 text-gray-700">Add New Data</h4>
-        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3 mb-3">
-          <input
-            type="text"
-            placeholder="Continent"
-            value={newRow.continent}
-            onChange={(e) => handleNewRowInputChange(e, 'continent')}
-          />
-          <input
-            type="text"
-            placeholder="Region"
-            value={newRow.region}
-            onChange={(e) => handleNewRowInputChange(e, 'region')}
-          />
-          <input
-            type="text"
-            placeholder="Product"
-            value={newRow.product}
-            onChange={(e) => handleNewRowInputChange(e, 'product')}
-          />
-          {/* Empty div for layout spacing on larger screens */}
-          <div className="hidden lg:block"></div>
+      {!readOnly && (
+        <div className="mb-4 p-4 border border-gray-200 rounded-lg bg-gray-50 shadow-sm">
+          <h4 className="font-semibold text-lg mb-3 text-gray-700">Add New Data</h4>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3 mb-3">
+            {dimensionColumns.map(column => (
+              <input
+                key={`new-${column.key}`}
+                {...inputProps(column, newRowErrors[column.key])}
+                placeholder={column.label}
+                value={newRow[column.key] ?? ''}
+                onChange={(e) => handleNewRowInputChange(e, column.key)}
+              />
+            ))}
+          </div>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 mb-4">
+            {measureColumns.map(column => (
+              <input
+                key={`new-${column.key}`}
+                {...inputProps(column, newRowErrors[column.key])}
+                placeholder={column.label}
+                value={newRow[column.key] ?? ''}
+                onChange={(e) => handleNewRowInputChange(e, column.key)}
+              />
+            ))}
+          </div>
+          {Object.keys(newRowErrors).length > 0 && (
+            <p className="text-sm text-red-600 mb-2">
+              {Object.entries(newRowErrors).map(([field, message]) => `${tableColumns.find(c => c.key === field).label}: ${message}`).join('; ')}
+            </p>
+          )}
+          <button
+            onClick={handleAddRow}
+            className="bg-green-500 hover:bg-green-600 text-white py-2 px-4 rounded-md w-full"
+          >
+            Add Row
+          </button>
         </div>
-        <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 mb-4">
-          <input
-            type="number"
-            placeholder="Q1"
-            value={newRow.Q1}
-            onChange={(e) => handleNewRowInputChange(e, 'Q1')}
-          />
-          <input
-            type="number"
-            placeholder="Q2"
-            value={newRow.Q2}
-            onChange={(e) => handleNewRowInputChange(e, 'Q2')}
-          />
-          <input
-            type="number"
-            placeholder="Q3"
-            value={newRow.Q3}
-            onChange={(e) => handleNewRowInputChange(e, 'Q3')}
-          />
-          <input
-            type="number"
-            placeholder="Q4"
-            value={newRow.Q4}
-            onChange={(e) => handleNewRowInputChange(e, 'Q4')}
-          />
+      )}
+
+      {/* File import/export: a drop zone that also opens the file picker */}
+      <div
+        className={`mb-4 p-4 border-2 border-dashed rounded-lg shadow-sm ${isDragging ? 'border-blue-400 bg-blue-50' : 'border-gray-200 bg-gray-50'}`}
+        onDragOver={handleDragOver}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        <h4 className="font-semibold text-lg mb-2 text-gray-700">Import / Export</h4>
+        {!readOnly && (
+          <p className="text-sm text-gray-600 mb-3">
+            Drop a CSV or TSV file here, or choose one. Columns: {columns.join(', ')}.
+            A file with a header naming other columns is loaded as a new dataset.
+          </p>
+        )}
+        <div className="flex flex-col sm:flex-row gap-3 items-center">
+          {!readOnly && (
+            <>
+              <select
+                value={importMode}
+                onChange={(e) => setImportMode(e.target.value)}
+                className="p-2 border border-gray-300 rounded-md"
+              >
+                <option value="replace">Replace table rows</option>
+                <option value="append">Append to table rows</option>
+              </select>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+                onChange={handleFileInputChange}
+                style={{ display: 'none' }}
+              />
+              <button
+                onClick={() => fileInputRef.current.click()}
+                className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-md"
+              >
+                Choose File
+              </button>
+            </>
+          )}
+          <button
+            onClick={handleExportTable}
+            disabled={tableData.length === 0}
+            className="bg-gray-500 hover:bg-gray-600 text-white py-2 px-4 rounded-md"
+          >
+            Export Table (CSV)
+          </button>
         </div>
-        <button
-          onClick={handleAddRow}
-          className="bg-green-500 hover:bg-green-600 text-white py-2 px-4 rounded-md w-full"
-        >
-          Add Row
-        </button>
+        {importResult && importResult.readError && (
+          <p className="mt-3 text-sm text-red-600">Could not read {importResult.fileName}: {importResult.readError}</p>
+        )}
+        {importResult && !importResult.readError && (
+          <div className="mt-3 text-sm">
+            <p className="text-gray-700">
+              Imported {importResult.rowCount} row(s) from {importResult.fileName}
+              {' '}(delimiter: {importResult.delimiter}, {importResult.hasHeader ? 'with header' : 'no header'}).
+              {' '}{importResult.schemaChanged
+                ? 'The columns were detected from the header and the data was applied to the cube.'
+                : 'Click "Apply Data to Cube" to update the cube.'}
+            </p>
+            {importResult.errors.length > 0 && (
+              <ul className="mt-2 text-red-600 list-disc pl-5">
+                {importResult.errors.map((error, idx) => (
+                  <li key={`import-error-${idx}`}>Line {error.line}: {error.message}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
       </div>
 
-      <table className="min-w-full divide-y divide-gray-200">
+      {/* Quick filter, bulk actions on the selected rows, and the outcome of the last paste */}
+      <div className="mb-3 flex flex-col sm:flex-row gap-3 items-center">
+        <input
+          type="search"
+          placeholder="Filter rows..."
+          value={quickFilter}
+          onChange={(e) => setQuickFilter(e.target.value)}
+          className="p-2 border border-gray-300 rounded-md flex-1"
+        />
+        {selectedIds.size > 0 && (
+          <>
+            <span className="text-sm text-gray-700">{selectedIds.size} selected</span>
+            {!readOnly && (
+              <>
+                <button onClick={handleDeleteSelected} className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md text-sm">
+                  Delete Selected
+                </button>
+                <button onClick={handleDuplicateSelected} className="bg-gray-500 hover:bg-gray-600 text-white py-1 px-3 rounded-md text-sm">
+                  Duplicate Selected
+                </button>
+              </>
+            )}
+            <button onClick={() => setSelectedIds(new Set())} className="py-1 px-3 rounded-md text-sm">Clear Selection</button>
+          </>
+        )}
+      </div>
+      {pasteResult && (
+        <p className="mb-3 text-sm text-gray-700">
+          Pasted into {pasteResult.updatedCount} row(s){pasteResult.addedCount > 0 ? ` and added ${pasteResult.addedCount} new row(s)` : ''}.
+          {' '}<button onClick={() => setPasteResult(null)} className="underline">Dismiss</button>
+        </p>
+      )}
+
+      <table className="min-w-full divide-y divide-gray-200" onPaste={handlePaste}>
         <thead className="bg-gray-50">
           <tr>
-            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Continent</th>
-            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Region</th>
-            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
-            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Q1</th>
-            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Q2</th>
-            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Q3</th>
-            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Q4</th>
-            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            <th className="px-3 py-3">
+              <input type="checkbox" checked={pageSelected} onChange={handleTogglePage} title="Select the rows on this page" />
+            </th>
+            {tableColumns.map(column => (
+              <th
+                key={`head-${column.key}`}
+                onClick={() => handleSort(column.key)}
+                className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
+                title="Sort by this column"
+              >
+                {column.label}{sortIndicator(column.key)}
+              </th>
+            ))}
+            {!readOnly && <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>}
           </tr>
         </thead>
         <tbody className="bg-white divide-y divide-gray-200">
-          {tableData.map(row => (
-            <tr key={row.id}>
-              <td className="px-6 py-4 whitespace-nowrap">
-                <input
-                  type="text"
-                  value={row.continent}
-                  onChange={(e) => handleInputChange(e, row.id, 'continent')}
-                  className="w-full p-2 border border-gray-300 rounded-md"
-                />
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap">
-                <input
-                  type="text"
-                  value={row.region}
-                  onChange={(e) => handleInputChange(e, row.id, 'region')}
-                  className="w-full p-2 border border-gray-300 rounded-md"
-                />
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap">
-                <input
-                  type="text"
-                  value={row.product}
-                  onChange={(e) => handleInputChange(e, row.id, 'product')}
-                  className="w-full p-2 border border-gray-300 rounded-md"
-                />
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap">
-                <input
-                  type="number"
-                  value={row.Q1}
-                  onChange={(e) => handleInputChange(e, row.id, 'Q1')}
-                  className="w-full p-2 border border-gray-300 rounded-md"
-                />
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap">
-                <input
-                  type="number"
-                  value={row.Q2}
-                  onChange={(e) => handleInputChange(e, row.id, 'Q2')}
-                  className="w-full p-2 border border-gray-300 rounded-md"
-                />
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap">
-                <input
-                  type="number"
-                  value={row.Q3}
-                  onChange={(e) => handleInputChange(e, row.id, 'Q3')}
-                  className="w-full p-2 border border-gray-300 rounded-md"
-                />
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap">
-                <input
-                  type="number"
-                  value={row.Q4}
-                  onChange={(e) => handleInputChange(e, row.id, 'Q4')}
-                  className="w-full p-2 border border-gray-300 rounded-md"
-                />
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                <button
-                  onClick={() => handleDeleteRow(row.id)}
-                  className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md text-sm"
-                >
-                  Delete
-                </button>
+          {pageRows.map(row => (
+            <tr key={row.id} className={selectedIds.has(row.id) ? 'bg-blue-50' : undefined}>
+              <td className="px-3 py-4">
+                <input type="checkbox" checked={selectedIds.has(row.id)} onChange={() => handleToggleRow(row.id)} />
               </td>
+              {tableColumns.map(column => (
+                <td key={`${row.id}-${column.key}`} className="px-6 py-4 whitespace-nowrap">
+                  <input
+                    {...inputProps(column, validation.errors[row.id] && validation.errors[row.id][column.key])}
+                    value={row[column.key] ?? ''}
+                    readOnly={readOnly}
+                    onChange={(e) => handleInputChange(e, row.id, column.key)}
+                    data-row-id={row.id}
+                    data-column={column.key}
+                  />
+                </td>
+              ))}
+              {!readOnly && (
+                <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                  <button
+                    onClick={() => handleDeleteRow(row.id)}
+                    className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md text-sm"
+                  >
+                    Delete
+                  </button>
+                </td>
+              )}
             </tr>
           ))}
         </tbody>
       </table>
-      <div className="mt-4 flex justify-end"> {/* Moved Load Data button to the right */}
-        <button
-          onClick={handleLoadData}
-          className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-md"
-        >
-          Apply Data to Cube
-        </button>
+      {/* Paging: only the current page's rows are rendered */}
+      <div className="mt-3 flex flex-col sm:flex-row gap-3 items-center justify-between text-sm text-gray-700">
+        <span>
+          {orderedRows.length === tableData.length
+            ? `${tableData.length} row(s)`
+            : `${orderedRows.length} of ${tableData.length} row(s) match`}
+        </span>
+        <div className="flex gap-2 items-center">
+          <select
+            value={pageSize}
+            onChange={(e) => setPageSize(Number(e.target.value))}
+            className="p-1 border border-gray-300 rounded-md"
+          >
+            {PAGE_SIZES.map(size => <option key={`page-size-${size}`} value={size}>{size} per page</option>)}
+          </select>
+          <button onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0} className="py-1 px-3 rounded-md">
+            Prev
+          </button>
+          <span>Page {currentPage + 1} of {pageCount}</span>
+          <button onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount - 1} className="py-1 px-3 rounded-md">
+            Next
+          </button>
+        </div>
       </div>
+      {/* The list follows edits, and disappears once every problem is fixed */}
+      {showApplySummary && validation.problems.length > 0 && (
+        <div className="mt-4 p-4 border border-red-200 rounded-lg bg-red-50 text-sm">
+          <p className="font-semibold text-red-700">
+            {validation.invalidRowCount} row(s) have {validation.problems.length} problem(s).
+            {' '}{invalidRowsMode === 'block'
+              ? 'Fix the highlighted cells to apply the data.'
+              : 'Invalid measures are treated as empty and rows with blank dimensions are left out of those axes.'}
+          </p>
+          <ul className="mt-2 text-red-600 list-disc pl-5" style={{ maxHeight: '10rem', overflowY: 'auto' }}>
+            {validation.problems.map(problem => (
+              <li key={`problem-${problem.rowId}-${problem.field}`}>Row {problem.rowId} · {problem.label}: {problem.message}</li>
+            ))}
+          </ul>
+          <div className="mt-2 flex gap-2">
+            {invalidRowsMode === 'warn' && (
+              <button onClick={handleApplyAnyway} className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md">
+                Apply Anyway
+              </button>
+            )}
+            <button onClick={() => setShowApplySummary(false)} className="py-1 px-3 rounded-md">Dismiss</button>
+          </div>
+        </div>
+      )}
+      {!readOnly && (
+        <div className="mt-4 flex justify-end items-center gap-3"> {/* Moved Load Data button to the right */}
+          {validation.invalidRowCount > 0 && (
+            <span className="text-sm text-red-600">{validation.invalidRowCount} invalid row(s)</span>
+          )}
+          <select
+            value={invalidRowsMode}
+            onChange={(e) => setInvalidRowsMode(e.target.value)}
+            className="p-2 border border-gray-300 rounded-md"
+            title="What happens when rows break a validation rule"
+          >
+            <option value="block">Block invalid rows</option>
+            <option value="warn">Warn on invalid rows</option>
+          </select>
+          <button
+            onClick={handleLoadData}
+            className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-md"
+          >
+            Apply Data to Cube
+          </button>
+        </div>
+      )}
     </div>
   );
 }
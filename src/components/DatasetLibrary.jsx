@@ -0,0 +1,100 @@
+// This component lists the datasets stored in the browser. The active dataset is saved automatically;
+// others can be opened, renamed or deleted, and new (empty, copied or imported) datasets created.
+import React, { useRef, useState } from 'react';
+import NameInput from './NameInput';
+
+function DatasetLibrary({
+  datasets,         // The stored datasets ({ id, name, rowCount, updatedAt, sourceUrl? }), most recent first
+  activeId,         // Id of the dataset shown in the table and cube
+  error,            // Message from the last failed save, if any
+  onOpen,           // Called with the id of the dataset to switch to
+  onCreate,         // Creates an empty dataset and switches to it
+  onDuplicate,      // Copies the active dataset and switches to the copy
+  onRename,         // Called with (id, name)
+  onDelete,         // Called with the id of the dataset to delete
+  onImportView,     // Called with the text of an exported view (JSON); returns an error message, or null once opened
+}) {
+  const fileInputRef = useRef(null);
+  const [importError, setImportError] = useState(null);
+
+  // Reads an exported view; it opens as a new dataset, showing the view as it was exported.
+  const handleImportChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setImportError(onImportView(await file.text()));
+    } catch (err) {
+      setImportError(`The file could not be read: ${err.message}`);
+    }
+  };
+
+  // Deleting can't be undone, so it is confirmed first.
+  const handleDelete = (dataset) => {
+    if (window.confirm(`Delete dataset "${dataset.name}" and its saved views?`)) {
+      onDelete(dataset.id);
+    }
+  };
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg bg-gray-50 shadow-sm">
+      <h4 className="font-semibold text-lg mb-2 text-gray-700">Datasets</h4>
+      <p className="text-sm text-gray-600 mb-2">
+        Applied data and schema changes are saved in this browser automatically.
+      </p>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      {importError && <p className="text-sm text-red-600 mb-2">{importError}</p>}
+      <ul className="space-y-2 mb-3">
+        {datasets.map(dataset => (
+          <li
+            key={dataset.id}
+            className={`flex flex-col sm:flex-row gap-2 items-center p-2 border rounded-md bg-white ${dataset.id === activeId ? 'border-blue-400' : 'border-gray-200'}`}
+          >
+            <NameInput name={dataset.name} onRename={(name) => onRename(dataset.id, name)} />
+            <span className="text-xs text-gray-500 whitespace-nowrap" title={dataset.sourceUrl}>
+              {dataset.rowCount} row(s){dataset.sourceUrl ? ' from URL' : ''}, saved {new Date(dataset.updatedAt).toLocaleString()}
+            </span>
+            {dataset.id === activeId ? (
+              <span className="text-sm font-semibold text-blue-600 px-3">Open</span>
+            ) : (
+              <button onClick={() => onOpen(dataset.id)} className="py-1 px-3 rounded-md text-sm">
+                Open
+              </button>
+            )}
+            <button
+              onClick={() => handleDelete(dataset)}
+              disabled={datasets.length === 1}
+              className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md text-sm"
+            >
+              Delete
+            </button>
+          </li>
+        ))}
+      </ul>
+      <div className="flex flex-col sm:flex-row gap-3">
+        <button onClick={onCreate} className="bg-green-500 hover:bg-green-600 text-white py-2 px-4 rounded-md flex-grow">
+          New Dataset
+        </button>
+        <button onClick={onDuplicate} className="bg-gray-500 hover:bg-gray-600 text-white py-2 px-4 rounded-md flex-grow">
+          Duplicate Current
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImportChange}
+          style={{ display: 'none' }}
+        />
+        <button
+          onClick={() => fileInputRef.current.click()}
+          title="Open a view exported as JSON, with its data, as a new dataset"
+          className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-md flex-grow"
+        >
+          Import View (JSON)
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default DatasetLibrary;
@@ -0,0 +1,134 @@
+// This component exports the 3D view for reports and slides: a PNG or SVG snapshot at a chosen resolution (optionally
+// with a transparent background and the title and legend drawn over it), or the scene as a glTF/GLB model.
+import React, { useState } from 'react';
+import { formatCellValue } from '../data/dataProcessor';
+import { downloadFile } from '../utils/download';
+import { buildOverlaySvg, createPngSnapshot, createSvgSnapshot, renderSceneImage } from '../utils/snapshot';
+import { exportSceneAsGltf } from '../utils/sceneExport';
+
+const FORMATS = {
+  png: { label: 'PNG image', image: true },
+  svg: { label: 'SVG snapshot', image: true },
+  glb: { label: 'glTF binary (.glb)', image: false },
+  gltf: { label: 'glTF (.gltf)', image: false },
+};
+
+// Snapshot sizes; the current view size follows the canvas on screen.
+const RESOLUTIONS = {
+  view: { label: 'Current view size' },
+  hd: { label: '1920 × 1080', width: 1920, height: 1080 },
+  qhd: { label: '2560 × 1440', width: 2560, height: 1440 },
+  uhd: { label: '3840 × 2160 (4K)', width: 3840, height: 2160 },
+  square: { label: '2048 × 2048', width: 2048, height: 2048 },
+};
+
+function ExportMenu({
+  getThree,     // Returns the canvas's react-three-fiber state ({ gl, scene, camera }), or null before it is ready
+  title,        // What the cell values are, for the overlay title
+  colorScale,   // The color scale from createColorScale, for the overlay legend
+  aggregation,  // The aggregation function key, for number formatting
+  decimals,     // Decimals to format values with, when the displayed measure sets them
+  glyphKey,     // What the cell glyphs show besides color, as in the legend
+}) {
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState('png');
+  const [resolution, setResolution] = useState('view');
+  const [transparent, setTransparent] = useState(false);
+  const [withOverlay, setWithOverlay] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleExport = async () => {
+    const three = getThree();
+    if (!three) return;
+    setBusy(true);
+    setError(null);
+    try {
+      if (FORMATS[format].image) {
+        const size = RESOLUTIONS[resolution].width
+          ? RESOLUTIONS[resolution]
+          : {
+            width: Math.round(three.gl.domElement.clientWidth * three.gl.getPixelRatio()),
+            height: Math.round(three.gl.domElement.clientHeight * three.gl.getPixelRatio()),
+          };
+        const image = renderSceneImage(three, { ...size, transparent });
+        const overlay = withOverlay
+          ? buildOverlaySvg({
+            width: image.width,
+            title,
+            scale: colorScale,
+            format: (value) => formatCellValue(value, aggregation, decimals),
+            glyphKey,
+          })
+          : null;
+        if (format === 'png') {
+          downloadFile('cube-view.png', await createPngSnapshot(image, overlay));
+        } else {
+          downloadFile('cube-view.svg', createSvgSnapshot(image, overlay), 'image/svg+xml');
+        }
+      } else {
+        downloadFile(`cube-view.${format}`, await exportSceneAsGltf(three.scene, format === 'glb'));
+      }
+      setOpen(false);
+    } catch (err) {
+      console.error(`Export failed: ${err.message}`);
+      setError(`Export failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className="bg-gray-500 hover:bg-gray-600 text-white py-2 px-4 rounded-md"
+      >
+        Export Image / 3D
+      </button>
+      {open && (
+        <div
+          className="absolute bottom-full right-0 mb-2 p-3 border border-gray-200 rounded-lg bg-white shadow-md text-sm flex flex-col gap-2"
+          style={{ width: '16rem' }}
+        >
+          <select value={format} onChange={(e) => setFormat(e.target.value)} className="p-1 border border-gray-300 rounded-md">
+            {Object.entries(FORMATS).map(([key, { label }]) => (
+              <option key={`export-format-${key}`} value={key}>{label}</option>
+            ))}
+          </select>
+          {FORMATS[format].image ? (
+            <>
+              <select value={resolution} onChange={(e) => setResolution(e.target.value)} className="p-1 border border-gray-300 rounded-md">
+                {Object.entries(RESOLUTIONS).map(([key, { label }]) => (
+                  <option key={`export-resolution-${key}`} value={key}>{label}</option>
+                ))}
+              </select>
+              <label className="flex items-center gap-2 text-gray-700">
+                <input type="checkbox" checked={transparent} onChange={(e) => setTransparent(e.target.checked)} />
+                Transparent background
+              </label>
+              <label className="flex items-center gap-2 text-gray-700">
+                <input type="checkbox" checked={withOverlay} onChange={(e) => setWithOverlay(e.target.checked)} />
+                Include title and legend
+              </label>
+            </>
+          ) : (
+            <p className="text-gray-600">
+              Cells become named meshes and labels textured planes, for viewing in other 3D tools.
+            </p>
+          )}
+          {error && <p className="text-red-600">{error}</p>}
+          <button
+            onClick={handleExport}
+            disabled={busy}
+            className="bg-blue-500 hover:bg-blue-600 text-white py-1 px-3 rounded-md"
+          >
+            {busy ? 'Exporting…' : 'Export'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,142 @@
+// This component edits one dice filter condition: the field to filter, the operator and the value(s).
+// Dimension values are picked from the members actually present in the loaded data.
+import React from 'react';
+import { FILTER_OPERATORS, getDefaultFilterValue } from '../data/dataProcessor';
+
+function FilterConditionEditor({
+  condition,        // The condition being edited: { field, op, value }
+  dimensions,       // Dimensions ({ key, label }) that can be filtered
+  measures,         // Numeric fields ({ key, label }) that can be filtered by range
+  fieldValues,      // Distinct values of the selected field, for the value pickers
+  error,            // Validation message to show under the condition, if any
+  onChange,         // Called with the updated condition
+  onRemove,         // Called when the condition is removed
+}) {
+  const isMeasureField = measures.some(m => m.key === condition.field);
+  const operators = Object.entries(FILTER_OPERATORS)
+    .filter(([, { kind }]) => kind === (isMeasureField ? 'measure' : 'dimension'));
+
+  // Changing the field resets the operator to a sensible default for its kind.
+  const handleFieldChange = (field) => {
+    const op = measures.some(m => m.key === field) ? 'gt' : 'in';
+    onChange({ field, op, value: getDefaultFilterValue(op) });
+  };
+
+  const handleOperatorChange = (op) => {
+    onChange({ ...condition, op, value: getDefaultFilterValue(op) });
+  };
+
+  // Toggles one member of an in/not-in pick list.
+  const handleToggleMember = (member) => {
+    const value = condition.value.includes(member)
+      ? condition.value.filter(v => v !== member)
+      : [...condition.value, member];
+    onChange({ ...condition, value });
+  };
+
+  const renderValueEditor = () => {
+    const { op, value } = condition;
+    if (op === 'in' || op === 'notIn') {
+      return (
+        <div className="border border-gray-300 rounded-md p-2 bg-white" style={{ maxHeight: '8rem', overflowY: 'auto' }}>
+          {fieldValues.length === 0 && <span className="text-sm text-gray-500">No values in the data.</span>}
+          {fieldValues.map(member => (
+            <label key={`member-${member}`} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={value.includes(String(member))}
+                onChange={() => handleToggleMember(String(member))}
+              />
+              {String(member)}
+            </label>
+          ))}
+        </div>
+      );
+    }
+    if (op === 'eq') {
+      return (
+        <select
+          value={value}
+          onChange={(e) => onChange({ ...condition, value: e.target.value })}
+          className="p-2 border border-gray-300 rounded-md flex-grow"
+        >
+          <option value="">(Choose a value)</option>
+          {fieldValues.map(member => (
+            <option key={`eq-${member}`} value={String(member)}>{String(member)}</option>
+          ))}
+        </select>
+      );
+    }
+    if (op === 'between') {
+      return (
+        <div className="flex gap-2">
+          <input
+            type="number"
+            placeholder="Min"
+            value={value[0]}
+            onChange={(e) => onChange({ ...condition, value: [e.target.value, value[1]] })}
+            className="p-2 border border-gray-300 rounded-md"
+          />
+          <input
+            type="number"
+            placeholder="Max"
+            value={value[1]}
+            onChange={(e) => onChange({ ...condition, value: [value[0], e.target.value] })}
+            className="p-2 border border-gray-300 rounded-md"
+          />
+        </div>
+      );
+    }
+    return (
+      <input
+        type={FILTER_OPERATORS[op].kind === 'measure' ? 'number' : 'text'}
+        placeholder={op === 'regex' ? 'e.g. ^(North|South)' : 'Value'}
+        value={value}
+        onChange={(e) => onChange({ ...condition, value: e.target.value })}
+        className="p-2 border border-gray-300 rounded-md flex-grow"
+      />
+    );
+  };
+
+  return (
+    <div className="p-2 border border-gray-200 rounded-md bg-white">
+      <div className="flex flex-col sm:flex-row gap-2 items-start">
+        <select
+          value={condition.field}
+          onChange={(e) => handleFieldChange(e.target.value)}
+          className="p-2 border border-gray-300 rounded-md"
+        >
+          <optgroup label="Dimensions">
+            {dimensions.map(dim => (
+              <option key={`field-${dim.key}`} value={dim.key}>{dim.label}</option>
+            ))}
+          </optgroup>
+          <optgroup label="Measures">
+            {measures.map(measure => (
+              <option key={`field-${measure.key}`} value={measure.key}>{measure.label}</option>
+            ))}
+          </optgroup>
+        </select>
+        <select
+          value={condition.op}
+          onChange={(e) => handleOperatorChange(e.target.value)}
+          className="p-2 border border-gray-300 rounded-md"
+        >
+          {operators.map(([op, { label }]) => (
+            <option key={`op-${op}`} value={op}>{label}</option>
+          ))}
+        </select>
+        <div className="flex-grow">{renderValueEditor()}</div>
+        <button
+          onClick={onRemove}
+          className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md text-sm"
+        >
+          Remove
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+}
+
+export default FilterConditionEditor;
@@ -0,0 +1,34 @@
+// A text input for renaming a saved item. It keeps its own text while typing and only reports the new name
+// when the field loses focus or Enter is pressed, so storage isn't rewritten on every keystroke.
+import React, { useState, useEffect } from 'react';
+
+function NameInput({ name, onRename }) {
+  const [text, setText] = useState(name);
+
+  useEffect(() => {
+    setText(name);
+  }, [name]);
+
+  // Empty names are refused; the field goes back to the current name.
+  const commit = () => {
+    const trimmed = text.trim();
+    if (!trimmed) {
+      setText(name);
+    } else if (trimmed !== name) {
+      onRename(trimmed);
+    }
+  };
+
+  return (
+    <input
+      type="text"
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }}
+      className="p-2 border border-gray-300 rounded-md flex-grow"
+    />
+  );
+}
+
+export default NameInput;
@@ -1,27 +1,64 @@
 // This component provides the user interface for performing various OLAP operations.
 import React, { useState, useEffect } from 'react';
+import { AGGREGATIONS, describeFilter, validateFilterCondition, getDefaultFilterValue } from '../data/dataProcessor';
+import { TIME_CALCULATIONS, isTimeCalculationAvailable } from '../data/timeIntelligence';
+import { RANK_SORTS } from '../data/ranking';
+import { GLYPH_SHAPES } from '../data/glyphs';
+import FilterConditionEditor from './FilterConditionEditor';
 
 function OlapControls({
   onSlice,          // Callback for slice operation
   onDice,           // Callback for dice operation
   onPivot,          // Callback for pivot operation
-  onRollUp,         // Callback for roll-up operation
-  onDrillDown,      // Callback for drill-down operation
+  onRollUp,         // Callback for roll-up operation (receives the axis to roll up)
+  onDrillDown,      // Callback for drill-down operation (receives the axis to drill down)
+  onSetLevel,       // Callback to jump an axis to a hierarchy level from its breadcrumb
+  onRank,           // Callback for rank operation ({ axis, sort, measure, limit, others })
+  onAggregationChange, // Callback when the aggregation function changes
+  onMeasureChange,  // Callback when the displayed measure changes
+  onTimeCalculationChange, // Callback when the time calculation ({ mode, window }) changes
+  onGlyphSettingsChange, // Callback when the cell glyph settings ({ shape, measures }) change
+  onShowEmptyCellsChange, // Callback when empty cells are shown or hidden
+  onAnimateChange,  // Callback when animating changes to the cube is turned on or off
   onReset,          // Callback for reset operation
   currentAxisMapping, // Current axis mapping from parent (App.jsx)
-  isRolledUp,       // State indicating if data is currently rolled up
-  availableDimensions, // List of dimensions available for filtering/pivoting
+  axisLevels,       // Per-axis hierarchy breadcrumbs and whether each axis can roll up / drill down
+  aggregation,      // Current aggregation function key (e.g. 'sum', 'avg')
+  measure,          // Key of the measure shown in the cells (the base value or a calculated measure)
+  measureOptions,   // Measures that can be shown ({ key, label }), from getMeasureOptions
+  timeCalculation,  // Current time calculation ({ mode, window })
+  timeAxes,         // The time levels on the axes, from getTimeAxes, deciding which time calculations are available
+  glyphSettings,    // Current cell glyph settings ({ shape, measures })
+  showEmptyCells,   // Whether cells without data are drawn as wireframes
+  animate,          // Whether changes to the cube are animated
+  availableDimensions, // List of dimensions ({ key, label }) available for filtering/pivoting, from the cube schema
+  measureFields,    // Numeric fields ({ key, label }) available for range filters
+  fieldValues,      // Distinct values per field in the loaded data, for the filter value pickers
+  activeFilters,    // Filters currently applied to the cube, keyed by field
+  rankings,         // Ranking of each ranked axis, from evaluatePipeline
 }) {
   // State for slice operation inputs
-  const [sliceDimension, setSliceDimension] = useState('continent');
+  const [sliceDimension, setSliceDimension] = useState(availableDimensions[0] ? availableDimensions[0].key : '');
   const [sliceValue, setSliceValue] = useState('');
-  // State for dice operation filters (object where key is dimension, value is filter string)
-  const [diceFilters, setDiceFilters] = useState({});
+  // State for dice operation filters: a list of conditions ({ field, op, value }), one per field
+  const [diceConditions, setDiceConditions] = useState([]);
+  // Validation messages for the dice conditions, by index, shown after a failed apply
+  const [diceErrors, setDiceErrors] = useState({});
 
   // States for pivot operation axis selections
   const [pivotX, setPivotX] = useState(currentAxisMapping.x);
   const [pivotY, setPivotY] = useState(currentAxisMapping.y);
   const [pivotZ, setPivotZ] = useState(currentAxisMapping.z);
+  // The axis that roll-up and drill-down move along. Defaults to Z, where time usually sits.
+  const [hierarchyAxis, setHierarchyAxis] = useState('z');
+  const selectedAxisLevels = axisLevels.find(a => a.axis === hierarchyAxis);
+  // State for rank operation inputs; they show the axis's current ranking, if any.
+  const [rankAxis, setRankAxis] = useState('x');
+  const [rankSort, setRankSort] = useState('desc');
+  const [rankMeasure, setRankMeasure] = useState(measure);
+  const [rankLimitType, setRankLimitType] = useState('');
+  const [rankCount, setRankCount] = useState(5);
+  const [rankOthers, setRankOthers] = useState(false);
 
   // Effect to update pivot states when the currentAxisMapping prop changes from the parent.
   useEffect(() => {
@@ -30,38 +67,123 @@ function OlapControls({
     setPivotZ(currentAxisMapping.z);
   }, [currentAxisMapping]);
 
-  // Handles changes in dice filter input fields.
-  const handleDiceFilterChange = (dimension, value) => {
-    setDiceFilters(prev => ({
-      ...prev,
-      [dimension]: value,
-    }));
+  // Effect to load the ranking of the selected axis into the rank inputs.
+  useEffect(() => {
+    const ranking = rankings[rankAxis];
+    setRankSort(ranking ? ranking.sort : 'desc');
+    setRankMeasure(ranking ? ranking.measure : measure);
+    setRankLimitType(ranking && ranking.limit ? ranking.limit.type : '');
+    if (ranking && ranking.limit) setRankCount(ranking.limit.count);
+    setRankOthers(ranking ? ranking.others : false);
+  }, [rankAxis, rankings, measure]);
+
+  // Effect to reset filter inputs when the schema (and therefore the dimension list) changes.
+  useEffect(() => {
+    setSliceDimension(availableDimensions[0] ? availableDimensions[0].key : '');
+    setSliceValue('');
+    setDiceConditions([]);
+    setDiceErrors({});
+  }, [availableDimensions]);
+
+  // Adds a dice condition on the first dimension not filtered yet.
+  const handleAddDiceCondition = () => {
+    const used = diceConditions.map(c => c.field);
+    const field = (availableDimensions.find(dim => !used.includes(dim.key)) || availableDimensions[0]).key;
+    setDiceConditions(prev => [...prev, { field, op: 'in', value: getDefaultFilterValue('in') }]);
+  };
+
+  // Handles changes to one dice condition.
+  const handleDiceConditionChange = (idx, condition) => {
+    setDiceConditions(prev => prev.map((c, i) => (i === idx ? condition : c)));
+    setDiceErrors({});
+  };
+
+  const handleRemoveDiceCondition = (idx) => {
+    setDiceConditions(prev => prev.filter((c, i) => i !== idx));
+    setDiceErrors({});
   };
 
-  // Applies the dice operation by calling the 'onDice' callback with active filters.
+  // Applies the dice operation by calling the 'onDice' callback with the conditions keyed by field.
+  // Invalid conditions (e.g. a bad regex) are reported next to the condition and nothing is applied.
   const handleApplyDice = () => {
-    // Filter out any empty filter values before applying.
-    const activeFilters = Object.fromEntries(
-      Object.entries(diceFilters).filter(([, value]) => value !== '')
+    const errors = {};
+    diceConditions.forEach((condition, idx) => {
+      const error = validateFilterCondition(condition);
+      if (error) {
+        errors[idx] = error;
+      } else if (diceConditions.findIndex(c => c.field === condition.field) !== idx) {
+        errors[idx] = 'This field already has a condition; combine them into one (e.g. use "between").';
+      }
+    });
+    setDiceErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    const filters = Object.fromEntries(
+      diceConditions.map(({ field, op, value }) => [field, { op, value }])
     );
-    onDice(activeFilters);
+    onDice(filters);
+  };
+
+  // Changes the glyph shape. A shape showing measures starts from the displayed one (and, for stacks, the next one)
+  // when none is chosen yet.
+  const handleGlyphShapeChange = (shape) => {
+    let { measures } = glyphSettings;
+    if (shape !== 'block' && measures.length === 0) {
+      measures = GLYPH_SHAPES[shape].multiple
+        ? measureOptions.slice(0, 2).map(option => option.key)
+        : [measure];
+    }
+    onGlyphSettingsChange({ shape, measures });
+  };
+
+  // Adds or removes a measure of stacked glyphs, keeping the order of the measure list.
+  const handleToggleGlyphMeasure = (key, checked) => {
+    const chosen = checked ? [...glyphSettings.measures, key] : glyphSettings.measures.filter(m => m !== key);
+    onGlyphSettingsChange({
+      ...glyphSettings,
+      measures: measureOptions.map(option => option.key).filter(k => chosen.includes(k)),
+    });
+  };
+
+  // Applies the rank operation; "All members" in member order clears the axis's ranking.
+  const handleApplyRank = () => {
+    const count = Math.max(1, Math.round(Number(rankCount) || 1));
+    onRank({
+      axis: rankAxis,
+      sort: rankSort,
+      measure: rankMeasure,
+      limit: rankLimitType ? { type: rankLimitType, count } : null,
+      others: Boolean(rankLimitType) && rankOthers,
+    });
   };
 
   // Applies the pivot operation by calling the 'onPivot' callback with new axis mapping.
   const handleApplyPivot = () => {
-    // Basic validation: ensure X, Y, and Z axes are unique.
-    const uniqueAxes = new Set([pivotX, pivotY, pivotZ]);
-    if (uniqueAxes.size !== 3) {
+    // Basic validation: ensure X, Y, and Z axes are unique (unmapped axes are allowed to repeat).
+    const mappedAxes = [pivotX, pivotY, pivotZ].filter(Boolean);
+    if (new Set(mappedAxes).size !== mappedAxes.length) {
       // Using a console log instead of alert for better user experience in an iframe.
       console.error('Error: X, Y, and Z axes must be unique for pivoting.');
       // You could implement a custom modal or message box here for user feedback.
       return;
     }
-    onPivot({ x: pivotX, y: pivotY, z: pivotZ });
+    onPivot({ x: pivotX || null, y: pivotY || null, z: pivotZ || null });
   };
 
-  // Filter out 'quarter' from dimensions available for slice/dice, as it's typically a measure.
-  const dimensionsForSliceDice = availableDimensions.filter(d => d !== 'quarter');
+  // Renders the options of an axis select; an axis can also be left unmapped.
+  // An axis rolled up to "All" keeps that level as an extra option so the select reflects it.
+  const renderAxisOptions = (axis) => {
+    const current = axisLevels.find(a => a.axis === axis);
+    const currentLevel = current && current.levels.find(level => level.key === current.current);
+    const isExtraLevel = currentLevel && !availableDimensions.some(dim => dim.key === currentLevel.key);
+    return [
+      <option key={`pivot-${axis}-none`} value="">(None)</option>,
+      ...(isExtraLevel ? [<option key={`pivot-${axis}-${currentLevel.key}`} value={currentLevel.key}>{currentLevel.label}</option>] : []),
+      ...availableDimensions.map(dim => (
+        <option key={`pivot-${axis}-${dim.key}`} value={dim.key}>{dim.label}</option>
+      )),
+    ];
+  };
 
   return (
     <div className="olap-controls space-y-6">
@@ -80,60 +202,336 @@ function OlapControls({
           Apply Pivot
         </button>
         <button
-          onClick={onRollUp}
-          disabled={isRolledUp}
+          onClick={() => onRollUp(hierarchyAxis)}
+          // Disable roll-up once the selected axis is at its hierarchy's "All" level
+          disabled={!selectedAxisLevels || !selectedAxisLevels.canRollUp}
           className="btn-rollup-drilldown"
         >
           Roll-up
         </button>
         <button
-          onClick={onDrillDown}
-          // Disable drill-down if already showing base data (not rolled up and no filters applied)
-          disabled={!isRolledUp && Object.values(diceFilters).every(val => val === '') && sliceValue === ''}
+          onClick={() => onDrillDown(hierarchyAxis)}
+          // Disable drill-down once the selected axis is at its finest level
+          disabled={!selectedAxisLevels || !selectedAxisLevels.canDrillDown}
           className="btn-rollup-drilldown"
         >
           Drill-down
         </button>
       </div>
 
+      {/* Summary of the filters currently applied */}
+      {Object.keys(activeFilters).length > 0 && (
+        <p className="text-sm text-gray-700">
+          <span className="font-semibold">Active filters:</span>{' '}
+          {Object.entries(activeFilters)
+            .map(([field, condition]) => describeFilter(
+              [...availableDimensions, ...measureFields].find(f => f.key === field)?.label || field,
+              condition
+            ))
+            .join('; ')}
+        </p>
+      )}
+
+      {/* Roll-up / Drill-down: hierarchy level breadcrumbs per axis */}
+      <div className="p-4 border border-gray-200 rounded-lg bg-gray-50 shadow-sm">
+        <h4 className="font-semibold text-lg mb-2 text-gray-700">Roll-up / Drill-down (Hierarchy levels)</h4>
+        <div className="flex flex-col sm:flex-row gap-3 items-center mb-3">
+          <label className="text-gray-700">Aggregate with:</label>
+          <select
+            value={aggregation}
+            onChange={(e) => onAggregationChange(e.target.value)}
+            className="p-2 border border-gray-300 rounded-md flex-grow"
+          >
+            {Object.entries(AGGREGATIONS).map(([key, { label }]) => (
+              <option key={`aggregation-${key}`} value={key}>{label}</option>
+            ))}
+          </select>
+          <label className="text-gray-700">Show:</label>
+          <select
+            value={measure}
+            onChange={(e) => onMeasureChange(e.target.value)}
+            className="p-2 border border-gray-300 rounded-md flex-grow"
+          >
+            {measureOptions.map(({ key, label }) => (
+              <option key={`measure-${key}`} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex flex-col sm:flex-row gap-3 items-center mb-3">
+          <label className="text-gray-700">Along axis:</label>
+          <select
+            value={hierarchyAxis}
+            onChange={(e) => setHierarchyAxis(e.target.value)}
+            className="p-2 border border-gray-300 rounded-md flex-grow"
+          >
+            {axisLevels.map(({ axis, levels, current }) => (
+              <option key={`hierarchy-axis-${axis}`} value={axis} disabled={levels.length === 0}>
+                {axis.toUpperCase()}-Axis{current ? ` (${levels.find(level => level.key === current).label})` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+        <ul className="space-y-1 text-sm">
+          {axisLevels.filter(({ levels }) => levels.length > 0).map(({ axis, levels, current }) => (
+            <li key={`breadcrumb-${axis}`} className="text-gray-700">
+              <span className="font-semibold">{axis.toUpperCase()}:</span>{' '}
+              {levels.map((level, idx) => (
+                <React.Fragment key={`breadcrumb-${axis}-${level.key}`}>
+                  {idx > 0 && ' › '}
+                  {level.key === current ? (
+                    <strong>{level.label}</strong>
+                  ) : Object.values(currentAxisMapping).includes(level.key) ? (
+                    // A level shown on another axis can't be picked here as well.
+                    <span className="text-gray-400">{level.label}</span>
+                  ) : (
+                    <a
+                      href="#"
+                      onClick={(e) => {
+                        e.preventDefault();
+                        onSetLevel(axis, level.key);
+                      }}
+                      className="text-blue-600 hover:underline"
+                    >
+                      {level.label}
+                    </a>
+                  )}
+                </React.Fragment>
+              ))}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {/* Time calculations: display modes computed along the time axis, leaving the data as it is */}
+      <div className="p-4 border border-gray-200 rounded-lg bg-gray-50 shadow-sm">
+        <h4 className="font-semibold text-lg mb-2 text-gray-700">Time Calculations</h4>
+        <div className="flex flex-col sm:flex-row gap-3 items-center mb-2">
+          <select
+            value={timeCalculation.mode}
+            onChange={(e) => onTimeCalculationChange({ ...timeCalculation, mode: e.target.value })}
+            className="p-2 border border-gray-300 rounded-md flex-grow"
+          >
+            {Object.entries(TIME_CALCULATIONS).map(([key, { label }]) => (
+              <option key={`time-calculation-${key}`} value={key} disabled={!isTimeCalculationAvailable(key, timeAxes)}>
+                {label}
+              </option>
+            ))}
+          </select>
+          {timeCalculation.mode === 'movingAvg' && (
+            <label className="text-gray-700 flex items-center gap-2">
+              Over
+              <input
+                type="number"
+                min="1"
+                value={timeCalculation.window}
+                onChange={(e) => onTimeCalculationChange({ ...timeCalculation, window: Math.max(1, Number(e.target.value) || 1) })}
+                className="p-2 border border-gray-300 rounded-md w-20"
+              />
+              periods
+            </label>
+          )}
+        </div>
+        {timeAxes.message && <p className="text-sm text-gray-600">{timeAxes.message}</p>}
+        {!isTimeCalculationAvailable(timeCalculation.mode, timeAxes) && (
+          <p className="text-sm text-red-600">{TIME_CALCULATIONS[timeCalculation.mode].label} is unavailable with the current axes; plain values are shown.</p>
+        )}
+      </div>
+
+      {/* Cell glyphs: a second measure shown by bar height, cube size or stacked segments, next to the color */}
+      <div className="p-4 border border-gray-200 rounded-lg bg-gray-50 shadow-sm">
+        <h4 className="font-semibold text-lg mb-2 text-gray-700">Cell Glyphs (Compare measures)</h4>
+        <div className="flex flex-col sm:flex-row gap-3 items-center mb-2">
+          <select
+            value={glyphSettings.shape}
+            onChange={(e) => handleGlyphShapeChange(e.target.value)}
+            className="p-2 border border-gray-300 rounded-md flex-grow"
+          >
+            {Object.entries(GLYPH_SHAPES).map(([key, { label }]) => (
+              <option key={`glyph-shape-${key}`} value={key}>{label}</option>
+            ))}
+          </select>
+          {(glyphSettings.shape === 'bar' || glyphSettings.shape === 'size') && (
+            <>
+              <label className="text-gray-700">Scaled by:</label>
+              <select
+                value={glyphSettings.measures[0] || ''}
+                onChange={(e) => onGlyphSettingsChange({ ...glyphSettings, measures: [e.target.value] })}
+                className="p-2 border border-gray-300 rounded-md flex-grow"
+              >
+                {measureOptions.map(({ key, label }) => (
+                  <option key={`glyph-measure-${key}`} value={key}>{label}</option>
+                ))}
+              </select>
+            </>
+          )}
+        </div>
+        {glyphSettings.shape === 'stacked' && (
+          <div className="flex flex-wrap gap-3 text-sm text-gray-700">
+            {measureOptions.map(({ key, label }) => (
+              <label key={`glyph-stack-${key}`} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={glyphSettings.measures.includes(key)}
+                  onChange={(e) => handleToggleGlyphMeasure(key, e.target.checked)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        )}
+        {glyphSettings.shape !== 'block' && (
+          <p className="text-sm text-gray-600 mt-2">
+            {glyphSettings.shape === 'stacked'
+              ? 'Segments are colored by measure and stacked by value; empty and negative values are left out.'
+              : 'Colors still show the displayed measure.'}
+            {measureOptions.length < 2 && ' Add measure columns (in a long layout) or calculated measures to compare several.'}
+          </p>
+        )}
+      </div>
+
+      {/* Display: how the cube draws its cells, apart from what they show */}
+      <div className="p-4 border border-gray-200 rounded-lg bg-gray-50 shadow-sm">
+        <h4 className="font-semibold text-lg mb-2 text-gray-700">Display</h4>
+        <div className="flex flex-wrap gap-4 text-gray-700">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={showEmptyCells}
+              onChange={(e) => onShowEmptyCellsChange(e.target.checked)}
+            />
+            Show empty cells
+            <span style={{ width: '1rem', height: '1rem', display: 'inline-block', border: '1px dashed gray' }} />
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={animate}
+              onChange={(e) => onAnimateChange(e.target.checked)}
+            />
+            Animate changes
+          </label>
+        </div>
+      </div>
+
+      {/* Rank / Top-N: member order by a measure, optionally keeping only the top or bottom members */}
+      <div className="p-4 border border-gray-200 rounded-lg bg-gray-50 shadow-sm">
+        <h4 className="font-semibold text-lg mb-2 text-gray-700">Rank / Top-N (Order and limit an axis's members)</h4>
+        <div className="flex flex-col sm:flex-row gap-3 items-center mb-3">
+          <select
+            value={rankAxis}
+            onChange={(e) => setRankAxis(e.target.value)}
+            className="p-2 border border-gray-300 rounded-md flex-grow"
+          >
+            {axisLevels.map(({ axis, levels, current }) => (
+              <option key={`rank-axis-${axis}`} value={axis} disabled={!current}>
+                {axis.toUpperCase()}-Axis{current ? ` (${(levels.find(level => level.key === current) || { label: current }).label})` : ''}
+              </option>
+            ))}
+          </select>
+          <select
+            value={rankSort}
+            onChange={(e) => setRankSort(e.target.value)}
+            className="p-2 border border-gray-300 rounded-md flex-grow"
+          >
+            {Object.entries(RANK_SORTS).map(([key, { label }]) => (
+              <option key={`rank-sort-${key}`} value={key}>{label}</option>
+            ))}
+          </select>
+          <label className="text-gray-700">By:</label>
+          <select
+            value={rankMeasure}
+            onChange={(e) => setRankMeasure(e.target.value)}
+            className="p-2 border border-gray-300 rounded-md flex-grow"
+          >
+            {measureOptions.map(({ key, label }) => (
+              <option key={`rank-measure-${key}`} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex flex-col sm:flex-row gap-3 items-center mb-3">
+          <select
+            value={rankLimitType}
+            onChange={(e) => setRankLimitType(e.target.value)}
+            className="p-2 border border-gray-300 rounded-md flex-grow"
+          >
+            <option value="">All members</option>
+            <option value="top">Top</option>
+            <option value="bottom">Bottom</option>
+          </select>
+          {rankLimitType && (
+            <>
+              <input
+                type="number"
+                min="1"
+                value={rankCount}
+                onChange={(e) => setRankCount(e.target.value)}
+                className="p-2 border border-gray-300 rounded-md w-20"
+              />
+              <label className="text-gray-700 flex items-center gap-2">
+                <input type="checkbox" checked={rankOthers} onChange={(e) => setRankOthers(e.target.checked)} />
+                Group the rest as "Others"
+              </label>
+            </>
+          )}
+        </div>
+        <button onClick={handleApplyRank} className="btn-pivot w-full">
+          Apply Rank
+        </button>
+      </div>
+
       {/* Slice Operation */}
       <div className="p-4 border border-gray-200 rounded-lg bg-gray-50 shadow-sm">
-        <h4 className="font-semibold text-lg mb-2 text-gray-700">Slice (Filter by one dimension)</h4>
+        <h4 className="font-semibold text-lg mb-2 text-gray-700">Slice (Keep one member of a dimension)</h4>
         <div className="flex flex-col sm:flex-row gap-3 items-center">
           <select
             value={sliceDimension}
             onChange={(e) => setSliceDimension(e.target.value)}
             className="p-2 border border-gray-300 rounded-md flex-grow"
           >
-            {dimensionsForSliceDice.map(dim => (
-              <option key={dim} value={dim}>{dim.charAt(0).toUpperCase() + dim.slice(1)}</option>
+            {availableDimensions.map(dim => (
+              <option key={dim.key} value={dim.key}>{dim.label}</option>
             ))}
           </select>
-          <input
-            type="text"
-            placeholder={`Value for ${sliceDimension}`}
+          <select
             value={sliceValue}
             onChange={(e) => setSliceValue(e.target.value)}
             className="p-2 border border-gray-300 rounded-md flex-grow"
-          />
+          >
+            <option value="">(Choose a value)</option>
+            {(fieldValues[sliceDimension] || []).map(member => (
+              <option key={`slice-${member}`} value={String(member)}>{String(member)}</option>
+            ))}
+          </select>
         </div>
       </div>
 
       {/* Dice Operation */}
       <div className="p-4 border border-gray-200 rounded-lg bg-gray-50 shadow-sm">
         <h4 className="font-semibold text-lg mb-2 text-gray-700">Dice (Filter multiple dimensions)</h4>
-        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-3">
-          {dimensionsForSliceDice.map(dim => (
-            <input
-              key={`dice-${dim}`}
-              type="text"
-              placeholder={`${dim.charAt(0).toUpperCase() + dim.slice(1)} filter`}
-              value={diceFilters[dim] || ''}
-              onChange={(e) => handleDiceFilterChange(dim, e.target.value)}
-              className="p-2 border border-gray-300 rounded-md"
+        <div className="space-y-2 mb-3">
+          {diceConditions.length === 0 && (
+            <p className="text-sm text-gray-600">No conditions. Add one per dimension or measure to filter on.</p>
+          )}
+          {diceConditions.map((condition, idx) => (
+            <FilterConditionEditor
+              key={`dice-${idx}`}
+              condition={condition}
+              dimensions={availableDimensions}
+              measures={measureFields}
+              fieldValues={fieldValues[condition.field] || []}
+              error={diceErrors[idx]}
+              onChange={(updated) => handleDiceConditionChange(idx, updated)}
+              onRemove={() => handleRemoveDiceCondition(idx)}
             />
           ))}
         </div>
+        <button
+          onClick={handleAddDiceCondition}
+          disabled={availableDimensions.length === 0}
+          className="bg-green-500 hover:bg-green-600 text-white py-2 px-4 rounded-md w-full mb-3"
+        >
+          Add Condition
+        </button>
         <button
           onClick={handleApplyDice}
           className="btn-slice-dice w-full"
@@ -148,32 +546,27 @@ function OlapControls({
         <div className="flex flex-col sm:flex-row gap-3 items-center mb-3">
           <label className="text-gray-700">X-Axis:</label>
           <select
-            value={pivotX}
+            value={pivotX || ''}
             onChange={(e) => setPivotX(e.target.value)}
             className="p-2 border border-gray-300 rounded-md flex-grow"
           >
-            {dimensionsForSliceDice.map(dim => (
-              <option key={`pivot-x-${dim}`} value={dim}>{dim.charAt(0).toUpperCase() + dim.slice(1)}</option>
-            ))}
+            {renderAxisOptions('x')}
           </select>
           <label className="text-gray-700">Y-Axis:</label>
           <select
-            value={pivotY}
+            value={pivotY || ''}
             onChange={(e) => setPivotY(e.target.value)}
             className="p-2 border border-gray-300 rounded-md flex-grow"
           >
-            {dimensionsForSliceDice.map(dim => (
-              <option key={`pivot-y-${dim}`} value={dim}>{dim.charAt(0).toUpperCase() + dim.slice(1)}</option>
-            ))}
+            {renderAxisOptions('y')}
           </select>
-          <label className="text-gray-700">Z-Axis (Quarter):</label>
+          <label className="text-gray-700">Z-Axis:</label>
           <select
-            value={pivotZ}
+            value={pivotZ || ''}
             onChange={(e) => setPivotZ(e.target.value)}
             className="p-2 border border-gray-300 rounded-md flex-grow"
           >
-            <option value="quarter">Quarter</option>
-            {/* You could add other measures here if available */}
+            {renderAxisOptions('z')}
           </select>
         </div>
       </div>
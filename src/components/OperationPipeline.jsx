@@ -0,0 +1,96 @@
+// This component shows the OLAP operations applied to the cube as an ordered list of steps.
+// Steps can be disabled, removed or reordered, and every change can be undone or redone.
+import React from 'react';
+import { describeOperation } from '../data/operationPipeline';
+
+function OperationPipeline({
+  operations,       // The pipeline, in order
+  steps,            // Evaluation notes per step ({ id, note }) from evaluatePipeline
+  schema,           // The cube schema, for step descriptions
+  onChange,         // Called with the edited pipeline
+  onUndo,           // Undo the last pipeline change
+  onRedo,           // Redo the last undone change
+  canUndo,
+  canRedo,
+}) {
+  // Moves a step up (-1) or down (+1) in the pipeline.
+  const handleMove = (idx, step) => {
+    const target = idx + step;
+    if (target < 0 || target >= operations.length) return;
+    const reordered = [...operations];
+    [reordered[idx], reordered[target]] = [reordered[target], reordered[idx]];
+    onChange(reordered);
+  };
+
+  const handleToggle = (idx) => {
+    onChange(operations.map((op, i) => (i === idx ? { ...op, disabled: !op.disabled } : op)));
+  };
+
+  const handleRemove = (idx) => {
+    onChange(operations.filter((op, i) => i !== idx));
+  };
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg bg-gray-50 shadow-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-semibold text-lg text-gray-700">Operation Pipeline</h4>
+        <div className="flex gap-2">
+          <button onClick={onUndo} disabled={!canUndo} className="py-1 px-3 rounded-md text-sm">Undo</button>
+          <button onClick={onRedo} disabled={!canRedo} className="py-1 px-3 rounded-md text-sm">Redo</button>
+        </div>
+      </div>
+      {operations.length === 0 ? (
+        <p className="text-sm text-gray-600">No operations yet. The cube shows all data at the default axes.</p>
+      ) : (
+        <ol className="space-y-2">
+          {operations.map((operation, idx) => {
+            const step = steps.find(s => s.id === operation.id);
+            return (
+              <li
+                key={operation.id}
+                className={`flex flex-col sm:flex-row gap-2 items-center p-2 border border-gray-200 rounded-md bg-white ${operation.disabled ? 'opacity-50' : ''}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={!operation.disabled}
+                  onChange={() => handleToggle(idx)}
+                  title="Enable or disable this step"
+                />
+                <div className="flex-grow text-sm text-gray-700">
+                  <span className="font-semibold">{idx + 1}.</span> {describeOperation(operation, schema)}
+                  {step && step.note && !operation.disabled && (
+                    <span className="block text-xs text-yellow-700">{step.note}</span>
+                  )}
+                </div>
+                <button
+                  onClick={() => handleMove(idx, -1)}
+                  disabled={idx === 0}
+                  className="py-1 px-2 rounded-md text-sm"
+                  title="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  onClick={() => handleMove(idx, 1)}
+                  disabled={idx === operations.length - 1}
+                  className="py-1 px-2 rounded-md text-sm"
+                  title="Move down"
+                >
+                  ↓
+                </button>
+                <button
+                  onClick={() => handleRemove(idx)}
+                  className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md text-sm"
+                >
+                  Remove
+                </button>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default OperationPipeline;
@@ -0,0 +1,219 @@
+// This component shows the cube as a 2D pivot table (crosstab): the levels on the cube's axes are laid out
+// as nested rows and columns, with subtotals and grand totals. Selection is shared with the 3D view. The table is built
+// by the cube engine, and the previous one stays shown while the next is built.
+import React, { useEffect, useState, useMemo } from 'react';
+import { formatCellValue } from '../data/dataProcessor';
+import { buildColumnHeaders } from '../data/pivotTable';
+import { formatMember } from '../data/ranking';
+import { getDimensionLabel } from '../data/schema';
+
+// Rows beyond this are not rendered; the table says how many were left out.
+const MAX_ROWS = 500;
+// Where each axis goes by default: Y down the rows, X and Z across the columns.
+const DEFAULT_LAYOUT = { x: 'columns', y: 'rows', z: 'columns' };
+
+const headerClass = 'px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider border border-gray-200';
+
+function PivotTable({
+  queryPivot,       // Resolves with the table of a layout ({ rowLevels, columnLevels, sort, limit }), as the engine's queryPivot
+  cubeData,         // The cube cells, for linking the selection
+  axisMapping,      // The level shown on each axis
+  schema,
+  aggregation,
+  decimals,         // Decimals to format values with, when the measure sets them
+  selectedCellId,   // Id of the selected cube cell, if any
+  onSelectCell,     // Called with the cube cell behind a clicked table cell
+}) {
+  // Where each axis is laid out: 'rows', 'columns' or 'none' (totalled over).
+  const [layout, setLayout] = useState(DEFAULT_LAYOUT);
+  // Row sort: by member (column null) or by a column's values; null keeps member order.
+  const [sort, setSort] = useState(null);
+
+  const axes = ['x', 'y', 'z'].filter(axis => axisMapping[axis]);
+  const levelsFor = (place) => [...new Set(axes.filter(axis => layout[axis] === place).map(axis => axisMapping[axis]))];
+  // The level lists are rebuilt on every render, so the table is queried on their JSON.
+  const rowKey = JSON.stringify(levelsFor('rows'));
+  const columnKey = JSON.stringify(levelsFor('columns'));
+
+  // The table last built, with the levels it was built for: { rowLevels, columnLevels, rows, columns, values, rowCount }.
+  const [table, setTable] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const layoutLevels = { rowLevels: JSON.parse(rowKey), columnLevels: JSON.parse(columnKey) };
+    queryPivot({ ...layoutLevels, sort, limit: MAX_ROWS }, { signal: controller.signal })
+      .then(result => {
+        setTable({ ...layoutLevels, ...result });
+        setError(null);
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') setError(err.message);
+      });
+    return () => controller.abort();
+  }, [queryPivot, rowKey, columnKey, sort]);
+
+  const headerRows = useMemo(() => (table ? buildColumnHeaders(table.columns, table.columnLevels.length) : []), [table]);
+
+  if (!table) {
+    return <p className={`text-sm ${error ? 'text-red-600' : 'text-gray-600'}`}>{error || 'Building the pivot table…'}</p>;
+  }
+  const { rowLevels, columnLevels } = table;
+
+  const selectedCell = cubeData.find(cell => cell.id === selectedCellId);
+  // Whether a row or column entry lies on the selected cube cell.
+  const isOnSelection = (entry, levels) =>
+    Boolean(selectedCell) && entry.type === 'leaf' && levels.every((level, i) => entry.members[i] === selectedCell[level]);
+
+  // A table cell selects its cube cell when it stands for exactly one (every axis is laid out as rows or columns).
+  const handleCellClick = (row, column) => {
+    if (row.type !== 'leaf' && rowLevels.length > 0) return;
+    if (column.type !== 'leaf' && columnLevels.length > 0) return;
+    const matches = cubeData.filter(cell =>
+      rowLevels.every((level, i) => cell[level] === row.members[i]) &&
+      columnLevels.every((level, i) => cell[level] === column.members[i])
+    );
+    if (matches.length === 1) onSelectCell(matches[0]);
+  };
+
+  // Clicking a header sorts ascending, then descending, then back to member order.
+  const handleSort = (column) => {
+    setSort(prev => {
+      if (!prev || prev.column !== column) return { column, direction: 'asc' };
+      return prev.direction === 'asc' ? { column, direction: 'desc' } : null;
+    });
+  };
+
+  const sortIndicator = (column) => {
+    if (!sort || sort.column !== column) return '';
+    return sort.direction === 'asc' ? ' ▲' : ' ▼';
+  };
+
+  const handleSwap = () => {
+    setLayout(prev => Object.fromEntries(Object.entries(prev).map(([axis, place]) => [
+      axis,
+      place === 'rows' ? 'columns' : place === 'columns' ? 'rows' : place,
+    ])));
+    setSort(null);
+  };
+
+  const rowHeaderSpan = Math.max(rowLevels.length, 1);
+  const visibleRows = table.rows;
+
+  // The row header cells of one row: nested members (shown once per group), or a subtotal/total label.
+  const renderRowHeaders = (row, idx) => {
+    const previous = visibleRows[idx - 1];
+    if (row.type === 'total') {
+      return <th colSpan={rowHeaderSpan} className={`${headerClass} bg-gray-100`}>Grand Total</th>;
+    }
+    if (row.type === 'subtotal') {
+      const depth = row.members.length;
+      return [
+        ...Array.from({ length: depth - 1 }, (_, i) => <th key={`blank-${i}`} className={headerClass} />),
+        <th key="subtotal" colSpan={rowLevels.length - depth + 1} className={`${headerClass} bg-gray-50`}>
+          {String(formatMember(row.members[depth - 1]))} Total
+        </th>,
+      ];
+    }
+    return row.members.map((member, i) => {
+      const sameGroup = previous && JSON.stringify(previous.members.slice(0, i + 1)) === JSON.stringify(row.members.slice(0, i + 1));
+      return (
+        <th key={`member-${i}`} className={`${headerClass} normal-case text-gray-700`}>
+          {sameGroup ? '' : String(formatMember(member))}
+        </th>
+      );
+    });
+  };
+
+  const cellClass = (row, column) => {
+    const rowSelected = isOnSelection(row, rowLevels);
+    const columnSelected = isOnSelection(column, columnLevels);
+    if (selectedCell && (rowSelected || rowLevels.length === 0) && (columnSelected || columnLevels.length === 0)) {
+      return 'bg-yellow-300 font-semibold';
+    }
+    if (rowSelected || columnSelected) return 'bg-yellow-50';
+    if (row.type !== 'leaf' || column.type !== 'leaf') return 'bg-gray-50 font-semibold';
+    return 'bg-white';
+  };
+
+  return (
+    <div className="w-full">
+      <div className="flex flex-col sm:flex-row gap-3 items-center mb-3">
+        {axes.map(axis => (
+          <label key={`layout-${axis}`} className="text-sm text-gray-700 flex items-center gap-2">
+            {axis.toUpperCase()} · {getDimensionLabel(schema, axisMapping[axis])}
+            <select
+              value={layout[axis]}
+              onChange={(e) => { setLayout(prev => ({ ...prev, [axis]: e.target.value })); setSort(null); }}
+              className="p-1 border border-gray-300 rounded-md"
+            >
+              <option value="rows">Rows</option>
+              <option value="columns">Columns</option>
+              <option value="none">Totalled</option>
+            </select>
+          </label>
+        ))}
+        <button onClick={handleSwap} className="py-1 px-3 rounded-md text-sm">Swap Rows/Columns</button>
+      </div>
+      <div className="overflow-auto" style={{ maxHeight: '60vh' }}>
+        <table className="min-w-full text-sm border-collapse">
+          <thead className="bg-gray-50">
+            {headerRows.map((cells, depth) => (
+              <tr key={`header-${depth}`}>
+                {depth === 0 && (
+                  <th
+                    rowSpan={headerRows.length}
+                    colSpan={rowHeaderSpan}
+                    onClick={() => handleSort(null)}
+                    className={`${headerClass} cursor-pointer`}
+                    title="Sort rows by member"
+                  >
+                    {rowLevels.map(level => getDimensionLabel(schema, level)).join(' › ') || 'All'}
+                    {sortIndicator(null)}
+                  </th>
+                )}
+                {cells.map(cell => (
+                  <th
+                    key={`${depth}-${cell.key}`}
+                    colSpan={cell.colSpan}
+                    rowSpan={cell.rowSpan}
+                    onClick={cell.column ? () => handleSort(cell.column.key) : undefined}
+                    className={`${headerClass} normal-case text-gray-700 ${cell.column ? 'cursor-pointer' : ''}`}
+                    title={cell.column ? 'Sort rows by this column' : undefined}
+                  >
+                    {String(cell.label)}
+                    {cell.column && sortIndicator(cell.column.key)}
+                  </th>
+                ))}
+              </tr>
+            ))}
+          </thead>
+          <tbody>
+            {visibleRows.map((row, idx) => (
+              <tr key={`${row.type}-${row.key}`}>
+                {renderRowHeaders(row, idx)}
+                {table.columns.map((column, columnIdx) => (
+                  <td
+                    key={`${column.type}-${column.key}`}
+                    onClick={() => handleCellClick(row, column)}
+                    className={`px-3 py-2 text-right border border-gray-200 cursor-pointer ${cellClass(row, column)}`}
+                  >
+                    {formatCellValue(table.values[idx][columnIdx], aggregation, decimals)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+      {table.rowCount > MAX_ROWS && (
+        <p className="text-sm text-gray-600 mt-2">
+          Showing the first {MAX_ROWS} of {table.rowCount} rows. Roll up or filter to see the rest.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default PivotTable;
@@ -0,0 +1,70 @@
+// This component is a console for cube queries (see data/cubeQuery.js): a query typed here replaces the view with the
+// axes, filters, rankings, aggregation and measures it selects, as an undoable change, and an error points at the
+// place in the query it was found.
+import React, { useState } from 'react';
+import { compileQuery } from '../data/cubeQuery';
+
+const EXAMPLE_QUERY = 'SELECT SUM(value), continent ON COLUMNS, product ON ROWS\nWHERE region IN (\'North\', \'South\')\nTOP 5 ROWS';
+
+// The line and column (both from 1) of a character position, and the text of that line.
+const locate = (text, position) => {
+  const lines = text.slice(0, position).split('\n');
+  const line = lines.length;
+  return { line, column: lines[line - 1].length + 1, text: text.split('\n')[line - 1] };
+};
+
+function QueryConsole({ schema, datasetName, onRun }) {
+  const [query, setQuery] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleRun = () => {
+    const compiled = compileQuery(query, schema, datasetName);
+    setError(compiled.error);
+    if (compiled.view) onRun(compiled.view);
+  };
+
+  const location = error ? locate(query, error.position) : null;
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg bg-gray-50 shadow-sm">
+      <h4 className="font-semibold text-lg mb-2 text-gray-700">Query</h4>
+      <textarea
+        value={query}
+        placeholder={EXAMPLE_QUERY}
+        rows={4}
+        spellCheck={false}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setError(null);
+        }}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            handleRun();
+          }
+        }}
+        className={`w-full p-2 border rounded-md font-mono text-sm ${error ? 'border-red-500' : 'border-gray-300'}`}
+      />
+      {error && (
+        <div className="text-sm text-red-600 mb-2">
+          {/* Point at the error in its line of the query */}
+          {query.trim() && (
+            <pre className="font-mono text-gray-700 overflow-x-auto">{location.text}{'\n'}{' '.repeat(location.column - 1)}^</pre>
+          )}
+          {query.trim() ? `Line ${location.line}, column ${location.column}: ` : ''}{error.message}
+        </div>
+      )}
+      <button onClick={handleRun} className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-md w-full mb-3">
+        Run Query (Ctrl+Enter)
+      </button>
+      <p className="text-sm text-gray-600">
+        SELECT measures, as SUM/AVG/MIN/MAX/COUNT/DISTINCT(measure), and levels ON COLUMNS, ROWS or PAGES; then
+        optionally WHERE conditions joined by AND (=, &lt;&gt;, &lt;, &gt;, IN (...), NOT IN, CONTAINS, MATCHES,
+        BETWEEN ... AND ...), and TOP n / BOTTOM n axis [BY measure] [WITH OTHERS] or ORDER axis BY measure [ASC|DESC].
+        Measures after the first are drawn as bars or stacks on the cells. Use [brackets] for names with spaces.
+      </p>
+    </div>
+  );
+}
+
+export default QueryConsole;
@@ -0,0 +1,65 @@
+// This component saves the current view (pipeline, aggregation, measure and camera) of the active dataset under a name,
+// and lists the saved views so they can be reopened, renamed or deleted.
+import React, { useState } from 'react';
+import NameInput from './NameInput';
+
+function SavedViews({
+  views,            // The active dataset's saved views ({ id, name, ... })
+  error,            // Message from the last failed save, if any
+  onSave,           // Called with the name to save the current view under
+  onOpen,           // Called with the saved view to restore
+  onRename,         // Called with (id, name)
+  onDelete,         // Called with the id of the view to delete
+}) {
+  const [name, setName] = useState('');
+
+  const handleSave = () => {
+    onSave(name.trim() || `View ${views.length + 1}`);
+    setName('');
+  };
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg bg-gray-50 shadow-sm">
+      <h4 className="font-semibold text-lg mb-2 text-gray-700">Saved Views</h4>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      <div className="flex flex-col sm:flex-row gap-3 items-center mb-3">
+        <input
+          type="text"
+          placeholder={`View ${views.length + 1}`}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') handleSave(); }}
+          className="p-2 border border-gray-300 rounded-md flex-grow"
+        />
+        <button onClick={handleSave} className="bg-green-500 hover:bg-green-600 text-white py-2 px-4 rounded-md">
+          Save Current View
+        </button>
+      </div>
+      {views.length === 0 ? (
+        <p className="text-sm text-gray-600">No saved views for this dataset yet.</p>
+      ) : (
+        <ul className="space-y-2">
+          {views.map(view => (
+            <li key={view.id} className="flex flex-col sm:flex-row gap-2 items-center p-2 border border-gray-200 rounded-md bg-white">
+              <NameInput name={view.name} onRename={(newName) => onRename(view.id, newName)} />
+              <span className="text-xs text-gray-500 whitespace-nowrap">
+                {view.operations.length} step(s)
+              </span>
+              <button onClick={() => onOpen(view)} className="py-1 px-3 rounded-md text-sm">
+                Open
+              </button>
+              <button
+                onClick={() => onDelete(view.id)}
+                className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md text-sm"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SavedViews;
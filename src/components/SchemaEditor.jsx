@@ -0,0 +1,246 @@
+// This component lets users review and adjust the cube schema: which columns are dimensions or measures,
+// their labels and validation rules, which dimension represents time, and the hierarchies used by roll-up and drill-down.
+import React, { useState, useEffect } from 'react';
+import { getColumnRules } from '../data/validation';
+
+// Select value used when the measure columns themselves are the periods of the time dimension (e.g. Q1-Q4).
+const TIME_FROM_MEASURES = '__measures__';
+
+// Text input for a hierarchy's levels. It keeps its own text while typing so a trailing '>' isn't swallowed,
+// and only reports the parsed levels when the field loses focus.
+function HierarchyLevelsInput({ levels, onChange }) {
+  const [text, setText] = useState(levels.join(' > '));
+
+  useEffect(() => {
+    setText(levels.join(' > '));
+  }, [levels]);
+
+  return (
+    <input
+      type="text"
+      placeholder="e.g. continent > region > country"
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={() => onChange(text)}
+      className="p-2 border border-gray-300 rounded-md flex-grow"
+    />
+  );
+}
+
+// Text input for a column's allowed values, comma-separated. Like HierarchyLevelsInput, it reports on blur.
+function AllowedValuesInput({ values, onChange }) {
+  const [text, setText] = useState(values.join(', '));
+
+  useEffect(() => {
+    setText(values.join(', '));
+  }, [values]);
+
+  return (
+    <input
+      type="text"
+      placeholder="Any value"
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={() => onChange(text.split(',').map(value => value.trim()).filter(Boolean))}
+      className="w-full p-2 border border-gray-300 rounded-md"
+    />
+  );
+}
+
+function SchemaEditor({ schema, onSchemaChange }) {
+  const columns = [
+    ...schema.dimensions.map(d => ({ ...d, role: 'dimension' })),
+    ...schema.measures.map(m => ({ ...m, role: 'measure' })),
+  ];
+
+  // Rebuilds the schema from an edited column list, keeping the time dimension valid.
+  const updateColumns = (newColumns, timeDimension = schema.timeDimension) => {
+    const toColumn = ({ key, label, rules }) => (rules ? { key, label, rules } : { key, label });
+    const dimensions = newColumns.filter(c => c.role === 'dimension').map(toColumn);
+    const measures = newColumns.filter(c => c.role === 'measure').map(toColumn);
+    let time = timeDimension;
+    // A time dimension column that is no longer a dimension can't be the time dimension.
+    if (time && !time.fromMeasures && !dimensions.some(d => d.key === time.key)) {
+      time = null;
+    }
+    // Keep a column-based time dimension's label in sync with its column.
+    if (time && !time.fromMeasures) {
+      time = { ...time, label: dimensions.find(d => d.key === time.key).label };
+    }
+    onSchemaChange({ ...schema, dimensions, measures, timeDimension: time });
+  };
+
+  // Handles changes to a column's role or label. A column changing role starts over with that role's default rules.
+  const handleColumnChange = (key, field, value) => {
+    updateColumns(columns.map(c => {
+      if (c.key !== key) return c;
+      const changed = { ...c, [field]: value };
+      if (field === 'role') delete changed.rules;
+      return changed;
+    }));
+  };
+
+  // Handles changes to one of a column's validation rules.
+  const handleRuleChange = (key, rule, value) => {
+    updateColumns(columns.map(c => (c.key === key ? { ...c, rules: { ...c.rules, [rule]: value } } : c)));
+  };
+
+  // Handles the time dimension select.
+  const handleTimeChange = (value) => {
+    let time = null;
+    if (value === TIME_FROM_MEASURES) {
+      time = { key: 'period', label: 'Period', fromMeasures: true };
+    } else if (value) {
+      time = { key: value, label: schema.dimensions.find(d => d.key === value).label };
+    }
+    updateColumns(columns, time);
+  };
+
+  const hierarchies = schema.hierarchies || [];
+
+  // Handles edits to a hierarchy. Levels are typed top-down, separated by '>' (e.g. "continent > region > country").
+  const handleHierarchyChange = (idx, field, value) => {
+    const newHierarchies = hierarchies.map((h, i) => {
+      if (i !== idx) return h;
+      if (field === 'levels') {
+        return { ...h, levels: value.split('>').map(level => level.trim()).filter(Boolean) };
+      }
+      return { ...h, [field]: value };
+    });
+    onSchemaChange({ ...schema, hierarchies: newHierarchies });
+  };
+
+  const handleAddHierarchy = () => {
+    const name = `hierarchy-${Date.now()}`;
+    onSchemaChange({ ...schema, hierarchies: [...hierarchies, { name, label: 'New hierarchy', levels: [] }] });
+  };
+
+  const handleRemoveHierarchy = (idx) => {
+    onSchemaChange({ ...schema, hierarchies: hierarchies.filter((h, i) => i !== idx) });
+  };
+
+  const timeValue = schema.timeDimension
+    ? (schema.timeDimension.fromMeasures ? TIME_FROM_MEASURES : schema.timeDimension.key)
+    : '';
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg bg-gray-50 shadow-sm">
+      <h4 className="font-semibold text-lg mb-2 text-gray-700">Cube Schema</h4>
+      <table className="min-w-full mb-3">
+        <thead>
+          <tr>
+            <th className="px-2 py-1 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Column</th>
+            <th className="px-2 py-1 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Label</th>
+            <th className="px-2 py-1 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+            <th className="px-2 py-1 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Validation</th>
+            <th className="px-2 py-1 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Allowed values</th>
+          </tr>
+        </thead>
+        <tbody>
+          {columns.map(column => {
+            const rules = getColumnRules(schema, column.key);
+            return (
+              <tr key={`schema-${column.key}`}>
+                <td className="px-2 py-1 text-gray-700">{column.key}</td>
+                <td className="px-2 py-1">
+                  <input
+                    type="text"
+                    value={column.label}
+                    onChange={(e) => handleColumnChange(column.key, 'label', e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded-md"
+                  />
+                </td>
+                <td className="px-2 py-1">
+                  <select
+                    value={column.role}
+                    onChange={(e) => handleColumnChange(column.key, 'role', e.target.value)}
+                    className="p-2 border border-gray-300 rounded-md"
+                  >
+                    <option value="dimension">Dimension</option>
+                    <option value="measure">Measure</option>
+                  </select>
+                </td>
+                <td className="px-2 py-1 text-sm text-gray-700 whitespace-nowrap">
+                  <label className="mr-2">
+                    <input
+                      type="checkbox"
+                      checked={rules.required}
+                      onChange={(e) => handleRuleChange(column.key, 'required', e.target.checked)}
+                    /> Required
+                  </label>
+                  <label className="mr-2" title={column.role === 'measure' ? 'Measures are always numeric' : undefined}>
+                    <input
+                      type="checkbox"
+                      checked={rules.numeric}
+                      disabled={column.role === 'measure'}
+                      onChange={(e) => handleRuleChange(column.key, 'numeric', e.target.checked)}
+                    /> Numeric
+                  </label>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={rules.nonNegative}
+                      onChange={(e) => handleRuleChange(column.key, 'nonNegative', e.target.checked)}
+                    /> ≥ 0
+                  </label>
+                </td>
+                <td className="px-2 py-1">
+                  <AllowedValuesInput
+                    values={rules.allowedValues}
+                    onChange={(values) => handleRuleChange(column.key, 'allowedValues', values)}
+                  />
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="flex flex-col sm:flex-row gap-3 items-center">
+        <label className="text-gray-700">Time dimension:</label>
+        <select
+          value={timeValue}
+          onChange={(e) => handleTimeChange(e.target.value)}
+          className="p-2 border border-gray-300 rounded-md flex-grow"
+        >
+          <option value="">(None)</option>
+          <option value={TIME_FROM_MEASURES}>Measure columns are periods</option>
+          {schema.dimensions.map(d => (
+            <option key={`time-${d.key}`} value={d.key}>{d.label}</option>
+          ))}
+        </select>
+      </div>
+      <h5 className="font-semibold mt-4 mb-2 text-gray-700">Hierarchies (top level first)</h5>
+      <p className="text-sm text-gray-600 mb-2">
+        Roll-up and drill-down move along these, e.g. "continent &gt; region &gt; country". Levels not in the data are ignored.
+      </p>
+      {hierarchies.map((hierarchy, idx) => (
+        <div key={`hierarchy-${hierarchy.name}`} className="flex flex-col sm:flex-row gap-3 items-center mb-2">
+          <input
+            type="text"
+            value={hierarchy.label}
+            onChange={(e) => handleHierarchyChange(idx, 'label', e.target.value)}
+            className="p-2 border border-gray-300 rounded-md"
+          />
+          <HierarchyLevelsInput
+            levels={hierarchy.levels}
+            onChange={(value) => handleHierarchyChange(idx, 'levels', value)}
+          />
+          <button
+            onClick={() => handleRemoveHierarchy(idx)}
+            className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md text-sm"
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <button
+        onClick={handleAddHierarchy}
+        className="bg-green-500 hover:bg-green-600 text-white py-2 px-4 rounded-md w-full"
+      >
+        Add Hierarchy
+      </button>
+    </div>
+  );
+}
+
+export default SchemaEditor;
@@ -1,9 +1,15 @@
 // src/components/ThreeDCube.jsx
 // This component is responsible for rendering the 3D cube visualization using Three.js and @react-three/fiber.
-import React, { useRef, useMemo } from 'react';
+import React, { useRef, useMemo, useState, useEffect, useLayoutEffect, useCallback } from 'react';
 import { useFrame } from '@react-three/fiber';
-import { Text } from '@react-three/drei'; // Text component simplifies 3D text rendering
+import { Text, Html } from '@react-three/drei'; // Text component simplifies 3D text rendering
 import * as THREE from 'three'; // Import Three.js library
+import { formatMember, orderMembers } from '../data/ranking';
+import { AGGREGATIONS, formatCellValue } from '../data/dataProcessor';
+import { getContrastingTextColor } from '../data/colorScales';
+import { layoutGlyphs, SEGMENT_COLORS } from '../data/glyphs';
+import { easeInOut, getCellKey } from '../data/transitions';
+import CellTooltip from './CellTooltip';
 
 // Define constant dimensions and spacing for the cube blocks.
 const CUBE_SIZE = 3.0; // Further increased size of each individual data cube (block)
@@ -11,24 +17,71 @@ const SPACING = 1.0; // Further increased space between adjacent cube blocks
 const TEXT_SIZE = 0.7; // Further increased font size for the 3D text displaying values
 const TEXT_HEIGHT = 0.15; // Further increased thickness of the 3D text
 
+// Level of detail for value labels: text is only drawn for cells in view within LABEL_DISTANCE of the camera,
+// at most MAX_LABELS of them (nearest first), since each label is a separate text mesh.
+const LABEL_DISTANCE = 45;
+const MAX_LABELS = 250;
+// How often (in seconds) the labelled cells are recomputed while the camera moves.
+const LABEL_UPDATE_INTERVAL = 0.2;
+
+// While a cell is selected, cells outside its row and column are blended this far towards FADED_COLOR.
+const FADED_COLOR = new THREE.Color('#e5e7eb');
+const FADE_AMOUNT = 0.8;
+
+// Most empty cells drawn as wireframes; a very sparse cube would otherwise draw mostly empty space.
+const MAX_EMPTY_CELLS = 50000;
+
+// Default glyph measures, shared so the glyph layout isn't recomputed on every render.
+const NO_GLYPH_MEASURES = [];
+// Cells related to none of the cells shown before.
+const NO_RELATIONS = new Map();
+
+// Length (in seconds) of the transition between two states of the cube, and the scale boxes grow from and shrink to
+// (not zero, so their matrices stay invertible for picking).
+const TRANSITION_DURATION = 0.6;
+const HIDDEN_SCALE = 0.01;
+
 // Helper function to extract and sort unique values for a given dimension from the data.
-const getUniqueValues = (data, dimension) => {
-  // Use a Set to get unique values, then convert to array and sort.
-  return [...new Set(data.map(d => d[dimension]))].sort();
+// An unmapped axis (fewer than three dimensions) has a single, unnamed member.
+const getUniqueValues = (data, dimension, schema, memberOrder) => {
+  if (!dimension) return [''];
+  // Use a Set to get unique values, then convert to array and sort in ranking order or the schema's member order.
+  return orderMembers(schema, dimension, [...new Set(data.map(d => d[dimension]))], memberOrder);
 };
 
-function ThreeDCube({ data, axisMapping }) {
+// Reads an item's member on an axis; items have no value for an unmapped axis.
+const getMember = (item, dimension) => (dimension ? item[dimension] : '');
+
+function ThreeDCube({
+  data,                 // The cube cells from aggregateCube
+  relations,            // How the cells relate to those shown before: { fromLevels, sourceOf, targetOf }, as from relateCells
+  describeCell,         // Resolves with a cell's details for the hover tooltip, as from describeCell in dataProcessor
+  axisMapping,
+  schema,
+  aggregation = 'sum',
+  decimals,             // Decimals to format values with, when the displayed measure sets them
+  valueLabel,           // What the cell values are, for the caption (defaults to the aggregation, e.g. 'Sum of values')
+  colorScale,           // The color scale from createColorScale
+  selectedCellId,       // Id of the selected cell, if any
+  onSelectCell,         // Called with the clicked cell
+  onCellDoubleClick,    // Called with the double-clicked cell
+  onMemberDoubleClick,  // Called with (axis, member) when an axis label is double-clicked
+  showEmptyCells = false, // Draw positions without a value as wireframe blocks
+  memberOrder,          // Member order of ranked levels, from applyRankings
+  glyphShape = 'block', // How cells are drawn: a GLYPH_SHAPES key
+  glyphMeasures = NO_GLYPH_MEASURES, // The measures bars, cubes or stacks are scaled by, from getGlyphMeasures
+  animate = true,       // Animate changes: cells move, resize and recolor, and cells filtered away fade out
+}) {
   const meshRef = useRef(); // Ref to hold the group of all cube meshes, allowing transformations.
 
   // Memoize (cache) unique dimension values and their corresponding indices.
   // This helps optimize performance by avoiding re-computation on every render
   // unless 'data' or 'axisMapping' changes.
   const { xValues, yValues, zValues, xIndices, yIndices, zIndices } = useMemo(() => {
-    // Get unique values for the currently mapped X and Y dimensions.
-    const xVals = getUniqueValues(data, axisMapping.x);
-    const yVals = getUniqueValues(data, axisMapping.y);
-    // Z-axis values are fixed to quarters and 'Total' for roll-up.
-    const zVals = ['Q1', 'Q2', 'Q3', 'Q4', 'Total'];
+    // Get unique values for the currently mapped X, Y and Z dimensions.
+    const xVals = getUniqueValues(data, axisMapping.x, schema, memberOrder);
+    const yVals = getUniqueValues(data, axisMapping.y, schema, memberOrder);
+    const zVals = getUniqueValues(data, axisMapping.z, schema, memberOrder);
 
     // Create Maps to quickly look up the index of a dimension value.
     const xIdx = new Map(xVals.map((val, idx) => [val, idx]));
@@ -43,7 +96,7 @@ function ThreeDCube({ data, axisMapping }) {
       yIndices: yIdx,
       zIndices: zIdx,
     };
-  }, [data, axisMapping]); // Dependencies: re-run this memo if data or axisMapping changes.
+  }, [data, axisMapping, schema, memberOrder]); // Dependencies: re-run this memo if data, axisMapping, schema or ranking changes.
 
   // Calculate the total width, height, and depth of the entire cube structure.
   const cubeWidth = xValues.length * (CUBE_SIZE + SPACING) - SPACING;
@@ -55,90 +108,314 @@ function ThreeDCube({ data, axisMapping }) {
   const offsetY = -cubeHeight / 2 + CUBE_SIZE / 2;
   const offsetZ = -cubeDepth / 2 + CUBE_SIZE / 2;
 
-  // Memoize the creation of individual cube blocks and their text labels.
-  const cubeBlocks = useMemo(() => {
-    const blocks = [];
+  // The cells to draw, with their position and color. All cells are drawn by one instanced mesh,
+  // so tens of thousands of cells cost a single draw call.
+  const cells = useMemo(() => {
+    const result = [];
     data.forEach(item => {
-      // Get the numerical indices for the current item's X and Y dimension values.
-      const xIdx = xIndices.get(item[axisMapping.x]);
-      const yIdx = yIndices.get(item[axisMapping.y]);
-
-      // Define the quarters to iterate through.
-      const quarters = ['Q1', 'Q2', 'Q3', 'Q4'];
-      let hasQuarters = false; // Flag to check if individual quarter data was found.
-
-      // Iterate over each quarter to create a cube block for it.
-      quarters.forEach(q => {
-        // Check if the quarter's value exists in the current data item.
-        if (item[q] !== undefined) {
-          hasQuarters = true;
-          const zIdx = zIndices.get(q); // Get the index for the current quarter.
-
-          // If all indices are valid, calculate the position and push the cube block.
-          if (xIdx !== undefined && yIdx !== undefined && zIdx !== undefined) {
-            const posX = xIdx * (CUBE_SIZE + SPACING) + offsetX;
-            const posY = yIdx * (CUBE_SIZE + SPACING) + offsetY;
-            const posZ = zIdx * (CUBE_SIZE + SPACING) + offsetZ;
-
-            blocks.push(
-              // Group each cube and its text together for easier positioning.
-              <group key={`${item.id}-${q}`} position={[posX, posY, posZ]}>
-                <mesh>
-                  <boxGeometry args={[CUBE_SIZE, CUBE_SIZE, CUBE_SIZE]} /> {/* Cube geometry */}
-                  {/* Random HSL color for each block for visual distinction */}
-                  <meshStandardMaterial color={new THREE.Color().setHSL(Math.random(), 0.7, 0.5)} />
-                </mesh>
-                {/* 3D Text displaying the quarter's value */}
-                <Text
-                  position={[0, 0, CUBE_SIZE / 2 + TEXT_HEIGHT]} // Position text slightly in front of the cube face
-                  fontSize={TEXT_SIZE}
-                  color="black"
-                  anchorX="center"
-                  anchorY="middle"
-                >
-                  {item[q].toFixed(0)} {/* Display value, formatted to 0 decimal places */}
-                </Text>
-              </group>
-            );
+      // Get the numerical indices for the current item's position on each axis.
+      const xIdx = xIndices.get(getMember(item, axisMapping.x));
+      const yIdx = yIndices.get(getMember(item, axisMapping.y));
+      const zIdx = zIndices.get(getMember(item, axisMapping.z));
+
+      // If all indices are valid and the item has a value, calculate the position and keep the cell.
+      if (xIdx !== undefined && yIdx !== undefined && zIdx !== undefined && item.value !== undefined && item.value !== null) {
+        result.push({
+          item,
+          indices: [xIdx, yIdx, zIdx],
+          position: new THREE.Vector3(
+            xIdx * (CUBE_SIZE + SPACING) + offsetX,
+            yIdx * (CUBE_SIZE + SPACING) + offsetY,
+            zIdx * (CUBE_SIZE + SPACING) + offsetZ
+          ),
+          // Color mapped from the cell's value; labels use black or white, whichever reads better on it.
+          color: new THREE.Color(colorScale.color(item.value)),
+          labelColor: getContrastingTextColor(colorScale.color(item.value)),
+        });
+      }
+    });
+    return result;
+  }, [data, axisMapping, colorScale, xIndices, yIndices, zIndices, offsetX, offsetY, offsetZ]); // Recompute if these dependencies change.
+
+  // Grid positions without a value: combinations of members with no facts, or whose facts have no value.
+  const emptyPositions = useMemo(() => {
+    if (!showEmptyCells) return [];
+    const filled = new Set(cells.map(cell => cell.indices.join(',')));
+    const positions = [];
+    for (let x = 0; x < xValues.length && positions.length < MAX_EMPTY_CELLS; x++) {
+      for (let y = 0; y < yValues.length && positions.length < MAX_EMPTY_CELLS; y++) {
+        for (let z = 0; z < zValues.length && positions.length < MAX_EMPTY_CELLS; z++) {
+          if (!filled.has(`${x},${y},${z}`)) {
+            positions.push(new THREE.Vector3(
+              x * (CUBE_SIZE + SPACING) + offsetX,
+              y * (CUBE_SIZE + SPACING) + offsetY,
+              z * (CUBE_SIZE + SPACING) + offsetZ
+            ));
           }
         }
+      }
+    }
+    return positions;
+  }, [showEmptyCells, cells, xValues, yValues, zValues, offsetX, offsetY, offsetZ]);
+
+  const emptyCellsRef = useRef();
+  useLayoutEffect(() => {
+    const mesh = emptyCellsRef.current;
+    if (!mesh) return;
+    const dummy = new THREE.Object3D();
+    emptyPositions.forEach((position, idx) => {
+      dummy.position.copy(position);
+      dummy.updateMatrix();
+      mesh.setMatrixAt(idx, dummy.matrix);
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.computeBoundingSphere();
+  }, [emptyPositions]);
+
+  // The levels shown on the axes, which identify a cell whatever axis each level is on.
+  const shownLevels = useMemo(
+    () => [...new Set([axisMapping.x, axisMapping.y, axisMapping.z].filter(Boolean))],
+    [axisMapping]
+  );
+
+  // The boxes drawn for the cells: one block per cell, or the cell's glyph (a bar, a scaled cube or stacked segments),
+  // each pointing back to its cell. Stacked segments are colored by measure, other boxes by the cell's value.
+  // Boxes are keyed by their cell's members and segment, so the same box can be followed from one state to the next.
+  const instances = useMemo(() => {
+    const glyphs = layoutGlyphs(cells.map(cell => cell.item), glyphShape, glyphMeasures);
+    return cells.flatMap((cell, cellIndex) => {
+      const cellKey = getCellKey(level => cell.item[level], shownLevels);
+      const name = shownLevels.map(level => formatMember(cell.item[level])).join(' / ');
+      return glyphs[cellIndex].map(({ center, scale, segment }) => ({
+        key: `${cellKey}#${segment ?? 'box'}`,
+        cellKey,
+        cellIndex,
+        name: segment === null ? name : `${name} / ${glyphMeasures[segment]}`,
+        position: cell.position.clone().add(new THREE.Vector3(...center).multiplyScalar(CUBE_SIZE)),
+        scale: new THREE.Vector3(...scale),
+        color: segment === null ? cell.color : new THREE.Color(SEGMENT_COLORS[segment % SEGMENT_COLORS.length]),
+      }));
+    });
+  }, [cells, glyphShape, glyphMeasures, shownLevels]);
+
+  // Names of the boxes (their cells' members), kept on the instanced mesh for 3D exports.
+  const instanceNames = useMemo(() => ({ names: instances.map(instance => instance.name) }), [instances]);
+
+  const selectedCell = useMemo(() => cells.find(cell => cell.item.id === selectedCellId), [cells, selectedCellId]);
+
+  // The cells currently showing their value as text, chosen by `useFrame` below.
+  const [labelledCells, setLabelledCells] = useState([]);
+  const labelTimerRef = useRef(LABEL_UPDATE_INTERVAL);
+  const labelKeyRef = useRef('');
+  const frustum = useMemo(() => new THREE.Frustum(), []);
+  const viewProjection = useMemo(() => new THREE.Matrix4(), []);
+
+  // The state of each box as last drawn (by key), the previous cells' positions for relating cells across a roll-up or
+  // drill-down, and the running transition: where each box started, and how far along it is.
+  const drawnRef = useRef(new Map());
+  const previousRef = useRef({ levels: [], cellPositions: new Map() });
+  const transitionRef = useRef(null);
+  // Boxes of cells that are gone, fading out (and collapsing into their parent cell on a roll-up).
+  const [exits, setExits] = useState([]);
+
+  // Writes the boxes at a point of the transition (0 is where they started, 1 where they end up) into the instanced
+  // meshes. While a cell is selected, its row and column (the cells sharing its Y or X member in the same Z layer)
+  // keep their colors and the others are faded.
+  const instancesRef = useRef();
+  const exitsRef = useRef();
+  const drawFrame = useCallback((progress) => {
+    const t = easeInOut(progress);
+    const from = transitionRef.current ? transitionRef.current.from : null;
+    const dummy = new THREE.Object3D();
+    const color = new THREE.Color();
+    const isHighlighted = ({ indices: [x, y, z] }) => {
+      if (!selectedCell) return true;
+      const [selectedX, selectedY, selectedZ] = selectedCell.indices;
+      return z === selectedZ && (x === selectedX || y === selectedY);
+    };
+
+    const drawn = new Map();
+    const mesh = instancesRef.current;
+    instances.forEach((instance, idx) => {
+      const start = from ? from[idx] : instance;
+      const state = {
+        position: start.position.clone().lerp(instance.position, t),
+        scale: start.scale.clone().lerp(instance.scale, t),
+        color: start.color.clone().lerp(instance.color, t),
+      };
+      drawn.set(instance.key, { ...state, cellKey: instance.cellKey });
+      if (!mesh) return;
+      dummy.position.copy(state.position);
+      dummy.scale.copy(state.scale);
+      dummy.updateMatrix();
+      mesh.setMatrixAt(idx, dummy.matrix);
+      color.copy(state.color);
+      if (!isHighlighted(cells[instance.cellIndex])) color.lerp(FADED_COLOR, FADE_AMOUNT);
+      mesh.setColorAt(idx, color);
+    });
+    drawnRef.current = drawn;
+    if (mesh) {
+      mesh.instanceMatrix.needsUpdate = true;
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+      // The bounding sphere covers all instances, so the mesh is only culled when the whole cube is out of view.
+      mesh.computeBoundingSphere();
+    }
+
+    const exitMesh = exitsRef.current;
+    if (exitMesh && exitMesh.count === exits.length) {
+      exits.forEach((exit, idx) => {
+        dummy.position.copy(exit.position).lerp(exit.target, t);
+        dummy.scale.copy(exit.scale).lerp(new THREE.Vector3(HIDDEN_SCALE, HIDDEN_SCALE, HIDDEN_SCALE), t);
+        dummy.updateMatrix();
+        exitMesh.setMatrixAt(idx, dummy.matrix);
+        exitMesh.setColorAt(idx, exit.color);
       });
+      exitMesh.material.opacity = 1 - t;
+      exitMesh.instanceMatrix.needsUpdate = true;
+      if (exitMesh.instanceColor) exitMesh.instanceColor.needsUpdate = true;
+      exitMesh.computeBoundingSphere();
+    }
+  }, [instances, cells, selectedCell, exits]);
 
-      // If 'Total' exists in the item (meaning it's a rolled-up item) AND no individual quarters were processed for it,
-      // create a cube block for the 'Total' value.
-      if (item.Total !== undefined && !hasQuarters) {
-        const zIdx = zIndices.get('Total'); // Get the index for 'Total'.
-        if (xIdx !== undefined && yIdx !== undefined && zIdx !== undefined) {
-          const posX = xIdx * (CUBE_SIZE + SPACING) + offsetX;
-          const posY = yIdx * (CUBE_SIZE + SPACING) + offsetY;
-          const posZ = zIdx * (CUBE_SIZE + SPACING) + offsetZ;
-
-          blocks.push(
-            <group key={`${item.id}-Total`} position={[posX, posY, posZ]}>
-              <mesh>
-                <boxGeometry args={[CUBE_SIZE, CUBE_SIZE, CUBE_SIZE]} />
-                <meshStandardMaterial color={new THREE.Color().setHSL(Math.random(), 0.7, 0.5)} />
-              </mesh>
-              <Text
-                position={[0, 0, CUBE_SIZE / 2 + TEXT_HEIGHT]}
-                fontSize={TEXT_SIZE}
-                color="black"
-                anchorX="center"
-                anchorY="middle"
-              >
-                {item.Total.toFixed(0)} {/* Display the total value */}
-              </Text>
-            </group>
-          );
-        }
+  // Starts a transition whenever the boxes change: boxes that were drawn before move, resize and recolor from where
+  // they were; new boxes grow out of the cell they were drilled out of (or where they stand); boxes that are gone
+  // collapse into the cell they were rolled up into (or where they stand) and fade out.
+  useLayoutEffect(() => {
+    const drawn = drawnRef.current;
+    const previous = previousRef.current;
+    previousRef.current = {
+      levels: shownLevels,
+      cellPositions: new Map(instances.map(instance => [instance.cellKey, cells[instance.cellIndex].position])),
+    };
+    if (!animate || drawn.size === 0) {
+      transitionRef.current = null;
+      setExits(prev => (prev.length === 0 ? prev : []));
+      return;
+    }
+
+    // Relations computed from other levels than those drawn before don't apply.
+    const related = relations && relations.fromLevels.length === previous.levels.length &&
+      relations.fromLevels.every(level => previous.levels.includes(level));
+    const sourceOf = related ? relations.sourceOf : NO_RELATIONS;
+    const targetOf = related ? relations.targetOf : NO_RELATIONS;
+    const hidden = new THREE.Vector3(HIDDEN_SCALE, HIDDEN_SCALE, HIDDEN_SCALE);
+    const from = instances.map(instance => {
+      if (drawn.has(instance.key)) return drawn.get(instance.key);
+      const origin = previous.cellPositions.get(sourceOf.get(instance.cellKey));
+      return { position: (origin || instance.position).clone(), scale: hidden.clone(), color: instance.color };
+    });
+    const keys = new Set(instances.map(instance => instance.key));
+    const cellPositions = previousRef.current.cellPositions;
+    const gone = [];
+    drawn.forEach((state, key) => {
+      if (keys.has(key)) return;
+      const target = cellPositions.get(targetOf.get(state.cellKey));
+      gone.push({ ...state, target: (target || state.position).clone() });
+    });
+
+    transitionRef.current = { from, elapsed: 0 };
+    setExits(gone);
+    // Value labels wait for the cells to settle.
+    setLabelledCells([]);
+  }, [instances, cells, shownLevels, relations, animate]);
+
+  // Draws the current point of the transition when the boxes or the selection change, and the end state when idle.
+  useLayoutEffect(() => {
+    drawFrame(transitionRef.current ? transitionRef.current.elapsed / TRANSITION_DURATION : 1);
+  }, [drawFrame]);
+
+  // Advances the running transition every frame.
+  useFrame((state, delta) => {
+    const transition = transitionRef.current;
+    if (!transition) return;
+    transition.elapsed = Math.min(TRANSITION_DURATION, transition.elapsed + delta);
+    drawFrame(transition.elapsed / TRANSITION_DURATION);
+    if (transition.elapsed >= TRANSITION_DURATION) {
+      transitionRef.current = null;
+      setExits(prev => (prev.length === 0 ? prev : []));
+    }
+  });
+
+  // Edges drawn around the selected cell.
+  const outlineGeometry = useMemo(() => {
+    const size = CUBE_SIZE * 1.06;
+    return new THREE.EdgesGeometry(new THREE.BoxGeometry(size, size, size));
+  }, []);
+
+  // The cell under the pointer (an index into `cells`) and its details for the tooltip.
+  const [hoveredIndex, setHoveredIndex] = useState(null);
+  const hoveredCell = hoveredIndex !== null ? cells[hoveredIndex] : undefined;
+  // The details arrive asynchronously, so they are kept with the cell they describe.
+  const [described, setDescribed] = useState(null);
+  const hoveredItem = hoveredCell ? hoveredCell.item : null;
+  useEffect(() => {
+    if (!hoveredItem || !describeCell) return undefined;
+    let current = true;
+    describeCell(hoveredItem)
+      .then(details => { if (current) setDescribed({ item: hoveredItem, details }); })
+      .catch(error => { if (current) console.error(`Could not describe the cell: ${error.message}`); });
+    return () => { current = false; };
+  }, [hoveredItem, describeCell]);
+  const hoveredDetails = described && described.item === hoveredItem ? described.details : null;
+
+  // Pointer events on the instanced mesh report which instance (box) they hit, which belongs to one cell.
+  const handlePointerMove = (e) => {
+    e.stopPropagation();
+    const { cellIndex } = instances[e.instanceId];
+    if (cellIndex !== hoveredIndex) setHoveredIndex(cellIndex);
+  };
+
+  const handleClick = (e) => {
+    e.stopPropagation();
+    if (onSelectCell) onSelectCell(cells[instances[e.instanceId].cellIndex].item);
+  };
+
+  const handleDoubleClick = (e) => {
+    e.stopPropagation();
+    if (onCellDoubleClick) onCellDoubleClick(cells[instances[e.instanceId].cellIndex].item);
+  };
+
+  // New cells get their labels on the next frame rather than after the interval.
+  // The hovered index refers to the old cells, so the tooltip is cleared too.
+  useEffect(() => {
+    labelTimerRef.current = LABEL_UPDATE_INTERVAL;
+    labelKeyRef.current = null;
+    setHoveredIndex(null);
+  }, [cells]);
+
+  // Picks the cells to label: in the camera's view frustum, within LABEL_DISTANCE, nearest first.
+  // Runs a few times per second (not during a transition), and only re-renders when the picked set changes.
+  useFrame(({ camera }, delta) => {
+    labelTimerRef.current += delta;
+    if (labelTimerRef.current < LABEL_UPDATE_INTERVAL || transitionRef.current) return;
+    labelTimerRef.current = 0;
+
+    viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    frustum.setFromProjectionMatrix(viewProjection);
+    const candidates = [];
+    cells.forEach(cell => {
+      const distance = cell.position.distanceTo(camera.position);
+      if (distance <= LABEL_DISTANCE && frustum.containsPoint(cell.position)) {
+        candidates.push({ cell, distance });
       }
     });
-    return blocks;
-  }, [data, axisMapping, xIndices, yIndices, zIndices, offsetX, offsetY, offsetZ]); // Recompute if these dependencies change.
+    candidates.sort((a, b) => a.distance - b.distance);
+    const picked = candidates.slice(0, MAX_LABELS).map(c => c.cell);
+
+    const key = picked.map(cell => cell.item.id).join('|');
+    if (key !== labelKeyRef.current) {
+      labelKeyRef.current = key;
+      setLabelledCells(picked);
+    }
+  });
 
-  // Memoize the creation of axis labels.
+  // Memoize the creation of axis labels. Double-clicking a label acts on its member (see App's handleDrillInto).
   const axisLabels = useMemo(() => {
     const labels = [];
+    const handleLabelDoubleClick = (e, axis, member) => {
+      e.stopPropagation();
+      if (onMemberDoubleClick && axisMapping[axis]) onMemberDoubleClick(axis, member);
+    };
     // Define a larger font size for axis labels for better visibility
     const AXIS_LABEL_FONT_SIZE = 1.2; // Further increased font size
     // Define an offset to position labels further from the cube
@@ -150,6 +427,7 @@ function ThreeDCube({ data, axisMapping }) {
       labels.push(
         <Text
           key={`x-label-${val}`}
+          onDoubleClick={(e) => handleLabelDoubleClick(e, 'x', val)}
           position={[posX, offsetY - CUBE_SIZE / 2 - LABEL_OFFSET, offsetZ - CUBE_SIZE / 2 - LABEL_OFFSET]} // Adjusted position
           fontSize={AXIS_LABEL_FONT_SIZE}
           color="darkblue"
@@ -159,7 +437,7 @@ function ThreeDCube({ data, axisMapping }) {
           // Make labels always face the camera for better visibility
           billboard
         >
-          {val}
+          {formatMember(val)}
         </Text>
       );
     });
@@ -170,6 +448,7 @@ function ThreeDCube({ data, axisMapping }) {
       labels.push(
         <Text
           key={`y-label-${val}`}
+          onDoubleClick={(e) => handleLabelDoubleClick(e, 'y', val)}
           position={[offsetX - CUBE_SIZE / 2 - LABEL_OFFSET, posY, offsetZ - CUBE_SIZE / 2 - LABEL_OFFSET]} // Adjusted position
           fontSize={AXIS_LABEL_FONT_SIZE}
           color="darkgreen"
@@ -178,17 +457,18 @@ function ThreeDCube({ data, axisMapping }) {
           rotation={[0, -Math.PI / 4, 0]} // Slight rotation
           billboard
         >
-          {val}
+          {formatMember(val)}
         </Text>
       );
     });
 
-    // Z-axis labels (Quarters/Total): positioned behind the Z-axis of the cube.
+    // Z-axis labels (e.g. Quarters/Total): positioned behind the Z-axis of the cube.
     zValues.forEach((val, idx) => {
       const posZ = idx * (CUBE_SIZE + SPACING) + offsetZ;
       labels.push(
         <Text
           key={`z-label-${val}`}
+          onDoubleClick={(e) => handleLabelDoubleClick(e, 'z', val)}
           position={[offsetX - CUBE_SIZE / 2 - LABEL_OFFSET, offsetY - CUBE_SIZE / 2 - LABEL_OFFSET, posZ]} // Adjusted position
           fontSize={AXIS_LABEL_FONT_SIZE}
           color="darkred"
@@ -197,19 +477,99 @@ function ThreeDCube({ data, axisMapping }) {
           rotation={[0, Math.PI / 2, 0]} // Rotate to face the camera
           billboard
         >
-          {val}
+          {formatMember(val)}
         </Text>
       );
     });
 
     return labels;
-  }, [xValues, yValues, zValues, offsetX, offsetY, offsetZ]); // Recompute if these dependencies change.
+  }, [xValues, yValues, zValues, offsetX, offsetY, offsetZ, axisMapping, onMemberDoubleClick]); // Recompute if these dependencies change.
 
   return (
     // Group all cube blocks and labels together so they can be rotated/panned as a single unit.
     <group ref={meshRef}>
-      {cubeBlocks}
+      {instances.length > 0 && (
+        // Remounted when the box count changes, since an instanced mesh's capacity is fixed.
+        <instancedMesh
+          key={instances.length}
+          ref={instancesRef}
+          args={[undefined, undefined, instances.length]}
+          userData={instanceNames}
+          onPointerMove={handlePointerMove}
+          onPointerOut={() => setHoveredIndex(null)}
+          onClick={handleClick}
+          onDoubleClick={handleDoubleClick}
+        >
+          <boxGeometry args={[CUBE_SIZE, CUBE_SIZE, CUBE_SIZE]} />
+          {/* White base color, so each instance shows its own color */}
+          <meshStandardMaterial />
+        </instancedMesh>
+      )}
+      {exits.length > 0 && (
+        // Boxes of cells that are gone, fading out; they don't take part in picking.
+        <instancedMesh
+          key={`exits-${exits.length}`}
+          ref={exitsRef}
+          args={[undefined, undefined, exits.length]}
+          raycast={() => null}
+        >
+          <boxGeometry args={[CUBE_SIZE, CUBE_SIZE, CUBE_SIZE]} />
+          <meshStandardMaterial transparent depthWrite={false} />
+        </instancedMesh>
+      )}
+      {emptyPositions.length > 0 && (
+        // Empty cells don't take part in picking, so the cells behind them stay reachable.
+        <instancedMesh
+          key={`empty-${emptyPositions.length}`}
+          ref={emptyCellsRef}
+          args={[undefined, undefined, emptyPositions.length]}
+          raycast={() => null}
+        >
+          <boxGeometry args={[CUBE_SIZE, CUBE_SIZE, CUBE_SIZE]} />
+          <meshBasicMaterial color="gray" wireframe transparent opacity={0.25} />
+        </instancedMesh>
+      )}
+      {selectedCell && (
+        <lineSegments position={selectedCell.position} geometry={outlineGeometry}>
+          <lineBasicMaterial color="black" />
+        </lineSegments>
+      )}
+      {hoveredCell && hoveredDetails && (
+        <Html position={hoveredCell.position} pointerEvents="none" style={{ transform: 'translate(1rem, -50%)' }}>
+          <CellTooltip
+            details={hoveredDetails}
+            value={hoveredCell.item.value}
+            baseValue={hoveredCell.item.baseValue}
+            aggregation={aggregation}
+            decimals={decimals}
+          />
+        </Html>
+      )}
+      {/* 3D Text displaying the values of the labelled cells */}
+      {labelledCells.map(({ item, position, labelColor }) => (
+        <Text
+          key={item.id}
+          position={[position.x, position.y, position.z + CUBE_SIZE / 2 + TEXT_HEIGHT]} // Slightly in front of the cube face
+          fontSize={TEXT_SIZE}
+          color={labelColor}
+          anchorX="center"
+          anchorY="middle"
+        >
+          {formatCellValue(item.value, aggregation, decimals)} {/* Display value, rounded (averages keep a decimal) */}
+        </Text>
+      ))}
       {axisLabels}
+      {/* Caption above the cube naming the measure and aggregation used for the cell values */}
+      <Text
+        position={[0, cubeHeight / 2 + 2.5, 0]}
+        fontSize={1.2}
+        color="black"
+        anchorX="center"
+        anchorY="middle"
+        billboard
+      >
+        {valueLabel || `${(AGGREGATIONS[aggregation] || AGGREGATIONS.sum).label} of values`}
+      </Text>
     </group>
   );
 }
@@ -0,0 +1,185 @@
+// This file maps cell values to colors: the palettes offered for the cube, the domain the values are scaled over,
+// and the description of the scale that the legend draws.
+
+// Palettes by key. Sequential palettes run from low to high values, diverging ones from low through a neutral
+// midpoint to high, and categorical ones color values by class (the domain split into equal ranges).
+// `colorblindSafe` marks palettes that stay distinguishable with the common color vision deficiencies.
+export const PALETTES = {
+  viridis: {
+    label: 'Viridis',
+    type: 'sequential',
+    colorblindSafe: true,
+    colors: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+  },
+  cividis: {
+    label: 'Cividis',
+    type: 'sequential',
+    colorblindSafe: true,
+    colors: ['#00224e', '#123570', '#3b496c', '#575d6d', '#707173', '#8a8779', '#a69d75', '#c4b56c', '#e4cf5b', '#fee838'],
+  },
+  blues: {
+    label: 'Blues',
+    type: 'sequential',
+    colorblindSafe: true,
+    colors: ['#deebf7', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b'],
+  },
+  heat: {
+    label: 'Yellow-Orange-Red',
+    type: 'sequential',
+    colorblindSafe: false,
+    colors: ['#ffffcc', '#ffeda0', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#bd0026', '#800026'],
+  },
+  redBlue: {
+    label: 'Red-Blue',
+    type: 'diverging',
+    colorblindSafe: true,
+    colors: ['#b2182b', '#d6604d', '#f4a582', '#fddbc7', '#f7f7f7', '#d1e5f0', '#92c5de', '#4393c3', '#2166ac'],
+  },
+  orangePurple: {
+    label: 'Orange-Purple',
+    type: 'diverging',
+    colorblindSafe: true,
+    colors: ['#b35806', '#e08214', '#fdb863', '#fee0b6', '#f7f7f7', '#d8daeb', '#b2abd2', '#8073ac', '#542788'],
+  },
+  redGreen: {
+    label: 'Red-Yellow-Green',
+    type: 'diverging',
+    colorblindSafe: false,
+    colors: ['#d73027', '#f46d43', '#fdae61', '#fee08b', '#ffffbf', '#d9ef8b', '#a6d96a', '#66bd63', '#1a9850'],
+  },
+  okabeIto: {
+    label: 'Okabe-Ito',
+    type: 'categorical',
+    colorblindSafe: true,
+    colors: ['#56b4e9', '#009e73', '#f0e442', '#e69f00', '#0072b2', '#d55e00', '#cc79a7'],
+  },
+  tableau: {
+    label: 'Tableau 10',
+    type: 'categorical',
+    colorblindSafe: false,
+    colors: ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'],
+  },
+};
+
+// How the value range of the scale is chosen.
+export const DOMAIN_MODES = {
+  auto: { label: 'Auto (min to max)' },
+  percentile: { label: 'Percentile-clipped' },
+  fixed: { label: 'Fixed' },
+};
+
+export const DEFAULT_COLOR_SETTINGS = {
+  palette: 'viridis',
+  domain: 'auto',
+  percentile: 5,  // percentile mode clips this percentage off each end
+  min: '',        // fixed mode bounds, kept as typed
+  max: '',
+};
+
+// Number of colors sampled for the legend's gradient bar.
+const LEGEND_SAMPLES = 16;
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+const rgbToHex = (rgb) => `#${rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+
+// Interpolates along a list of colors; t runs from 0 (first color) to 1 (last color).
+const interpolateColors = (colors, t) => {
+  const clamped = Math.min(1, Math.max(0, t));
+  const position = clamped * (colors.length - 1);
+  const idx = Math.min(Math.floor(position), colors.length - 2);
+  const from = hexToRgb(colors[idx]);
+  const to = hexToRgb(colors[idx + 1]);
+  const f = position - idx;
+  return rgbToHex(from.map((c, i) => c + (to[i] - c) * f));
+};
+
+// Value at the given percentile (0-100) of ascending sorted values, interpolating between neighbours.
+const percentileOf = (sorted, p) => {
+  const position = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Builds the color scale for a set of cell values.
+ * @param {Array<number>} values - The values being colored (nulls are ignored).
+ * @param {Object} settings - { palette, domain, percentile, min, max }, see DEFAULT_COLOR_SETTINGS.
+ * @returns {{ color: Function, type: string, domain: Array<number>, midpoint: number|null, clipped: boolean,
+ *   gradient: Array<string>, bins: Array<{ color: string, from: number, to: number }>, error: string|null }}
+ * `color(value)` returns a hex color. Sequential and diverging scales describe themselves with `gradient`
+ * (colors from low to high), categorical ones with `bins`. `clipped` is true when some values fall outside the domain,
+ * and `error` explains why fixed bounds were ignored.
+ */
+export const createColorScale = (values, settings) => {
+  const palette = PALETTES[settings.palette] || PALETTES[DEFAULT_COLOR_SETTINGS.palette];
+  const sorted = values.filter(v => typeof v === 'number' && !Number.isNaN(v)).sort((a, b) => a - b);
+  const dataMin = sorted.length > 0 ? sorted[0] : 0;
+  const dataMax = sorted.length > 0 ? sorted[sorted.length - 1] : 0;
+
+  let min = dataMin;
+  let max = dataMax;
+  let error = null;
+  if (settings.domain === 'percentile' && sorted.length > 0) {
+    const p = Math.min(49, Math.max(0, Number(settings.percentile) || 0));
+    min = percentileOf(sorted, p);
+    max = percentileOf(sorted, 100 - p);
+  } else if (settings.domain === 'fixed') {
+    const fixedMin = parseFloat(settings.min);
+    const fixedMax = parseFloat(settings.max);
+    if (Number.isNaN(fixedMin) || Number.isNaN(fixedMax)) {
+      error = 'Enter both bounds to use a fixed domain.';
+    } else if (fixedMin >= fixedMax) {
+      error = 'The minimum must be less than the maximum.';
+    } else {
+      min = fixedMin;
+      max = fixedMax;
+    }
+  }
+  const span = max - min;
+
+  // Diverging scales center on zero when the domain spans it, otherwise on the middle of the domain.
+  const midpoint = palette.type === 'diverging' ? (min < 0 && max > 0 ? 0 : min + span / 2) : null;
+
+  // Position of a value along the palette, from 0 to 1.
+  const toPosition = (value) => {
+    if (span === 0) return 0.5;
+    if (midpoint === null) return (value - min) / span;
+    return value < midpoint
+      ? 0.5 * (value - min) / (midpoint - min)
+      : 0.5 + 0.5 * (value - midpoint) / (max - midpoint);
+  };
+
+  const binCount = palette.colors.length;
+  const binOf = (value) => (span === 0 ? 0 : Math.min(binCount - 1, Math.max(0, Math.floor(((value - min) / span) * binCount))));
+
+  const color = palette.type === 'categorical'
+    ? (value) => palette.colors[binOf(value)]
+    : (value) => interpolateColors(palette.colors, toPosition(value));
+
+  return {
+    color,
+    type: palette.type,
+    domain: [min, max],
+    midpoint,
+    clipped: dataMin < min || dataMax > max,
+    gradient: palette.type === 'categorical'
+      ? []
+      : Array.from({ length: LEGEND_SAMPLES }, (_, i) => interpolateColors(palette.colors, i / (LEGEND_SAMPLES - 1))),
+    bins: palette.type === 'categorical'
+      ? palette.colors.map((c, i) => ({ color: c, from: min + (span * i) / binCount, to: min + (span * (i + 1)) / binCount }))
+      : [],
+    error,
+  };
+};
+
+/**
+ * Chooses black or white text for legibility on a background color.
+ * @param {string} hex - The background color, e.g. '#440154'.
+ * @returns {string} 'black' or 'white'.
+ */
+export const getContrastingTextColor = (hex) => {
+  const [r, g, b] = hexToRgb(hex);
+  // Perceived brightness (ITU-R BT.601 weights).
+  return (r * 0.299 + g * 0.587 + b * 0.114) > 150 ? 'black' : 'white';
+};
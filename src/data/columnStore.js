@@ -0,0 +1,320 @@
+// This file keeps the cube's facts in a columnar store for the cube engine (see workers/cubeEngine.worker.js): every
+// dimension is a column of integer codes into a dictionary of its members, with an index of the facts holding each
+// member, and every measure is a Float64Array. Filters test each distinct member once and then run over the codes,
+// and plain aggregations group facts by their codes, so slice, dice and roll-up don't re-read every fact object.
+// A set of facts is a selection: a Uint32Array of fact indices in ascending order. The store doesn't keep the fact
+// objects (they would double its memory); the helpers that need them get them rebuilt from the columns.
+
+import { AGGREGATIONS, BASE_MEASURE, matchesFilter, processRawData } from './dataProcessor';
+import { ALL_MEMBER, getCubeDimensions, isAllLevel, isMeasure } from './schema';
+import { getCellKey } from './transitions';
+
+// How many rows or facts are processed between progress reports (which are also the chances to cancel).
+const CHUNK_SIZE = 50000;
+
+// A task that doesn't report progress or get cancelled, for using the store outside the worker.
+const IMMEDIATE_TASK = { checkpoint: async () => {} };
+
+const isBlank = (member) => member === undefined || member === null || member === '';
+
+/**
+ * Builds the column store of a dataset from its facts (as `processRawData` makes them): a dictionary-encoded column
+ * with a member index per cube dimension, a numeric column for the base value and each measure, and the table row id
+ * of each fact. The facts themselves are released once the columns are built.
+ * @param {Array<Object>} rawData - The table rows.
+ * @param {Object} schema - The cube schema.
+ * @param {{ checkpoint: Function }} [task] - Called with (progress from 0 to 1, stage label) between chunks of work;
+ * it may throw to cancel the build.
+ * @returns {Promise<Object>} The store: { schema, size, rowIds, dimensions: { [key]: { dictionary, codeOf, codes,
+ * postings } }, numbers: { [key]: Float64Array } }, where `postings[code]` lists the facts holding a member and
+ * empty measure values are NaN.
+ */
+export const buildColumnStore = async (rawData, schema, task = IMMEDIATE_TASK) => {
+  const facts = [];
+  for (let start = 0; start < rawData.length; start += CHUNK_SIZE) {
+    processRawData(rawData.slice(start, start + CHUNK_SIZE), schema).forEach(fact => facts.push(fact));
+    await task.checkpoint(0.5 * Math.min(1, (start + CHUNK_SIZE) / rawData.length), 'Reading rows');
+  }
+  const size = facts.length;
+
+  const dimensions = {};
+  const dimensionKeys = getCubeDimensions(schema).map(d => d.key);
+  for (let d = 0; d < dimensionKeys.length; d++) {
+    const key = dimensionKeys[d];
+    const codeOf = new Map();
+    const dictionary = [];
+    const counts = [];
+    const codes = new Int32Array(size);
+    for (let i = 0; i < size; i++) {
+      const member = facts[i][key];
+      let code = codeOf.get(member);
+      if (code === undefined) {
+        code = dictionary.length;
+        codeOf.set(member, code);
+        dictionary.push(member);
+        counts.push(0);
+      }
+      codes[i] = code;
+      counts[code] += 1;
+    }
+    const postings = counts.map(count => new Uint32Array(count));
+    const filled = new Uint32Array(dictionary.length);
+    for (let i = 0; i < size; i++) {
+      const code = codes[i];
+      postings[code][filled[code]++] = i;
+    }
+    dimensions[key] = { dictionary, codeOf, codes, postings };
+    await task.checkpoint(0.5 + (0.4 * (d + 1)) / dimensionKeys.length, 'Indexing members');
+  }
+
+  const numbers = {};
+  [BASE_MEASURE, ...schema.measures.map(m => m.key)].forEach(key => {
+    const column = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+      const value = facts[i][key];
+      column[i] = value === undefined || value === null ? NaN : value;
+    }
+    numbers[key] = column;
+  });
+  const rowIds = facts.map(fact => fact.rowId);
+  await task.checkpoint(1, 'Indexing members');
+
+  return { schema, size, rowIds, dimensions, numbers };
+};
+
+/**
+ * Selects every fact of a store.
+ * @param {Object} store - The store.
+ * @returns {Uint32Array} The selection.
+ */
+export const selectAll = (store) => Uint32Array.from({ length: store.size }, (_, i) => i);
+
+/**
+ * Rebuilds the facts of a selection from the columns, the same as `processRawData` made them, for the helpers that
+ * work on fact objects (rankings, calculated measures, pivot tables, cell details and reports).
+ * @param {Object} store - The store.
+ * @param {Uint32Array} selection - The selection.
+ * @returns {Array<Object>} New fact objects, in order.
+ */
+export const getSelectedFacts = (store, selection) => {
+  const time = store.schema.timeDimension;
+  const periods = time && time.fromMeasures ? store.dimensions[time.key] : null;
+  const dimensions = Object.entries(store.dimensions);
+  const numbers = Object.entries(store.numbers);
+  return Array.from(selection, i => {
+    const rowId = store.rowIds[i];
+    const fact = { id: periods ? `${rowId}-${periods.dictionary[periods.codes[i]]}` : `${rowId}`, rowId };
+    dimensions.forEach(([key, column]) => { fact[key] = column.dictionary[column.codes[i]]; });
+    numbers.forEach(([key, column]) => { fact[key] = Number.isNaN(column[i]) ? null : column[i]; });
+    return fact;
+  });
+};
+
+/**
+ * Keeps the facts of a selection whose field passes a filter condition, as `applySlice` does for fact objects.
+ * Each member of a dimension is tested once; when the selection holds every fact, the member index gives the
+ * matching facts directly.
+ * @param {Object} store - The store.
+ * @param {Uint32Array} selection - The selection to filter.
+ * @param {string} field - A dimension or measure key.
+ * @param {Object|string} condition - The filter condition, as for `matchesFilter`.
+ * @returns {Uint32Array} The filtered selection (the same one when nothing is filtered out).
+ */
+export const filterSelection = (store, selection, field, condition) => {
+  if (!field) return selection;
+  const column = store.dimensions[field];
+  if (column) {
+    const matches = column.dictionary.map(member => matchesFilter(member, condition));
+    if (matches.every(Boolean)) return selection;
+    if (selection.length === store.size) {
+      const parts = column.postings.filter((_, code) => matches[code]);
+      const result = new Uint32Array(parts.reduce((total, part) => total + part.length, 0));
+      let offset = 0;
+      parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+      });
+      return parts.length > 1 ? result.sort() : result;
+    }
+    const mask = Uint8Array.from(matches, Number);
+    return selection.filter(i => mask[column.codes[i]] === 1);
+  }
+  const values = store.numbers[field];
+  if (values) {
+    return selection.filter(i => matchesFilter(Number.isNaN(values[i]) ? null : values[i], condition));
+  }
+  // A field the store has no column for is missing from every fact.
+  return matchesFilter(undefined, condition) ? selection : new Uint32Array(0);
+};
+
+/**
+ * Whether a measure can be aggregated from the store's columns: the base value and the measure columns can, while
+ * calculated measures need the facts (see `aggregateCube`).
+ * @param {Object} schema - The cube schema.
+ * @param {string} measureKey - The measure key.
+ * @returns {boolean} True for the base value and measure columns.
+ */
+export const canAggregateColumns = (schema, measureKey) => measureKey === BASE_MEASURE || isMeasure(schema, measureKey);
+
+// Reads a measure of a fact from the columns; NaN when it has none. A wide layout's measures are periods: a fact
+// holds the value of its own period only.
+const createMeasureReader = (store, key) => {
+  const values = store.numbers[BASE_MEASURE];
+  if (key === BASE_MEASURE) return (i) => values[i];
+  const time = store.schema.timeDimension;
+  if (time && time.fromMeasures) {
+    const periods = store.dimensions[time.key];
+    const code = periods.codeOf.get(key);
+    return (i) => (periods.codes[i] === code ? values[i] : NaN);
+  }
+  const column = store.numbers[key];
+  return (i) => column[i];
+};
+
+// Collects values for an aggregation without keeping them, except the distinct ones for Distinct Count.
+const createAccumulator = (aggregation) => ({
+  n: 0,
+  total: 0,
+  min: Infinity,
+  max: -Infinity,
+  distinct: aggregation === 'distinct' ? new Set() : null,
+});
+
+const accumulate = (acc, value) => {
+  acc.n += 1;
+  acc.total += value;
+  if (value < acc.min) acc.min = value;
+  if (value > acc.max) acc.max = value;
+  if (acc.distinct) acc.distinct.add(value);
+};
+
+// The aggregated value, as the aggregation's `reduce` would give for the same values.
+const resultOf = (acc, aggregation) => {
+  switch (AGGREGATIONS[aggregation] ? aggregation : 'sum') {
+    case 'avg':
+      return acc.n > 0 ? acc.total / acc.n : null;
+    case 'min':
+      return acc.n > 0 ? acc.min : null;
+    case 'max':
+      return acc.n > 0 ? acc.max : null;
+    case 'count':
+      return acc.n;
+    case 'distinct':
+      return acc.distinct.size;
+    default:
+      return acc.n > 0 ? acc.total : null;
+  }
+};
+
+/**
+ * Aggregates a selection into cube cells from the columns. The cells are the same as `aggregateCube` gives for the
+ * selected facts, for the base value and measure columns (see `canAggregateColumns`).
+ * @param {Object} store - The store.
+ * @param {Uint32Array} selection - The facts to aggregate.
+ * @param {Object} axisMapping - The level shown on each axis.
+ * @param {string} aggregation - The aggregation function key.
+ * @param {{ measure: string, measures: Array<string> }} options - The measure shown and any more per cell.
+ * @param {{ checkpoint: Function }} [task] - Reports progress and may cancel, as for `buildColumnStore`.
+ * @returns {Promise<Array<Object>>} The cells, as from `aggregateCube`.
+ */
+export const aggregateSelection = async (store, selection, axisMapping, aggregation, { measure, measures = [] }, task = IMMEDIATE_TASK) => {
+  const levels = [...new Set([axisMapping.x, axisMapping.y, axisMapping.z].filter(Boolean))];
+  // "All" levels have a single member; any other level is a dimension column.
+  const columns = levels.map(level => (isAllLevel(level) ? null : store.dimensions[level]));
+  if (columns.some((column, idx) => column === undefined && !isAllLevel(levels[idx]))) return [];
+  const blanks = columns.map(column => (column ? Uint8Array.from(column.dictionary, member => Number(isBlank(member))) : null));
+  const radix = columns.map(column => (column ? column.dictionary.length : 1));
+  // Codes combine into a number while that is exact, otherwise into a string.
+  const numericKeys = radix.reduce((product, n) => product * n, 1) < Number.MAX_SAFE_INTEGER;
+  const readers = [measure, ...measures].map(key => createMeasureReader(store, key));
+
+  const groups = new Map();
+  for (let start = 0; start < selection.length; start += CHUNK_SIZE) {
+    const end = Math.min(selection.length, start + CHUNK_SIZE);
+    for (let s = start; s < end; s++) {
+      const i = selection[s];
+      let key = numericKeys ? 0 : '';
+      let blank = false;
+      for (let l = 0; l < columns.length; l++) {
+        const code = columns[l] ? columns[l].codes[i] : 0;
+        if (blanks[l] && blanks[l][code]) {
+          blank = true;
+          break;
+        }
+        key = numericKeys ? key * radix[l] + code : `${key},${code}`;
+      }
+      if (blank) continue;
+      let group = groups.get(key);
+      if (!group) {
+        group = { fact: i, count: 0, accumulators: readers.map(() => createAccumulator(aggregation)) };
+        groups.set(key, group);
+      }
+      group.count += 1;
+      for (let m = 0; m < readers.length; m++) {
+        const value = readers[m](i);
+        if (!Number.isNaN(value)) accumulate(group.accumulators[m], value);
+      }
+    }
+    await task.checkpoint(end / selection.length, 'Aggregating');
+  }
+
+  return Array.from(groups.values(), group => {
+    const members = levels.map((level, l) => (columns[l] ? columns[l].dictionary[columns[l].codes[group.fact]] : ALL_MEMBER));
+    const cell = { id: JSON.stringify(members), count: group.count };
+    levels.forEach((level, l) => { cell[level] = members[l]; });
+    if (measures.length > 0) {
+      cell.measureValues = Object.fromEntries(measures.map((key, m) => [key, resultOf(group.accumulators[m + 1], aggregation)]));
+    }
+    return { ...cell, value: resultOf(group.accumulators[0], aggregation), aggregation };
+  });
+};
+
+/**
+ * Relates the cells shown at one set of levels to the cells shown at another through the facts of a selection, as
+ * `relateCells` does for fact objects. Facts are grouped by their member codes, so each combination of members is
+ * keyed once.
+ * @param {Object} store - The store.
+ * @param {Uint32Array} selection - The facts shown after the change.
+ * @param {Array<string>} fromLevels - The levels shown before the change.
+ * @param {Array<string>} toLevels - The levels shown after the change.
+ * @returns {{ sourceOf: Map<string, string>, targetOf: Map<string, string> }} The relations, as from `relateCells`.
+ */
+export const relateSelection = (store, selection, fromLevels, toLevels) => {
+  const sourceOf = new Map();
+  const targetOf = new Map();
+  const sameLevels = fromLevels.length === toLevels.length && fromLevels.every(level => toLevels.includes(level));
+  if (sameLevels || fromLevels.length === 0 || toLevels.length === 0) return { sourceOf, targetOf };
+  const levels = [...new Set([...fromLevels, ...toLevels])];
+  const columns = levels.map(level => (isAllLevel(level) ? null : store.dimensions[level]));
+  // A level the store has no column for is blank on every fact, so no cells are related.
+  if (columns.some((column, idx) => column === undefined && !isAllLevel(levels[idx]))) return { sourceOf, targetOf };
+  const blanks = columns.map(column => (column ? Uint8Array.from(column.dictionary, member => Number(isBlank(member))) : null));
+  const radix = columns.map(column => (column ? column.dictionary.length : 1));
+  const numericKeys = radix.reduce((product, n) => product * n, 1) < Number.MAX_SAFE_INTEGER;
+
+  const seen = new Set();
+  for (let s = 0; s < selection.length; s++) {
+    const i = selection[s];
+    let key = numericKeys ? 0 : '';
+    let blank = false;
+    for (let l = 0; l < columns.length; l++) {
+      const code = columns[l] ? columns[l].codes[i] : 0;
+      if (blanks[l] && blanks[l][code]) {
+        blank = true;
+        break;
+      }
+      key = numericKeys ? key * radix[l] + code : `${key},${code}`;
+    }
+    if (blank || seen.has(key)) continue;
+    seen.add(key);
+    const memberOf = (level) => {
+      const l = levels.indexOf(level);
+      return columns[l] ? columns[l].dictionary[columns[l].codes[i]] : ALL_MEMBER;
+    };
+    const fromKey = getCellKey(memberOf, fromLevels);
+    const toKey = getCellKey(memberOf, toLevels);
+    if (!sourceOf.has(toKey)) sourceOf.set(toKey, fromKey);
+    if (!targetOf.has(fromKey)) targetOf.set(fromKey, toKey);
+  }
+  return { sourceOf, targetOf };
+};
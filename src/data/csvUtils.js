@@ -0,0 +1,234 @@
+// This file contains pure JavaScript helpers for reading and writing delimited text (CSV/TSV) files.
+
+import { parseNumber } from './numbers';
+import { getSchemaColumns, inferSchema, isMeasure } from './schema';
+
+// Delimiters we try when sniffing an imported file, in order of preference for ties.
+const CANDIDATE_DELIMITERS = [',', '\t', ';', '|'];
+
+/**
+ * Splits delimited text into records of fields.
+ * Handles quoted fields (including delimiters, line breaks and "" escapes inside quotes) and CRLF line endings.
+ * @param {string} text - The raw file contents.
+ * @param {string} delimiter - The field separator, e.g. ',' or '\t'.
+ * @returns {Array<{ line: number, fields: Array<string> }>} One entry per non-empty record, with its 1-based starting line.
+ */
+export const parseDelimited = (text, delimiter) => {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    // Ignore blank lines (a single empty field) so trailing newlines don't create empty rows.
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          // An escaped quote inside a quoted field.
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      // A quote only opens a quoted field at the start of the field.
+      field = '';
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      // Treat CRLF as a single line break.
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || fields.length > 0) {
+    endRecord();
+  }
+  return records;
+};
+
+// How much of a file is read to guess its delimiter, and how many of its records are compared.
+const SAMPLE_LENGTH = 64 * 1024;
+const SAMPLE_RECORDS = 10;
+
+/**
+ * Guesses the delimiter of a file by looking for the candidate that splits the first records
+ * into the same (and largest) number of fields.
+ * @param {string} text - The raw file contents.
+ * @returns {string} The detected delimiter. Falls back to ',' when nothing matches.
+ */
+export const detectDelimiter = (text) => {
+  // Only look at the first few records; that's enough to tell a CSV from a TSV. They are read as records (not lines),
+  // so a quoted field spanning several lines counts once; the last record of a cut sample may be incomplete.
+  const sample = text.slice(0, SAMPLE_LENGTH);
+  const isCut = text.length > SAMPLE_LENGTH;
+  let best = { delimiter: ',', score: 0 };
+
+  CANDIDATE_DELIMITERS.forEach(delimiter => {
+    const records = parseDelimited(sample, delimiter);
+    const counts = (isCut ? records.slice(0, -1) : records).slice(0, SAMPLE_RECORDS).map(record => record.fields.length);
+    if (counts.length === 0) return;
+    // A good delimiter gives every record the same number of fields (more than one).
+    const consistent = counts.every(count => count === counts[0]);
+    const score = counts[0] > 1 ? (consistent ? counts[0] * 2 : Math.min(...counts)) : 0;
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  });
+  return best.delimiter;
+};
+
+// Normalizes a header cell so 'Continent', ' q1 ' and '"Q1"' all match table columns.
+const normalizeHeader = (value) => String(value).trim().toLowerCase();
+
+// A record looks like a header when every field is filled in and none of them is a number.
+const looksLikeHeader = (fields) => fields.every(field => field.trim() !== '' && Number.isNaN(Number(field.trim())));
+
+/**
+ * Parses an imported CSV/TSV file into data table rows.
+ * The delimiter is sniffed, and the first line is treated as a header when it names any of the schema's columns.
+ * A header that names columns the schema doesn't have (or none of its columns) describes a different dataset:
+ * a new schema is inferred from it (see `inferSchema`) and returned alongside the rows.
+ * Without a header, columns are read in schema order.
+ * Rows that can't be read are skipped and reported in `errors` instead of aborting the whole import.
+ * @param {string} text - The raw file contents.
+ * @param {Object} schema - The current cube schema.
+ * @returns {{ rows: Array<Object>, errors: Array<{ line: number, message: string }>, delimiter: string, hasHeader: boolean, schema: Object }}
+ * Rows have one property per schema column (without `id`; the table assigns ids). `schema` is the schema the rows follow.
+ */
+export const parseCsvRows = (text, schema) => {
+  const delimiter = detectDelimiter(text);
+  const records = parseDelimited(text, delimiter);
+  const rows = [];
+  const errors = [];
+
+  if (records.length === 0) {
+    errors.push({ line: 1, message: 'The file is empty.' });
+    return { rows, errors, delimiter, hasHeader: false, schema };
+  }
+
+  // Header detection: the first record names at least one of our columns, or looks like a header of another dataset.
+  const firstFields = records[0].fields.map(normalizeHeader);
+  const schemaColumns = getSchemaColumns(schema).map(column => column.toLowerCase());
+  const namesSchemaColumn = schemaColumns.some(column => firstFields.includes(column));
+  const hasHeader = namesSchemaColumn || (records.length > 1 && looksLikeHeader(records[0].fields));
+  // Extra columns (e.g. a country level) mean the file follows a different schema.
+  const matchesSchema = namesSchemaColumn && firstFields.every(field => field === '' || schemaColumns.includes(field));
+  const fileSchema = hasHeader && !matchesSchema
+    ? inferSchema(records[0].fields, records.slice(1, 101).map(record => record.fields))
+    : schema;
+  const columns = getSchemaColumns(fileSchema);
+
+  // Map each table column to the index of the field that holds it.
+  const columnIndex = {};
+  columns.forEach((column, idx) => {
+    columnIndex[column] = hasHeader ? firstFields.indexOf(column.toLowerCase()) : idx;
+  });
+
+  if (hasHeader) {
+    const missing = columns.filter(column => columnIndex[column] === -1);
+    if (missing.length > 0) {
+      errors.push({ line: records[0].line, message: `Header is missing column(s): ${missing.join(', ')}. Those values will be left empty.` });
+    }
+  }
+
+  const expectedFields = hasHeader ? records[0].fields.length : columns.length;
+  const dataRecords = hasHeader ? records.slice(1) : records;
+
+  dataRecords.forEach(({ line, fields }) => {
+    if (fields.length < expectedFields) {
+      errors.push({ line, message: `Expected ${expectedFields} fields but found ${fields.length}; row skipped.` });
+      return;
+    }
+
+    const row = {};
+    const rowErrors = [];
+    columns.forEach(column => {
+      const idx = columnIndex[column];
+      const rawValue = idx === -1 ? '' : fields[idx].trim();
+      if (isMeasure(fileSchema, column)) {
+        // Thousands separators like "1,200" are accepted; a blank cell stays empty (not 0), as in the table.
+        const number = parseNumber(rawValue);
+        if (Number.isNaN(number)) {
+          rowErrors.push(`${column} value "${rawValue}" is not a number${rawValue.includes(',') ? ' (use "." for decimals)' : ''}`);
+        }
+        row[column] = number;
+      } else {
+        row[column] = rawValue;
+      }
+    });
+
+    if (rowErrors.length > 0) {
+      errors.push({ line, message: `${rowErrors.join('; ')}; row skipped.` });
+      return;
+    }
+    rows.push(row);
+  });
+
+  return { rows, errors, delimiter, hasHeader, schema: fileSchema };
+};
+
+// Quotes a single value when it contains the delimiter, a quote or a line break.
+const formatField = (value, delimiter) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  if (text.includes(delimiter) || text.includes('"') || text.includes('\n') || text.includes('\r')) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Serializes rows into delimited text with a header line.
+ * @param {Array<Object>} rows - The rows to write.
+ * @param {Array<string>} columns - The properties to write, in order. Also used as the header.
+ * @param {string} [delimiter=','] - The field separator.
+ * @returns {string} The file contents.
+ */
+export const toCsv = (rows, columns, delimiter = ',') => {
+  const lines = [columns.map(column => formatField(column, delimiter)).join(delimiter)];
+  rows.forEach(row => {
+    lines.push(columns.map(column => formatField(row[column], delimiter)).join(delimiter));
+  });
+  return lines.join('\r\n');
+};
+
+/**
+ * Collects the properties present in a list of rows (in order of first appearance), skipping internal ones like `id`.
+ * Useful for exporting cube data, whose shape changes after operations such as roll-up.
+ * @param {Array<Object>} rows - The rows to inspect.
+ * @returns {Array<string>} The column names.
+ */
+export const getExportColumns = (rows) => {
+  const columns = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (key !== 'id' && !columns.includes(key)) {
+        columns.push(key);
+      }
+    });
+  });
+  return columns;
+};
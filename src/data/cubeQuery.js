@@ -0,0 +1,410 @@
+// This file implements a small MDX-like query language for the cube, so a view can be written down instead of built
+// with the OLAP controls, e.g.
+//
+//   SELECT SUM(value), continent ON COLUMNS, product ON ROWS, quarter ON PAGES
+//   WHERE region IN ('North', 'South') AND Q3 > 1000
+//   TOP 5 ROWS BY value WITH OTHERS
+//
+// A query compiles into the same pipeline operations the controls create (a pivot for the axes, a slice per WHERE
+// condition and a rank per axis), so the app shows its result like any other view and `runCubeQuery` computes it
+// with dataProcessor for code outside the app.
+//
+// The language (keywords in any case; names are keys or labels, in [brackets] when they aren't plain names):
+// - SELECT lists measures and levels, in any order: a measure, or AGG(measure) with AGG one of SUM, AVG, MIN, MAX,
+//   COUNT or DISTINCT (one aggregation for the whole query; SUM by default), and `level ON axis` with axis COLUMNS
+//   (X), ROWS (Y) or PAGES (Z). The first measure is the cells' value; more measures are drawn as bars or stacks.
+// - FROM name: optional; when the query runs on a named dataset, the name must match it.
+// - WHERE conditions joined by AND: field = value, field <> value, field < <= > >= number, field [NOT] IN (values),
+//   field CONTAINS 'text', field MATCHES 'regex', field BETWEEN low AND high. Values are 'quoted' text, numbers or names.
+// - TOP n axis [BY measure] [WITH OTHERS], BOTTOM n axis [...], ORDER axis BY measure [ASC|DESC]: rank the members of
+//   an axis (named as COLUMNS/ROWS/PAGES or by the level on it).
+
+import {
+  AGGREGATIONS,
+  BASE_MEASURE,
+  aggregateCube,
+  getMeasureOptions,
+  processRawData,
+  validateFilterCondition,
+} from './dataProcessor';
+import { createOperation, evaluatePipeline } from './operationPipeline';
+import { applyRankings, sortCells } from './ranking';
+import { getAllLevelKey, getCubeDimensions, getDimensionLabel, getHierarchies } from './schema';
+import { DEFAULT_GLYPH_SETTINGS } from './glyphs';
+
+// The axes a level can be put on, by name.
+const AXES = { columns: 'x', x: 'x', rows: 'y', y: 'y', pages: 'z', z: 'z' };
+const AXIS_NAMES = { x: 'COLUMNS', y: 'ROWS', z: 'PAGES' };
+
+// Aggregation functions by name, as AGGREGATIONS keys.
+const AGGREGATION_NAMES = { sum: 'sum', avg: 'avg', average: 'avg', min: 'min', max: 'max', count: 'count', distinct: 'distinct' };
+
+const COMPARISONS = { '<': 'lt', '<=': 'lte', '>': 'gt', '>=': 'gte' };
+
+// Creates a query error pointing at a position (0-based character offset) in the query.
+const queryError = (message, position) => Object.assign(new Error(message), { position });
+
+// Splits a query into tokens: { type: 'number'|'string'|'name'|'op'|'end', value, quoted, position }. Bracketed names
+// are `quoted`, so [Top] is a name rather than the keyword.
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (text.startsWith('--', i)) {
+      // A comment runs to the end of the line.
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end;
+    } else if (/[0-9.]/.test(char) || (char === '-' && /[0-9.]/.test(text[i + 1] || ''))) {
+      const match = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(text.slice(i));
+      if (!match) throw queryError(`Unexpected "${char}".`, i);
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(i))[0];
+      tokens.push({ type: 'name', value: name, quoted: false, position: i });
+      i += name.length;
+    } else if (char === '[') {
+      const end = text.indexOf(']', i);
+      if (end === -1) throw queryError('Missing "]".', i);
+      const name = text.slice(i + 1, end).trim();
+      if (!name) throw queryError('Empty name in brackets.', i);
+      tokens.push({ type: 'name', value: name, quoted: true, position: i });
+      i = end + 1;
+    } else if (char === '\'' || char === '"') {
+      // A quote inside text is written twice: 'O''Brien'.
+      let value = '';
+      let end = i + 1;
+      for (;;) {
+        if (end >= text.length) throw queryError('Missing closing quote.', i);
+        if (text[end] === char) {
+          if (text[end + 1] !== char) break;
+          end += 1;
+        }
+        value += text[end];
+        end += 1;
+      }
+      tokens.push({ type: 'string', value, position: i });
+      i = end + 1;
+    } else {
+      const op = ['<=', '>=', '<>', '!='].find(candidate => text.startsWith(candidate, i)) ||
+        ('(),=<>;'.includes(char) ? char : null);
+      if (!op) throw queryError(`Unexpected "${char}".`, i);
+      tokens.push({ type: 'op', value: op, position: i });
+      i += op.length;
+    }
+  }
+  tokens.push({ type: 'end', value: null, position: text.length });
+  return tokens;
+};
+
+// Describes a token for error messages.
+const describeToken = (token) => {
+  if (token.type === 'end') return 'the end of the query';
+  if (token.type === 'string') return `'${token.value}'`;
+  return token.quoted ? `[${token.value}]` : `"${token.value}"`;
+};
+
+// Parses the tokens into the query's clauses, without looking at the schema yet. Names keep their positions, so the
+// compiler can point at a name the schema doesn't have.
+const parseTokens = (tokens) => {
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isKeyword = (word, token = peek()) => token.type === 'name' && !token.quoted && token.value.toLowerCase() === word;
+  const isOp = (value) => peek().type === 'op' && peek().value === value;
+  const fail = (expected) => {
+    throw queryError(`Expected ${expected}, found ${describeToken(peek())}.`, peek().position);
+  };
+  const expectKeyword = (word) => {
+    if (!isKeyword(word)) fail(word.toUpperCase());
+    return next();
+  };
+  const expectOp = (value) => {
+    if (!isOp(value)) fail(`"${value}"`);
+    return next();
+  };
+  const expectName = (what) => {
+    if (peek().type !== 'name') fail(what);
+    const token = next();
+    return { name: token.value, position: token.position };
+  };
+  const expectNumber = (what) => {
+    if (peek().type !== 'number') fail(what);
+    return next();
+  };
+  // A value in a condition: text, a number, or a name taken as text.
+  const expectValue = () => {
+    const token = peek();
+    if (token.type === 'string' || token.type === 'number' || token.type === 'name') {
+      index += 1;
+      return token.value;
+    }
+    return fail('a value');
+  };
+
+  const query = { measures: [], axes: [], from: null, conditions: [], ranks: [] };
+
+  expectKeyword('select');
+  do {
+    if (query.measures.length + query.axes.length > 0) next(); // ','
+    const token = peek();
+    if (token.type === 'name' && !token.quoted && tokens[index + 1].type === 'op' && tokens[index + 1].value === '(') {
+      // AGG(measure)
+      index += 2;
+      const measure = expectName('a measure');
+      expectOp(')');
+      if (isKeyword('on')) throw queryError('Measures can\'t be put on an axis; put a level there.', peek().position);
+      query.measures.push({ ...measure, aggregation: { name: token.value, position: token.position } });
+    } else {
+      const item = expectName('a measure or a level');
+      if (isKeyword('on')) {
+        next();
+        const axis = expectName('COLUMNS, ROWS or PAGES');
+        query.axes.push({ level: item, axis });
+      } else {
+        query.measures.push({ ...item, aggregation: null });
+      }
+    }
+  } while (isOp(','));
+
+  if (isKeyword('from')) {
+    next();
+    query.from = expectName('a cube name');
+  }
+
+  if (isKeyword('where')) {
+    do {
+      next(); // WHERE or AND
+      const field = expectName('a field');
+      const token = peek();
+      const condition = { field, position: token.position };
+      if (token.type === 'op' && ['=', '<>', '!='].includes(token.value)) {
+        next();
+        Object.assign(condition, { op: token.value === '=' ? 'eq' : 'notIn', value: expectValue() });
+      } else if (token.type === 'op' && COMPARISONS[token.value]) {
+        next();
+        Object.assign(condition, { op: COMPARISONS[token.value], value: expectNumber('a number').value });
+      } else if (isKeyword('in') || (isKeyword('not') && isKeyword('in', tokens[index + 1]))) {
+        const negated = isKeyword('not');
+        index += negated ? 2 : 1;
+        expectOp('(');
+        const values = [expectValue()];
+        while (isOp(',')) {
+          next();
+          values.push(expectValue());
+        }
+        expectOp(')');
+        Object.assign(condition, { op: negated ? 'notIn' : 'in', value: values });
+      } else if (isKeyword('contains') || isKeyword('matches')) {
+        const op = next().value.toLowerCase() === 'contains' ? 'contains' : 'regex';
+        if (peek().type !== 'string') fail('quoted text');
+        Object.assign(condition, { op, value: next().value });
+      } else if (isKeyword('between')) {
+        next();
+        const low = expectNumber('a number').value;
+        expectKeyword('and');
+        Object.assign(condition, { op: 'between', value: [low, expectNumber('a number').value] });
+      } else {
+        fail('a comparison (=, <>, <, <=, >, >=, IN, NOT IN, CONTAINS, MATCHES or BETWEEN)');
+      }
+      query.conditions.push(condition);
+    } while (isKeyword('and'));
+  }
+
+  while (isKeyword('top') || isKeyword('bottom') || isKeyword('order')) {
+    const keyword = next();
+    const type = keyword.value.toLowerCase();
+    if (type === 'order') {
+      const axis = expectName('an axis');
+      expectKeyword('by');
+      const measure = expectName('a measure');
+      let sort = 'asc';
+      if (isKeyword('asc') || isKeyword('desc')) sort = next().value.toLowerCase();
+      query.ranks.push({ axis, measure, sort, limit: null, others: false, position: keyword.position });
+    } else {
+      const count = expectNumber('a number of members');
+      if (!Number.isInteger(count.value) || count.value < 1) throw queryError('The number of members must be a whole number above 0.', count.position);
+      const axis = expectName('an axis');
+      let measure = null;
+      if (isKeyword('by')) {
+        next();
+        measure = expectName('a measure');
+      }
+      let others = false;
+      if (isKeyword('with')) {
+        next();
+        expectKeyword('others');
+        others = true;
+      }
+      query.ranks.push({ axis, measure, sort: null, limit: { type, count: count.value }, others, position: keyword.position });
+    }
+  }
+
+  if (isOp(';')) next();
+  if (peek().type !== 'end') {
+    const expected = query.conditions.length > 0 ? 'AND, TOP, BOTTOM, ORDER or the end of the query' : 'WHERE, TOP, BOTTOM, ORDER or the end of the query';
+    fail(expected);
+  }
+  return query;
+};
+
+// Finds an option by name: its exact key first, then its key or label in any case.
+const findByName = (options, name) => {
+  const lower = name.toLowerCase();
+  return options.find(option => option.key === name) ||
+    options.find(option => option.key.toLowerCase() === lower || String(option.label).toLowerCase() === lower);
+};
+
+// Turns the parsed clauses into a view of the schema: checks every name and builds the pipeline operations.
+const compileParsed = (query, schema, datasetName) => {
+  const levels = getHierarchies(schema).flatMap(hierarchy => [
+    { key: getAllLevelKey(hierarchy), label: `All ${hierarchy.label}` },
+    ...hierarchy.levels.map(key => ({ key, label: getDimensionLabel(schema, key) })),
+  ]);
+  const time = schema.timeDimension;
+  const measureOptions = getMeasureOptions(schema);
+  // In a long layout the first measure column is the base value.
+  const measureColumns = time && time.fromMeasures ? [] : schema.measures.slice(0, 1);
+  const findMeasure = ({ name, position }) => {
+    const option = findByName(measureOptions, name);
+    if (option) return option.key;
+    if (findByName(measureColumns, name)) return BASE_MEASURE;
+    throw queryError(`Unknown measure "${name}".`, position);
+  };
+  const fields = [...getCubeDimensions(schema), ...schema.measures, { key: BASE_MEASURE, label: 'Value' }];
+
+  if (query.from && datasetName && query.from.name.toLowerCase() !== datasetName.toLowerCase()) {
+    throw queryError(`This query runs on "${datasetName}", not "${query.from.name}".`, query.from.position);
+  }
+
+  // One aggregation for the query, named on any of its measures.
+  const named = query.measures.filter(m => m.aggregation);
+  let aggregation = 'sum';
+  named.forEach(({ aggregation: { name, position } }) => {
+    const key = AGGREGATION_NAMES[name.toLowerCase()];
+    if (!key || !AGGREGATIONS[key]) throw queryError(`Unknown aggregation "${name}"; use SUM, AVG, MIN, MAX, COUNT or DISTINCT.`, position);
+    if (key !== AGGREGATION_NAMES[named[0].aggregation.name.toLowerCase()]) {
+      throw queryError('Use the same aggregation for every measure of a query.', position);
+    }
+    aggregation = key;
+  });
+  const measures = [...new Set(query.measures.map(findMeasure))];
+  const measure = measures.length > 0 ? measures[0] : BASE_MEASURE;
+
+  const axisMapping = { x: null, y: null, z: null };
+  query.axes.forEach(({ level, axis }) => {
+    const axisKey = AXES[axis.name.toLowerCase()];
+    if (!axisKey) throw queryError(`Unknown axis "${axis.name}"; use COLUMNS, ROWS or PAGES.`, axis.position);
+    if (axisMapping[axisKey]) throw queryError(`${AXIS_NAMES[axisKey]} already shows a level.`, axis.position);
+    const found = findByName(levels, level.name);
+    if (!found) throw queryError(`Unknown level "${level.name}".`, level.position);
+    axisMapping[axisKey] = found.key;
+  });
+  if (query.axes.length === 0) throw queryError('Put at least one level ON COLUMNS, ROWS or PAGES.', 0);
+
+  const operations = [createOperation('pivot', { axisMapping })];
+
+  query.conditions.forEach(({ field, op, value, position }) => {
+    const found = findByName(fields, field.name);
+    if (!found) throw queryError(`Unknown field "${field.name}"; filter on a dimension or a measure column.`, field.position);
+    // An exact match is a plain member, as picked in the slice control.
+    const condition = op === 'eq' ? String(value) : { op, value: op === 'notIn' && !Array.isArray(value) ? [value] : value };
+    const invalid = validateFilterCondition(condition);
+    if (invalid) throw queryError(invalid, position);
+    operations.push(createOperation('slice', {
+      dimension: found.key,
+      value: Array.isArray(condition.value) && op !== 'between' ? { ...condition, value: condition.value.map(String) } : condition,
+    }));
+  });
+
+  // Rank clauses on the same axis combine: an ORDER sets the sort, a TOP or BOTTOM the limit.
+  const rankings = {};
+  query.ranks.forEach(rank => {
+    const { name, position } = rank.axis;
+    let axisKey = AXES[name.toLowerCase()];
+    if (!axisKey) {
+      const found = findByName(levels, name);
+      axisKey = found ? Object.keys(axisMapping).find(axis => axisMapping[axis] === found.key) : undefined;
+      if (!axisKey) throw queryError(`"${name}" isn't on an axis; name COLUMNS, ROWS or PAGES, or a level on one.`, position);
+    }
+    if (!axisMapping[axisKey]) throw queryError(`${AXIS_NAMES[axisKey]} shows no level to rank.`, position);
+    const rankMeasure = rank.measure ? findMeasure(rank.measure) : null;
+    const ranking = rankings[axisKey] || { axis: axisKey, sort: 'member', measure: null, limit: null, others: false };
+    if (rankMeasure && ranking.measure && rankMeasure !== ranking.measure) {
+      throw queryError(`${AXIS_NAMES[axisKey]} is already ranked by ${ranking.measure}.`, rank.measure.position);
+    }
+    if (rankMeasure) ranking.measure = rankMeasure;
+    if (rank.sort) {
+      ranking.sort = rank.sort;
+    } else {
+      if (ranking.limit) throw queryError(`${AXIS_NAMES[axisKey]} already has a TOP or BOTTOM.`, rank.position);
+      ranking.limit = rank.limit;
+      ranking.others = rank.others;
+      // A top N is shown highest first unless an ORDER says otherwise.
+      if (ranking.sort === 'member') ranking.sort = rank.limit.type === 'top' ? 'desc' : 'asc';
+    }
+    rankings[axisKey] = ranking;
+  });
+  Object.values(rankings).forEach(ranking => {
+    operations.push(createOperation('rank', { ...ranking, measure: ranking.measure || measure }));
+  });
+
+  // Measures after the first are drawn on the cells: one as bars, several as stacked segments.
+  const extra = measures.slice(1);
+  let glyph = DEFAULT_GLYPH_SETTINGS;
+  if (extra.length === 1) glyph = { shape: 'bar', measures: extra };
+  if (extra.length > 1) glyph = { shape: 'stacked', measures: extra };
+
+  return { operations, aggregation, measure, measures: extra, glyph };
+};
+
+/**
+ * Compiles a query into a view of the cube: the pipeline operations (a pivot for the axes, a slice per condition and a
+ * rank per ranked axis), the aggregation, the measure shown and the cell glyphs showing any further measures.
+ * @param {string} text - The query.
+ * @param {Object} schema - The cube schema its names refer to.
+ * @param {string} [datasetName] - The dataset's name, which a FROM clause must match.
+ * @returns {{ view: { operations: Array<Object>, aggregation: string, measure: string, measures: Array<string>,
+ * glyph: Object }|null, error: { message: string, position: number }|null }} The view, or the first error and its
+ * character position in the query.
+ */
+export const compileQuery = (text, schema, datasetName = null) => {
+  if (!String(text || '').trim()) return { view: null, error: { message: 'Enter a query.', position: 0 } };
+  try {
+    return { view: compileParsed(parseTokens(tokenize(String(text))), schema, datasetName), error: null };
+  } catch (error) {
+    if (error.position === undefined) throw error;
+    return { view: null, error: { message: error.message, position: error.position } };
+  }
+};
+
+/**
+ * Runs a query on a table of rows, e.g. from another app: compiles it and aggregates the cells it selects.
+ * @param {string} text - The query.
+ * @param {{ rows: Array<Object>, schema: Object, name?: string }} dataset - The table rows (as in the data table),
+ * their schema and optionally their name, for FROM.
+ * @returns {{ cells: Array<Object>, axisMapping: Object|null, aggregation: string|null, measure: string|null,
+ * measures: Array<string>, error: { message: string, position: number }|null }} The cells (as from `aggregateCube`,
+ * in display order, with `measureValues` for further measures) and how they were computed, or the error. Members
+ * gathered WITH OTHERS are OTHERS_MEMBER and those of "All" levels ALL_MEMBER; `formatMember` (see ranking.js) gives
+ * their labels.
+ */
+export const runCubeQuery = (text, { rows, schema, name = null }) => {
+  const { view, error } = compileQuery(text, schema, name);
+  if (error) return { cells: [], axisMapping: null, aggregation: null, measure: null, measures: [], error };
+  const { operations, aggregation, measure, measures } = view;
+  const pipeline = evaluatePipeline(processRawData(rows, schema), operations, schema);
+  const ranked = applyRankings(pipeline.facts, pipeline.axisMapping, pipeline.rankings, { aggregation, schema });
+  const cells = aggregateCube(ranked.facts, pipeline.axisMapping, aggregation, { measure, measures, schema });
+  return {
+    cells: sortCells(cells, pipeline.axisMapping, schema, ranked.memberOrder),
+    axisMapping: pipeline.axisMapping,
+    aggregation,
+    measure,
+    measures,
+    error: null,
+  };
+};
@@ -1,70 +1,294 @@
 // This file contains pure JavaScript functions for all data processing and OLAP logic.
 
+import {
+  ALL_MEMBER,
+  DEFAULT_SCHEMA,
+  getCubeDimensions,
+  getDimensionLabel,
+  getHierarchyLevels,
+  isAllLevel,
+  isMeasure,
+  sortMembers,
+} from './schema';
+import { FORMULA_FUNCTIONS, evaluateFormula, getFormulaReferences, parseFormula } from './formula';
+
+// Converts a table cell to a number, or null when it is blank or not numeric.
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+};
+
 /**
  * Processes raw tabular data into a structured format suitable for 3D cube visualization.
- * It expands Q1-Q4 values into individual data points, each representing a specific quarter.
+ * When the schema's time dimension is built from measure columns (e.g. Q1-Q4 as quarters), each row is expanded
+ * into one data point per period. Otherwise each row becomes a single data point whose `value` is the first measure.
+ * The result is the cube's base facts: it doesn't depend on the axis mapping, so roll-up and drill-down can
+ * re-aggregate it at any level (see `aggregateCube`).
  * @param {Array<Object>} rawData - The input data from the table, e.g., [{ continent: 'Asia', Q1: 100, ... }]
- * @param {Object} axisMapping - Current mapping of dimensions to axes (e.g., {x: 'continent', y: 'region', z: 'quarter'})
- * @returns {Array<Object>} Processed data where each item represents a single quarter's value for a given dimension combination.
+ * @param {Object} [schema=DEFAULT_SCHEMA] - The cube schema describing dimensions, measures and time.
+ * @returns {Array<Object>} Processed data where each item carries every dimension, every measure, the displayed `value`
+ * and the `rowId` of the table row it came from.
  */
-export const processRawData = (rawData, axisMapping) => {
+export const processRawData = (rawData, schema = DEFAULT_SCHEMA) => {
   const processed = [];
+  const time = schema.timeDimension;
+  const unpivotTime = Boolean(time && time.fromMeasures);
+
   rawData.forEach(row => {
-    // Ensure the row has the necessary properties for the current axis mapping
-    // This prevents errors if a row is incomplete or missing a mapped dimension.
-    if (!row[axisMapping.x] || !row[axisMapping.y]) {
-      // Skip rows that don't have data for the primary dimensions
-      console.warn(`Skipping row due to missing data for mapped axes: ${JSON.stringify(row)}`);
-      return;
+    // Copy every dimension and measure so later operations (slice, dice, roll-up) can use any of them.
+    const base = {};
+    schema.dimensions.forEach(d => { base[d.key] = row[d.key]; });
+    schema.measures.forEach(m => { base[m.key] = toNumber(row[m.key]); });
+
+    if (unpivotTime) {
+      // Iterate over each period column (e.g. Q1 to Q4) to create a separate data point for each.
+      schema.measures.forEach(measure => {
+        // Check if the period's value exists and is numeric.
+        if (base[measure.key] !== null) {
+          processed.push({
+            ...base,
+            id: `${row.id}-${measure.key}`, // Create a unique ID for each period's data point
+            rowId: row.id,
+            [time.key]: measure.key,        // Explicitly add the period as a dimension
+            value: base[measure.key],       // The value for this specific period
+          });
+        }
+      });
+    } else if (schema.measures.length > 0) {
+      processed.push({
+        ...base,
+        id: `${row.id}`,
+        rowId: row.id,
+        value: base[schema.measures[0].key],
+      });
     }
+  });
+  return processed;
+};
+
+// Whether a table cell is blank; 0 and other falsy values are real members and values.
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Checks the table rows for data quality issues that affect the cube, without changing them:
+ * rows that contribute no value at all (skipped), rows with blank dimensions or blank/non-numeric measures
+ * (incomplete), and rows sharing every dimension member with another row (duplicated; their facts land in the
+ * same cells and are aggregated together).
+ * @param {Array<Object>} rawData - The table rows.
+ * @param {Object} [schema=DEFAULT_SCHEMA] - The cube schema.
+ * @returns {{ rowCount: number, skipped: Array<{ rowId: *, reason: string }>, incomplete: Array<{ rowId: *, issues: Array<string> }>,
+ *   duplicates: Array<{ rowIds: Array<*>, members: string }> }} The report.
+ */
+export const assessDataQuality = (rawData, schema = DEFAULT_SCHEMA) => {
+  const skipped = [];
+  const incomplete = [];
+  const coordinates = new Map();
 
-    // Iterate over each quarter (Q1 to Q4) to create a separate data point for each.
-    ['Q1', 'Q2', 'Q3', 'Q4'].forEach(quarter => {
-      // Check if the quarter's value exists and is not null.
-      if (row[quarter] !== undefined && row[quarter] !== null) {
-        processed.push({
-          id: `${row.id}-${quarter}`, // Create a unique ID for each quarter's data point
-          continent: row.continent,   // Include all original dimensions
-          region: row.region,
-          product: row.product,
-          quarter: quarter,           // Explicitly add 'quarter' as a dimension
-          value: row[quarter],        // The sales value for this specific quarter
-          // Keep original Q values for potential drill-down context, even if 'value' is the primary display.
-          Q1: row.Q1,
-          Q2: row.Q2,
-          Q3: row.Q3,
-          Q4: row.Q4,
-        });
+  rawData.forEach(row => {
+    const issues = [];
+    schema.dimensions.forEach(d => {
+      if (isBlank(row[d.key])) issues.push(`${d.label} is blank`);
+    });
+    let valueCount = 0;
+    schema.measures.forEach(m => {
+      if (isBlank(row[m.key])) {
+        issues.push(`${m.label} is blank`);
+      } else if (toNumber(row[m.key]) === null) {
+        issues.push(`${m.label} is not a number ("${row[m.key]}")`);
+      } else {
+        valueCount += 1;
       }
     });
+
+    // In a long layout only the first measure becomes the cell value.
+    const time = schema.timeDimension;
+    const contributes = time && time.fromMeasures
+      ? valueCount > 0
+      : schema.measures.length > 0 && toNumber(row[schema.measures[0].key]) !== null;
+    if (!contributes) {
+      skipped.push({ rowId: row.id, reason: schema.measures.length > 0 ? 'No numeric value' : 'The schema has no measures' });
+    } else if (issues.length > 0) {
+      incomplete.push({ rowId: row.id, issues });
+    }
+
+    const members = schema.dimensions.map(d => (isBlank(row[d.key]) ? '' : String(row[d.key])));
+    const key = JSON.stringify(members);
+    if (!coordinates.has(key)) coordinates.set(key, { rowIds: [], members: members.join(' / ') });
+    coordinates.get(key).rowIds.push(row.id);
   });
-  return processed;
+
+  return {
+    rowCount: rawData.length,
+    skipped,
+    incomplete,
+    duplicates: [...coordinates.values()].filter(group => group.rowIds.length > 1),
+  };
+};
+
+/**
+ * The operators a slice/dice filter condition can use, grouped by the kind of field they apply to.
+ * A condition is { op, value }: `value` is a string for eq/contains/regex, an array of members for in/notIn,
+ * a number for gt/gte/lt/lte and a [min, max] pair (either end may be empty) for between.
+ */
+export const FILTER_OPERATORS = {
+  eq: { label: 'equals', kind: 'dimension' },
+  in: { label: 'is one of', kind: 'dimension' },
+  notIn: { label: 'is not one of', kind: 'dimension' },
+  contains: { label: 'contains', kind: 'dimension' },
+  regex: { label: 'matches regex', kind: 'dimension' },
+  gt: { label: '>', kind: 'measure' },
+  gte: { label: '≥', kind: 'measure' },
+  lt: { label: '<', kind: 'measure' },
+  lte: { label: '≤', kind: 'measure' },
+  between: { label: 'between', kind: 'measure' },
+};
+
+/**
+ * Returns the starting value for a filter operator, in the shape `matchesFilter` expects.
+ * @param {string} op - The operator key.
+ * @returns {Array|string} An empty pick list, an open range or an empty string.
+ */
+export const getDefaultFilterValue = (op) => {
+  if (op === 'in' || op === 'notIn') return [];
+  if (op === 'between') return ['', ''];
+  return '';
+};
+
+// Reads a filter's value as a number, or null when it is blank.
+const toBound = (value) => (value === '' || value === undefined || value === null ? null : Number(value));
+
+/**
+ * Checks a filter condition for mistakes the user should fix before applying it.
+ * @param {Object|string} condition - A filter condition, or a plain string (exact match).
+ * @returns {string|null} An error message, or null when the condition is valid.
+ */
+export const validateFilterCondition = (condition) => {
+  if (typeof condition !== 'object' || condition === null) return null;
+  const { op, value } = condition;
+  if (!FILTER_OPERATORS[op]) return `Unknown filter operator "${op}".`;
+  if ((op === 'in' || op === 'notIn') && !Array.isArray(value)) return 'Pick a list of members.';
+  if (op === 'between' && !(Array.isArray(value) && value.length === 2)) return 'Enter a minimum and a maximum.';
+  if (op === 'regex') {
+    try {
+      new RegExp(value, 'i');
+    } catch (error) {
+      return error.message;
+    }
+  }
+  if (['gt', 'gte', 'lt', 'lte'].includes(op) && (toBound(value) === null || Number.isNaN(toBound(value)))) {
+    return 'Enter a number.';
+  }
+  if (op === 'between') {
+    const [min, max] = (value || []).map(toBound);
+    if ([min, max].some(bound => Number.isNaN(bound))) return 'Range bounds must be numbers.';
+    if (min !== null && max !== null && min > max) return 'The minimum is greater than the maximum.';
+  }
+  return null;
+};
+
+// Checks whether a condition has nothing to filter on (e.g. an empty text box or no members picked).
+const isEmptyCondition = (condition) => {
+  if (condition === undefined || condition === null || condition === '') return true;
+  if (typeof condition !== 'object') return false;
+  const { op, value } = condition;
+  if (op === 'between') return !value || value.every(bound => toBound(bound) === null);
+  if (op === 'in' || op === 'notIn') return false; // An empty pick list is a real filter: 'in' matches nothing.
+  return value === undefined || value === null || value === '';
+};
+
+/**
+ * Tests one value (a dimension member or a measure) against a filter condition.
+ * Plain strings are treated as an exact match, so 'Asia' doesn't also match 'Southeast Asia'.
+ * @param {*} itemValue - The value of the field on a fact.
+ * @param {Object|string} condition - The filter condition.
+ * @returns {boolean} True when the value passes the filter.
+ */
+export const matchesFilter = (itemValue, condition) => {
+  if (isEmptyCondition(condition)) return true;
+  if (typeof condition !== 'object') return String(itemValue) === String(condition);
+
+  const { op, value } = condition;
+  const text = itemValue === undefined || itemValue === null ? '' : String(itemValue);
+  const number = itemValue === undefined || itemValue === null || itemValue === '' ? null : Number(itemValue);
+  switch (op) {
+    case 'eq':
+      return text === String(value);
+    case 'in':
+      return value.map(String).includes(text);
+    case 'notIn':
+      return !value.map(String).includes(text);
+    case 'contains':
+      return text.toLowerCase().includes(String(value).toLowerCase());
+    case 'regex':
+      return new RegExp(value, 'i').test(text);
+    case 'gt':
+      return number !== null && number > Number(value);
+    case 'gte':
+      return number !== null && number >= Number(value);
+    case 'lt':
+      return number !== null && number < Number(value);
+    case 'lte':
+      return number !== null && number <= Number(value);
+    case 'between': {
+      const [min, max] = value.map(toBound);
+      return number !== null && (min === null || number >= min) && (max === null || number <= max);
+    }
+    default:
+      return true;
+  }
+};
+
+/**
+ * Describes a filter condition in words, e.g. 'Q3 > 1000' or 'region is one of Asia, Europe'.
+ * @param {string} label - The label of the filtered field.
+ * @param {Object|string} condition - The filter condition.
+ * @returns {string} The description.
+ */
+export const describeFilter = (label, condition) => {
+  if (typeof condition !== 'object') return `${label} = ${condition}`;
+  const { op, value } = condition;
+  if (op === 'in' || op === 'notIn') return `${label} ${FILTER_OPERATORS[op].label} ${value.join(', ') || '(nothing)'}`;
+  if (op === 'between') return `${label} between ${value[0] === '' ? '-∞' : value[0]} and ${value[1] === '' ? '∞' : value[1]}`;
+  if (op === 'eq') return `${label} = ${value}`;
+  return `${label} ${FILTER_OPERATORS[op].label} ${value}`;
+};
+
+/**
+ * Lists the distinct values of a field in the data, e.g. to populate a filter's value picker.
+ * @param {Array<Object>} data - The facts.
+ * @param {string} field - The dimension (or measure) key.
+ * @returns {Array} The unique, non-empty values, in first-seen order.
+ */
+export const getDistinctValues = (data, field) => {
+  const values = new Set();
+  data.forEach(item => {
+    const value = item[field];
+    if (value !== undefined && value !== null && value !== '') values.add(value);
+  });
+  return [...values];
 };
 
 /**
  * Applies a slice operation: filters the data by a single dimension and a specific value.
  * @param {Array<Object>} data - The current cube data (processed data).
  * @param {string} dimension - The dimension to filter by (e.g., 'continent', 'region', 'product').
- * @param {string} value - The value to filter for (case-insensitive partial match).
+ * @param {Object|string} value - The member to keep (exact match), or a filter condition such as { op: 'in', value: [...] }.
  * @returns {Array<Object>} The filtered data.
  */
 export const applySlice = (data, dimension, value) => {
-  if (!dimension || !value) {
+  if (!dimension || isEmptyCondition(value)) {
     // If no dimension or value is provided, return the original data.
     return data;
   }
-  const lowerCaseValue = String(value).toLowerCase(); // Convert filter value to lowercase for case-insensitive comparison.
-  return data.filter(item =>
-    // Check if the item's dimension value (converted to string and lowercase) includes the filter value.
-    String(item[dimension]).toLowerCase().includes(lowerCaseValue)
-  );
+  return data.filter(item => matchesFilter(item[dimension], value));
 };
 
 /**
- * Applies a dice operation: filters the data by multiple dimensions simultaneously.
+ * Applies a dice operation: filters the data by multiple dimensions (and measures) simultaneously.
  * @param {Array<Object>} data - The current cube data.
- * @param {Object} filters - An object where keys are dimensions and values are filter strings.
- * Example: { continent: 'Asia', product: 'Electronics' }
+ * @param {Object} filters - An object where keys are fields and values are filter conditions (or plain strings for an exact match).
+ * Example: { continent: { op: 'in', value: ['Asia', 'Europe'] }, product: 'Electronics', Q3: { op: 'gt', value: 1000 } }
  * @returns {Array<Object>} The filtered data.
  */
 export const applyDice = (data, filters) => {
@@ -73,14 +297,10 @@ export const applyDice = (data, filters) => {
     return data;
   }
 
-  return data.filter(item => {
-    // For each item, check if it satisfies ALL provided filters.
-    return Object.entries(filters).every(([dimension, value]) => {
-      if (!value) return true; // If a filter value is empty, it means no filter is applied for that dimension.
-      // Perform a case-insensitive partial match for each dimension.
-      return String(item[dimension]).toLowerCase().includes(String(value).toLowerCase());
-    });
-  });
+  return data.filter(item =>
+    // For each item, check if it satisfies ALL provided filters. Empty conditions don't filter anything.
+    Object.entries(filters).every(([field, condition]) => matchesFilter(item[field], condition))
+  );
 };
 
 /**
@@ -100,63 +320,354 @@ export const applyPivot = (data, newAxisMapping) => {
 };
 
 /**
- * Applies a roll-up operation: aggregates Q1-Q4 values into a single 'Total' value
- * for each unique combination of Continent, Region, and Product.
- * @param {Array<Object>} data - The current cube data (which includes individual quarter data points).
- * @returns {Array<Object>} Data with aggregated 'Total' values, suitable for a rolled-up view.
+ * Reads the member of a fact at a level: hierarchies rolled up to "All" have a single member.
+ * @param {Object} fact - A fact from `processRawData`.
+ * @param {string} levelKey - A dimension key, or the "All" level of a hierarchy.
+ * @returns {*} The member.
  */
-export const applyRollUp = (data) => {
-  // Use a Map to group and aggregate data. The key uniquely identifies a (Continent, Region, Product) combination.
-  const rolledUpDataMap = new Map();
+export const getAxisMember = (fact, levelKey) => (isAllLevel(levelKey) ? ALL_MEMBER : fact[levelKey]);
 
-  data.forEach(item => {
-    const key = `${item.continent}-${item.region}-${item.product}`; // Unique key for aggregation.
-    if (!rolledUpDataMap.has(key)) {
-      // If this combination hasn't been seen yet, initialize its aggregated entry.
-      rolledUpDataMap.set(key, {
-        id: key, // Use the aggregation key as the ID for the rolled-up item.
-        continent: item.continent,
-        region: item.region,
-        product: item.product,
-        Total: 0, // Initialize total sales.
-        // Keep original Q values for potential drill-down, even if 'Total' will be displayed.
-        Q1: item.Q1,
-        Q2: item.Q2,
-        Q3: item.Q3,
-        Q4: item.Q4,
-      });
+/**
+ * The aggregation functions available when facts are combined into a cube cell.
+ * Each `reduce` receives the cell's non-empty values; facts with an empty (null) value are ignored,
+ * so Sum/Average/Min/Max of a cell with no values is null (an empty cell), while Count and Distinct Count are 0.
+ */
+export const AGGREGATIONS = {
+  sum: { label: 'Sum', reduce: values => (values.length > 0 ? values.reduce((total, v) => total + v, 0) : null) },
+  avg: { label: 'Average', reduce: values => (values.length > 0 ? values.reduce((total, v) => total + v, 0) / values.length : null) },
+  // Min/Max use reduce rather than Math.min(...values) so very large cells don't overflow the call stack.
+  min: { label: 'Min', reduce: values => (values.length > 0 ? values.reduce((a, b) => (b < a ? b : a)) : null) },
+  max: { label: 'Max', reduce: values => (values.length > 0 ? values.reduce((a, b) => (b > a ? b : a)) : null) },
+  count: { label: 'Count', reduce: values => values.length },
+  distinct: { label: 'Distinct Count', reduce: values => new Set(values).size },
+};
+
+/**
+ * Formats an aggregated value for display: averages keep one decimal, everything else is rounded.
+ * @param {number|null} value - The cell value.
+ * @param {string} [aggregation='sum'] - The aggregation that produced it.
+ * @param {number} [decimals] - The number of decimals to show instead, e.g. for a calculated measure.
+ * @returns {string} The formatted value, or an empty string for an empty cell.
+ */
+export const formatCellValue = (value, aggregation = 'sum', decimals = undefined) => {
+  if (value === undefined || value === null) return '';
+  return Number(value).toFixed(decimals ?? (aggregation === 'avg' ? 1 : 0));
+};
+
+/**
+ * The key of the measure shown in cube cells by default: the facts' values combined with the aggregation function.
+ * Other measure columns (in a long layout) and calculated measures (see `getCalculatedMeasures`) can be shown instead.
+ */
+export const BASE_MEASURE = 'value';
+
+// Decimals shown for a calculated measure that doesn't set its own.
+const DEFAULT_CALCULATED_DECIMALS = 2;
+
+/**
+ * Returns the calculated measures declared on the schema: { key, formula, decimals } definitions whose formulas
+ * (see formula.js) are evaluated per cube cell, e.g. { key: 'H1', formula: 'Q1 + Q2' }.
+ * @param {Object} schema - The cube schema.
+ * @returns {Array<{ key: string, formula: string, decimals?: number }>} The definitions.
+ */
+export const getCalculatedMeasures = (schema) => schema.calculatedMeasures || [];
+
+/**
+ * Lists the measures that can be shown in the cube and tables: the base value, the other measure columns, then every
+ * calculated measure. In a long layout the base value is the first measure column, so it carries that column's label
+ * and the remaining columns follow; in a wide layout the measure columns are periods of the base value, not measures
+ * of their own.
+ * @param {Object} schema - The cube schema.
+ * @returns {Array<{ key: string, label: string, decimals: number|undefined, calculated: boolean }>} The options;
+ * `decimals` is undefined when values are formatted by aggregation.
+ */
+export const getMeasureOptions = (schema) => {
+  const time = schema.timeDimension;
+  const columns = time && time.fromMeasures ? [] : schema.measures;
+  return [
+    { key: BASE_MEASURE, label: columns.length > 0 ? columns[0].label : 'Value', decimals: undefined, calculated: false },
+    ...columns.slice(1).map(m => ({ key: m.key, label: m.label, decimals: undefined, calculated: false })),
+    ...getCalculatedMeasures(schema).map(m => ({
+      key: m.key,
+      label: m.key,
+      decimals: m.decimals ?? DEFAULT_CALCULATED_DECIMALS,
+      calculated: true,
+    })),
+  ];
+};
+
+/**
+ * Checks a calculated measure before it is added to (or updated in) the schema: its name must be a plain name
+ * that no column, dimension, function or other calculated measure uses, and its formula must parse, refer only to
+ * measures and levels of the schema, and not depend on itself.
+ * @param {{ key: string, formula: string }} definition - The calculated measure.
+ * @param {Object} schema - The cube schema.
+ * @param {string|null} [originalKey=null] - The key of the measure being edited, which the new definition replaces.
+ * @returns {{ field: 'key'|'formula', message: string, position: number|null }|null} The first problem
+ * (with its character position in the formula, when it has one), or null when the definition is valid.
+ */
+export const validateCalculatedMeasure = (definition, schema, originalKey = null) => {
+  const { key, formula } = definition;
+  const others = getCalculatedMeasures(schema).filter(m => m.key !== originalKey);
+  const nameError = (message) => ({ field: 'key', message, position: null });
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key || '')) {
+    return nameError('Use a name made of letters, digits and underscores, e.g. H1 or growth_rate.');
+  }
+  if (key === BASE_MEASURE || FORMULA_FUNCTIONS[key.toLowerCase()]) return nameError(`"${key}" is a reserved name.`);
+  if (isMeasure(schema, key) || getCubeDimensions(schema).some(d => d.key === key)) {
+    return nameError(`A column is already named "${key}".`);
+  }
+  if (others.some(m => m.key === key)) return nameError(`A calculated measure is already named "${key}".`);
+
+  const { ast, error } = parseFormula(formula);
+  if (error) return { field: 'formula', ...error };
+  const definitions = new Map([...others, definition].map(m => [m.key, m]));
+  const { refs, levels } = getFormulaReferences(ast);
+  const unknownRef = refs.find(ref => ref.name !== BASE_MEASURE && !isMeasure(schema, ref.name) && !definitions.has(ref.name));
+  if (unknownRef) return { field: 'formula', message: `Unknown measure "${unknownRef.name}".`, position: unknownRef.position };
+  const unknownLevel = levels.find(level => !getCubeDimensions(schema).some(d => d.key === level.name));
+  if (unknownLevel) return { field: 'formula', message: `Unknown level "${unknownLevel.name}".`, position: unknownLevel.position };
+
+  // Follow references through the other calculated measures; reaching this one again is a cycle.
+  const visited = new Set();
+  const dependsOnItself = (names) => names.some(name => {
+    if (name === key) return true;
+    if (visited.has(name) || !definitions.has(name)) return false;
+    visited.add(name);
+    const parsed = parseFormula(definitions.get(name).formula);
+    return parsed.ast ? dependsOnItself(getFormulaReferences(parsed.ast).refs.map(ref => ref.name)) : false;
+  });
+  const circularRef = refs.find(ref => dependsOnItself([ref.name]));
+  if (circularRef) {
+    const message = circularRef.name === key
+      ? `${key} can't refer to itself.`
+      : `"${circularRef.name}" refers back to ${key} (circular reference).`;
+    return { field: 'formula', message, position: circularRef.position };
+  }
+  return null;
+};
+
+// The levels of the parent aggregate total(level) reads for a group of facts grouped by `levels`: the level and the
+// finer levels of its hierarchy are replaced by the level's parent (e.g. region and country by continent, or the top
+// level by its hierarchy's "All"). Levels of other hierarchies are kept.
+const getParentLevels = (schema, levels, level) => {
+  const hierarchyLevels = getHierarchyLevels(schema, level).map(l => l.key);
+  const depth = hierarchyLevels.indexOf(level);
+  if (depth <= 0) return levels;
+  return [...new Set(levels.map(l => (hierarchyLevels.indexOf(l) >= depth ? hierarchyLevels[depth - 1] : l)))];
+};
+
+// Groups facts by their members on the given levels, keyed by the JSON of the members.
+// Facts without a member on one of the levels are skipped.
+const groupFacts = (facts, levels) => {
+  const groups = new Map();
+  facts.forEach(fact => {
+    const members = levels.map(level => getAxisMember(fact, level));
+    if (members.some(member => member === undefined || member === null || member === '')) return;
+
+    const key = JSON.stringify(members);
+    if (!groups.has(key)) {
+      groups.set(key, { members, values: [], facts: [], count: 0 });
     }
-    const current = rolledUpDataMap.get(key);
-    // Sum up the value. 'item.value' holds the individual quarter's sales.
-    if (item.quarter && item.value !== undefined) {
-      current.Total += item.value;
+    const group = groups.get(key);
+    group.count += 1;
+    group.facts.push(fact);
+    if (fact.value !== undefined && fact.value !== null) {
+      group.values.push(fact.value);
     }
   });
+  return groups;
+};
 
-  // Convert the Map values (aggregated objects) back into an array.
-  const rolledUpArray = Array.from(rolledUpDataMap.values());
+/**
+ * Creates the function that computes a measure for a group of facts: the aggregated base value or measure column,
+ * or a calculated measure's formula evaluated over the group. Parent aggregates of total() are grouped from all the facts
+ * once per set of levels and cached, so a share over many cells stays cheap.
+ * @param {Array<Object>} facts - All the facts being aggregated.
+ * @param {string} aggregation - The aggregation function key.
+ * @param {Object} schema - The cube schema, declaring the measures and hierarchies.
+ * @returns {Function} (measureKey, group, levels) => value, where `group` comes from `groupFacts` with `levels`.
+ */
+const createMeasureEvaluator = (facts, aggregation, schema) => {
+  const { reduce } = AGGREGATIONS[aggregation] || AGGREGATIONS.sum;
+  const time = schema.timeDimension;
+  // A wide layout's measures are periods: a fact holds the value of its own period only.
+  const measureValue = (fact, key) => (time && time.fromMeasures ? (fact[time.key] === key ? fact.value : null) : fact[key]);
+  const reduceFacts = (subset, read) => reduce(subset.map(read).filter(v => v !== undefined && v !== null));
+  const formulas = new Map(getCalculatedMeasures(schema).map(m => [m.key, parseFormula(m.formula).ast]));
+  const parentGroups = new Map();
+  const parentValues = new Map();
+
+  // `stack` holds the calculated measures being evaluated, so a circular definition gives an empty value
+  // instead of recursing forever.
+  const evaluate = (ast, cellFacts, levels, stack) => evaluateFormula(ast, {
+    ref: (name) => {
+      if (name === BASE_MEASURE) return reduceFacts(cellFacts, fact => fact.value);
+      if (formulas.has(name)) {
+        if (stack.includes(name) || !formulas.get(name)) return null;
+        return evaluate(formulas.get(name), cellFacts, levels, [...stack, name]);
+      }
+      return isMeasure(schema, name) ? reduceFacts(cellFacts, fact => measureValue(fact, name)) : null;
+    },
+    total: (level, node) => {
+      if (cellFacts.length === 0) return null;
+      const parentLevels = getParentLevels(schema, levels, level);
+      const levelsKey = JSON.stringify(parentLevels);
+      if (!parentGroups.has(levelsKey)) {
+        parentGroups.set(levelsKey, new Map(Array.from(groupFacts(facts, parentLevels), ([key, group]) => [key, group.facts])));
+      }
+      // Every fact of the group has the same parent members, so the first one finds the parent group.
+      const parentKey = JSON.stringify(parentLevels.map(l => getAxisMember(cellFacts[0], l)));
+      const cacheKey = `${levelsKey}|${parentKey}|${node ? JSON.stringify(node) : BASE_MEASURE}`;
+      if (!parentValues.has(cacheKey)) {
+        const parentFacts = parentGroups.get(levelsKey).get(parentKey) || [];
+        parentValues.set(cacheKey, node
+          ? evaluate(node, parentFacts, parentLevels, stack)
+          : reduceFacts(parentFacts, fact => fact.value));
+      }
+      return parentValues.get(cacheKey);
+    },
+  });
 
-  // Modify the 'quarter' property to 'Total' for consistency in axis mapping
-  // when displaying the rolled-up view in ThreeDCube.
-  return rolledUpArray.map(item => ({
-    ...item,
-    quarter: 'Total',
-  }));
+  return (measureKey, group, levels) => {
+    if (isMeasure(schema, measureKey) && !formulas.has(measureKey)) return reduceFacts(group.facts, fact => measureValue(fact, measureKey));
+    if (!formulas.has(measureKey)) return reduce(group.values);
+    const ast = formulas.get(measureKey);
+    return ast ? evaluate(ast, group.facts, levels, [measureKey]) : null;
+  };
 };
 
 /**
- * Applies a drill-down operation.
- * In this example, if the data was rolled up, it reverts to showing the individual Q1-Q4 values.
- * If not rolled up, it effectively resets any active filters, or indicates no further granularity is available
- * given the current input data (which only has quarters, not months).
- * @param {Array<Object>} data - The current cube data.
- * @param {Array<Object>} originalDataBeforeRollUp - The data state saved before a roll-up operation.
- * @returns {Array<Object>} The drilled-down data.
+ * Aggregates base facts into cube cells: one cell per combination of members on the X, Y and Z axes,
+ * at whatever hierarchy level each axis currently shows. Facts without a member on a mapped axis are skipped.
+ * @param {Array<Object>} facts - The base facts from `processRawData` (optionally filtered by slice/dice).
+ * @param {Object} axisMapping - The level shown on each axis, e.g. {x: 'continent', y: 'all:product', z: 'quarter'}.
+ * @param {string} [aggregation='sum'] - The key of the aggregation function in `AGGREGATIONS`.
+ * @param {Object} [options] - What each cell shows.
+ * @param {string} [options.measure=BASE_MEASURE] - The measure: the base value, a measure column or a calculated measure's key.
+ * @param {Array<string>} [options.measures=[]] - More measures to compute per cell, e.g. for cell glyphs.
+ * @param {Object} [options.schema=DEFAULT_SCHEMA] - The cube schema declaring the calculated measures.
+ * @returns {Array<Object>} Cells like { id, continent: 'Asia', 'all:product': ALL_MEMBER, quarter: 'Q1', value, count, aggregation },
+ * where `value` is the measure's value (null for an empty cell) and `count` the number of facts in the cell.
+ * With `options.measures`, each cell also has `measureValues`, the value of each of those measures keyed by measure.
+ */
+export const aggregateCube = (facts, axisMapping, aggregation = 'sum', { measure = BASE_MEASURE, measures = [], schema = DEFAULT_SCHEMA } = {}) => {
+  const evaluateMeasure = createMeasureEvaluator(facts, aggregation, schema);
+  // Each level only needs grouping once, even if (unusually) it is mapped to two axes.
+  const levels = [...new Set([axisMapping.x, axisMapping.y, axisMapping.z].filter(Boolean))];
+
+  // Reduce each cell's collected values with the chosen aggregation function (or evaluate the calculated measure).
+  return Array.from(groupFacts(facts, levels), ([key, group]) => {
+    const cell = { id: key, count: group.count };
+    levels.forEach((level, idx) => { cell[level] = group.members[idx]; });
+    if (measures.length > 0) {
+      cell.measureValues = Object.fromEntries(measures.map(key => [key, evaluateMeasure(key, group, levels)]));
+    }
+    return { ...cell, value: evaluateMeasure(measure, group, levels), aggregation };
+  });
+};
+
+/**
+ * Aggregates facts by any list of levels, e.g. for the totals of a pivot table.
+ * Totals are always computed from the facts, so an average of a group is the average of its facts
+ * rather than an average of averages.
+ * @param {Array<Object>} facts - The facts to aggregate.
+ * @param {Array<string>} levels - The levels to group by; an empty list gives the grand total.
+ * @param {string} [aggregation='sum'] - The key of the aggregation function in `AGGREGATIONS`.
+ * @param {Object} [options] - The measure to compute, as for `aggregateCube`.
+ * @returns {Map<string, number|null>} The aggregated value per group, keyed by the JSON of its members (e.g. '["Asia","Q1"]').
+ */
+export const aggregateByLevels = (facts, levels, aggregation = 'sum', { measure = BASE_MEASURE, schema = DEFAULT_SCHEMA } = {}) => {
+  const evaluateMeasure = createMeasureEvaluator(facts, aggregation, schema);
+  return new Map(Array.from(groupFacts(facts, levels), ([key, group]) => [key, evaluateMeasure(measure, group, levels)]));
+};
+
+/**
+ * Collects the details of one cube cell, e.g. for a tooltip: its member on each axis, the members of every
+ * dimension among its facts, each measure aggregated over those facts (then each calculated measure),
+ * and how many table rows contributed.
+ * @param {Array<Object>} facts - The facts the cube was aggregated from.
+ * @param {Object} axisMapping - The axis mapping the cube was aggregated with.
+ * @param {Object} cell - The cell, as returned by `aggregateCube`.
+ * @param {Object} schema - The cube schema.
+ * @param {string} [aggregation='sum'] - The aggregation function key, applied to each measure.
+ * @returns {{ axes: Array<{ axis: string, key: string, label: string, member: * }>, dimensions: Array<{ key: string, label: string, members: Array }>,
+ *   measures: Array<{ key: string, label: string, value: number|null, decimals?: number }>, rowCount: number }} The details.
  */
-export const applyDrillDown = (data, originalDataBeforeRollUp) => {
-  // The primary logic for drill-down (reverting from roll-up) is handled in App.jsx
-  // by setting `isRolledUp` to false and restoring `cubeData` from `originalCubeDataBeforeRollUp`.
-  // This function serves as a conceptual placeholder for more complex drill-down scenarios,
-  // e.g., if you had monthly data to expand quarters into.
-  return originalDataBeforeRollUp;
+export const describeCell = (facts, axisMapping, cell, schema, aggregation = 'sum') => {
+  const { reduce } = AGGREGATIONS[aggregation] || AGGREGATIONS.sum;
+  const levels = [...new Set([axisMapping.x, axisMapping.y, axisMapping.z].filter(Boolean))];
+  const cellFacts = facts.filter(fact => levels.every(level => getAxisMember(fact, level) === cell[level]));
+  const evaluateMeasure = createMeasureEvaluator(facts, aggregation, schema);
+  const time = schema.timeDimension;
+
+  // A wide layout's measures are periods: a fact holds the value of its own period only.
+  const measureValue = (fact, key) => (time && time.fromMeasures ? (fact[time.key] === key ? fact.value : null) : fact[key]);
+
+  return {
+    axes: ['x', 'y', 'z']
+      .filter(axis => axisMapping[axis])
+      .map(axis => ({
+        axis,
+        key: axisMapping[axis],
+        label: getDimensionLabel(schema, axisMapping[axis]),
+        member: cell[axisMapping[axis]],
+      })),
+    dimensions: getCubeDimensions(schema).map(({ key, label }) => ({
+      key,
+      label,
+      members: sortMembers(schema, key, getDistinctValues(cellFacts, key)),
+    })),
+    measures: [
+      ...schema.measures.map(({ key, label }) => ({
+        key,
+        label,
+        value: reduce(cellFacts.map(fact => measureValue(fact, key)).filter(v => v !== undefined && v !== null)),
+      })),
+      ...getMeasureOptions(schema).filter(option => option.calculated).map(({ key, label, decimals }) => ({
+        key,
+        label,
+        value: evaluateMeasure(key, { facts: cellFacts, values: [] }, levels),
+        decimals,
+      })),
+    ],
+    rowCount: new Set(cellFacts.map(fact => fact.rowId)).size,
+  };
+};
+
+// Moves one axis along its hierarchy by `step` levels (-1 = up, +1 = down), skipping levels shown on another axis.
+// Returns the same mapping object when the axis can't move.
+const moveAxisLevel = (axisMapping, axis, step, schema) => {
+  const levels = getHierarchyLevels(schema, axisMapping[axis]).map(level => level.key);
+  const otherLevels = Object.entries(axisMapping).filter(([a]) => a !== axis).map(([, level]) => level);
+  let idx = levels.indexOf(axisMapping[axis]);
+  if (idx === -1) return axisMapping;
+
+  for (idx += step; idx >= 0 && idx < levels.length; idx += step) {
+    if (!otherLevels.includes(levels[idx])) {
+      return { ...axisMapping, [axis]: levels[idx] };
+    }
+  }
+  return axisMapping;
 };
+
+/**
+ * Applies a roll-up operation along one axis: moves the axis one level up its hierarchy
+ * (e.g. region -> continent -> All), so `aggregateCube` re-aggregates the base facts at the coarser level.
+ * Levels already shown on another axis are skipped.
+ * @param {Object} axisMapping - The current axis mapping.
+ * @param {string} axis - The axis to roll up: 'x', 'y' or 'z'.
+ * @param {Object} [schema=DEFAULT_SCHEMA] - The cube schema declaring the hierarchies.
+ * @returns {Object} The new axis mapping, or the same object if the axis is already at "All".
+ */
+export const applyRollUp = (axisMapping, axis, schema = DEFAULT_SCHEMA) => moveAxisLevel(axisMapping, axis, -1, schema);
+
+/**
+ * Applies a drill-down operation along one axis: moves the axis one level down its hierarchy
+ * (e.g. All -> year -> quarter -> month), so `aggregateCube` re-aggregates the base facts at the finer level.
+ * Levels already shown on another axis are skipped.
+ * @param {Object} axisMapping - The current axis mapping.
+ * @param {string} axis - The axis to drill down: 'x', 'y' or 'z'.
+ * @param {Object} [schema=DEFAULT_SCHEMA] - The cube schema declaring the hierarchies.
+ * @returns {Object} The new axis mapping, or the same object if the axis is already at its finest level.
+ */
+export const applyDrillDown = (axisMapping, axis, schema = DEFAULT_SCHEMA) => moveAxisLevel(axisMapping, axis, 1, schema);
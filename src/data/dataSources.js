@@ -0,0 +1,252 @@
+// This file connects a dataset to a URL serving JSON or CSV (e.g. a local dev server, a mock endpoint or a report
+// export): it fetches and parses the response, maps its fields to the cube's dimensions and measures, and turns the
+// records into table rows. A dataset with a `source` is reloaded from it, on demand or at a refresh interval.
+
+import { detectDelimiter, parseDelimited } from './csvUtils';
+import { parseNumber } from './numbers';
+import { createSchema, inferSchema } from './schema';
+
+// Response formats; 'auto' decides from the Content-Type header or, failing that, from the text itself.
+export const SOURCE_FORMATS = {
+  auto: { label: 'Detect' },
+  json: { label: 'JSON' },
+  csv: { label: 'CSV / TSV' },
+};
+
+// What a source field becomes in the cube.
+export const FIELD_ROLES = {
+  dimension: { label: 'Dimension' },
+  measure: { label: 'Measure' },
+  ignore: { label: 'Ignore' },
+};
+
+// Refresh intervals offered, in seconds; 0 reloads only on request.
+export const REFRESH_INTERVALS = [
+  { seconds: 0, label: 'Manual only' },
+  { seconds: 30, label: 'Every 30 seconds' },
+  { seconds: 60, label: 'Every minute' },
+  { seconds: 300, label: 'Every 5 minutes' },
+  { seconds: 900, label: 'Every 15 minutes' },
+  { seconds: 3600, label: 'Every hour' },
+];
+
+// How many records are looked at to infer the fields and their roles.
+const SAMPLE_SIZE = 100;
+
+// The table keeps its own row ids, so a source field named 'id' is renamed when it is mapped.
+const RESERVED_KEYS = ['id'];
+
+// Field values as text, as CSV cells are; nested objects and arrays are kept as JSON.
+const toText = (value) => {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Finds the records of a JSON response: the array at `recordsPath` (e.g. 'data.items'), the response itself when it is
+// an array, or else its first array-valued property.
+const findJsonRecords = (payload, recordsPath) => {
+  if (recordsPath) {
+    const found = recordsPath.split('.').filter(Boolean).reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), payload);
+    if (!Array.isArray(found)) throw new Error(`No list of records at "${recordsPath}" in the response.`);
+    return found;
+  }
+  if (Array.isArray(payload)) return payload;
+  const list = payload && typeof payload === 'object' ? Object.values(payload).find(Array.isArray) : null;
+  if (!list) throw new Error('The response has no list of records; set the records path.');
+  return list;
+};
+
+/**
+ * Parses a source response into records.
+ * @param {string} text - The response body.
+ * @param {Object} options - How to read it.
+ * @param {string} [options.format='auto'] - One of the SOURCE_FORMATS keys.
+ * @param {string} [options.contentType=''] - The response's Content-Type, for 'auto'.
+ * @param {string} [options.recordsPath=''] - Where a JSON response keeps its records, e.g. 'data.items'.
+ * @returns {{ headers: Array<string>, records: Array<Object> }} The field names (in order of first appearance) and one
+ * object per record, with every value as text.
+ * @throws {Error} If the response can't be read as records.
+ */
+export const parseSourceRecords = (text, { format = 'auto', contentType = '', recordsPath = '' } = {}) => {
+  const isJson = format === 'json' || (format === 'auto' && (/json/i.test(contentType) || /^\s*[[{]/.test(text)));
+  if (!isJson) {
+    const parsed = parseDelimited(text, detectDelimiter(text));
+    if (parsed.length === 0) throw new Error('The response is empty.');
+    const headers = parsed[0].fields.map(field => field.trim());
+    const records = parsed.slice(1).map(({ fields }) => Object.fromEntries(headers.map((header, idx) => [header, fields[idx] ?? ''])));
+    return { headers, records };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The response is not valid JSON: ${error.message}`);
+  }
+  const list = findJsonRecords(payload, recordsPath);
+  const headers = [];
+  const records = list
+    .filter(item => item && typeof item === 'object' && !Array.isArray(item))
+    .map(item => {
+      Object.keys(item).forEach(key => { if (!headers.includes(key)) headers.push(key); });
+      return Object.fromEntries(Object.entries(item).map(([key, value]) => [key, toText(value)]));
+    });
+  if (list.length > 0 && records.length === 0) throw new Error('The records in the response are not objects.');
+  return { headers, records };
+};
+
+/**
+ * Proposes a field mapping: numeric fields become measures and the rest dimensions (as for an imported CSV file),
+ * except a field named 'id', which is ignored.
+ * @param {Array<string>} headers - The source's field names.
+ * @param {Array<Object>} records - (Some of) its records.
+ * @returns {Array<{ field: string, key: string, label: string, role: string }>} One mapping per field: the source
+ * field, the cube column it becomes and its role (a FIELD_ROLES key).
+ */
+export const inferFieldMapping = (headers, records) => {
+  const sample = records.slice(0, SAMPLE_SIZE).map(record => headers.map(header => record[header]));
+  const inferred = inferSchema(headers, sample);
+  return headers.map(field => {
+    const key = field.trim();
+    const measure = inferred.measures.find(m => m.key === key);
+    const column = measure || inferred.dimensions.find(d => d.key === key);
+    let role = measure ? 'measure' : 'dimension';
+    if (RESERVED_KEYS.includes(key.toLowerCase())) role = 'ignore';
+    return { field, key: RESERVED_KEYS.includes(key.toLowerCase()) ? `source_${key}` : key, label: column.label, role };
+  });
+};
+
+/**
+ * Checks a field mapping before connecting.
+ * @param {Array<Object>} fields - The mapping, as from `inferFieldMapping`.
+ * @returns {string|null} An error message, or null when the mapping can be used.
+ */
+export const validateFieldMapping = (fields) => {
+  const mapped = fields.filter(f => f.role !== 'ignore');
+  if (!mapped.some(f => f.role === 'measure')) return 'Map at least one field to a measure.';
+  if (!mapped.some(f => f.role === 'dimension')) return 'Map at least one field to a dimension.';
+  const keys = mapped.map(f => f.key.trim());
+  if (keys.some(key => key === '')) return 'Every mapped field needs a column name.';
+  if (keys.some(key => RESERVED_KEYS.includes(key.toLowerCase()))) return `Column names can't be ${RESERVED_KEYS.join(', ')}.`;
+  const duplicate = keys.find((key, idx) => keys.indexOf(key) !== idx);
+  if (duplicate) return `The column name "${duplicate}" is used twice.`;
+  return null;
+};
+
+/**
+ * Builds the cube schema of a field mapping.
+ * @param {Array<Object>} fields - The mapping.
+ * @returns {Object} The schema, with time and hierarchies declared as in `createSchema`.
+ */
+export const createSourceSchema = (fields) => {
+  const columnsOf = (role) => fields
+    .filter(f => f.role === role)
+    .map(f => ({ key: f.key.trim(), label: f.label.trim() || f.key.trim() }));
+  return createSchema(columnsOf('dimension'), columnsOf('measure'));
+};
+
+// Fingerprints already computed, by rows array (see `getRowsFingerprint`).
+const fingerprints = new WeakMap();
+
+// Folds a value into a 32-bit FNV-1a hash.
+const hashValue = (hash, value) => {
+  const text = `${value}\u0000`;
+  let next = hash;
+  for (let i = 0; i < text.length; i++) {
+    next = Math.imul(next ^ text.charCodeAt(i), 16777619);
+  }
+  return next >>> 0;
+};
+
+/**
+ * Fingerprints the values of a source's rows (their count and a hash of the mapped values), so a refresh can tell
+ * unchanged data without comparing or serializing every row. Each rows array is hashed once.
+ * @param {Array<Object>} rows - The table rows.
+ * @param {Array<Object>} fields - The mapping the rows follow.
+ * @returns {string} The fingerprint.
+ */
+export const getRowsFingerprint = (rows, fields) => {
+  const keys = fields.filter(f => f.role !== 'ignore').map(f => f.key.trim());
+  const signature = keys.join('\u0000');
+  const cached = fingerprints.get(rows);
+  if (cached && cached.signature === signature) return cached.fingerprint;
+  let hash = 2166136261;
+  rows.forEach(row => keys.forEach(key => { hash = hashValue(hash, row[key]); }));
+  const fingerprint = `${rows.length}:${hash.toString(16)}`;
+  fingerprints.set(rows, { signature, fingerprint });
+  return fingerprint;
+};
+
+/**
+ * Turns source records into table rows following a field mapping. Measure values are read as in CSV imports (see
+ * `parseNumber`): thousands separators are accepted and empty values stay empty. Records with values that aren't
+ * numbers are skipped and reported.
+ * @param {Array<Object>} records - The records, from `parseSourceRecords`.
+ * @param {Array<Object>} fields - The mapping.
+ * @returns {{ rows: Array<Object>, errors: Array<{ record: number, message: string }> }} The rows (with ids from 1) and
+ * the problems, by 1-based record number.
+ */
+export const mapSourceRecords = (records, fields) => {
+  const mapped = fields.filter(f => f.role !== 'ignore');
+  const rows = [];
+  const errors = [];
+  records.forEach((record, idx) => {
+    const row = { id: rows.length + 1 };
+    const problems = [];
+    mapped.forEach(({ field, key, role }) => {
+      const text = toText(record[field]).trim();
+      if (role === 'measure') {
+        const number = parseNumber(text);
+        if (Number.isNaN(number)) problems.push(`${field} value "${text}" is not a number${text.includes(',') ? ' (use "." for decimals)' : ''}`);
+        row[key.trim()] = number;
+      } else {
+        row[key.trim()] = text;
+      }
+    });
+    if (problems.length > 0) {
+      errors.push({ record: idx + 1, message: `${problems.join('; ')}; record skipped.` });
+      return;
+    }
+    rows.push(row);
+  });
+  return { rows, errors };
+};
+
+/**
+ * Fetches a source's records.
+ * @param {{ url: string, format: string, recordsPath: string }} source - Where and how to read.
+ * @param {AbortSignal} [signal] - Cancels the request.
+ * @returns {Promise<{ headers: Array<string>, records: Array<Object> }>} The records, as from `parseSourceRecords`.
+ * @throws {Error} If the request fails or the response can't be read; an abort rejects with an 'AbortError'.
+ */
+export const fetchSourceRecords = async ({ url, format, recordsPath }, signal) => {
+  let response;
+  try {
+    response = await fetch(url, { signal, headers: { Accept: 'application/json, text/csv;q=0.9, */*;q=0.5' } });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    // Browsers don't say why a request failed; the usual causes are the server being down or not allowing CORS.
+    throw new Error(`Could not reach ${url} (is the server running, and does it allow cross-origin requests?)`);
+  }
+  if (!response.ok) {
+    throw new Error(`The server answered ${response.status}${response.statusText ? ` ${response.statusText}` : ''}.`);
+  }
+  const text = await response.text();
+  return parseSourceRecords(text, { format, recordsPath, contentType: response.headers.get('Content-Type') || '' });
+};
+
+/**
+ * Loads the rows of a connected dataset from its source.
+ * @param {{ url: string, format: string, recordsPath: string, fields: Array<Object> }} source - The dataset's source.
+ * @param {AbortSignal} [signal] - Cancels the request.
+ * @returns {Promise<{ rows: Array<Object>, errors: Array<{ record: number, message: string }> }>} The rows and skipped records.
+ * @throws {Error} As for `fetchSourceRecords`, or when mapped fields are missing from every record.
+ */
+export const loadSourceRows = async (source, signal) => {
+  const { headers, records } = await fetchSourceRecords(source, signal);
+  const missing = source.fields.filter(f => f.role !== 'ignore' && !headers.includes(f.field)).map(f => f.field);
+  if (records.length > 0 && missing.length > 0) {
+    throw new Error(`The response no longer has the field(s) ${missing.join(', ')}; connect again to update the mapping.`);
+  }
+  return mapSourceRecords(records, source.fields);
+};
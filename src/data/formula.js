@@ -0,0 +1,281 @@
+// This file implements the formula language of calculated measures, e.g. 'H1 = Q1 + Q2' is the formula 'Q1 + Q2'
+// and a share is 'value / total(region)'. Formulas are parsed into a small syntax tree and evaluated by walking it;
+// nothing is ever passed to eval or Function, so a formula can only do what the language allows.
+//
+// The language:
+// - numbers (12, 1.5, 2e3), + - * / ^, parentheses, and comparisons (< <= > >= == !=, giving 1 or 0)
+// - measure references by key: Q1, value (the cube's displayed value), another calculated measure,
+//   or [Units Sold] for keys that aren't plain names
+// - functions: abs(x), round(x[, digits]), if(condition, then, else), min(a, b, ...), max(a, b, ...), sqrt(x)
+// - total(level[, expression]): the expression (by default `value`) aggregated at the parent of a level,
+//   e.g. total(region) is the cell's continent total when regions roll up into continents
+// Empty values (null) propagate: any operation on an empty value, and division by zero, gives an empty value.
+
+// The functions a formula can call, with their allowed number of arguments.
+export const FORMULA_FUNCTIONS = {
+  abs: { minArgs: 1, maxArgs: 1 },
+  round: { minArgs: 1, maxArgs: 2 },
+  if: { minArgs: 3, maxArgs: 3 },
+  min: { minArgs: 1, maxArgs: Infinity },
+  max: { minArgs: 1, maxArgs: Infinity },
+  sqrt: { minArgs: 1, maxArgs: 1 },
+  total: { minArgs: 1, maxArgs: 2 },
+};
+
+const COMPARISONS = ['<', '<=', '>', '>=', '==', '!='];
+
+// Creates a parse error pointing at a position (0-based character offset) in the formula.
+const formulaError = (message, position) => Object.assign(new Error(message), { position });
+
+// Splits a formula into tokens: { type: 'number'|'name'|'op'|'end', value, position }.
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (/[0-9.]/.test(char)) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(text.slice(i));
+      if (!match) throw formulaError(`Unexpected "${char}".`, i);
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(i))[0];
+      tokens.push({ type: 'name', value: name, position: i });
+      i += name.length;
+    } else if (char === '[') {
+      const end = text.indexOf(']', i);
+      if (end === -1) throw formulaError('Missing "]".', i);
+      const name = text.slice(i + 1, end).trim();
+      if (!name) throw formulaError('Empty name in brackets.', i);
+      tokens.push({ type: 'name', value: name, position: i });
+      i = end + 1;
+    } else {
+      const op = ['<=', '>=', '==', '!='].find(candidate => text.startsWith(candidate, i)) ||
+        ('+-*/^(),<>'.includes(char) ? char : null);
+      if (!op) throw formulaError(`Unexpected "${char}".`, i);
+      tokens.push({ type: 'op', value: op, position: i });
+      i += op.length;
+    }
+  }
+  tokens.push({ type: 'end', value: null, position: text.length });
+  return tokens;
+};
+
+// A recursive-descent parser over the tokens, lowest precedence first.
+const parseTokens = (tokens) => {
+  let index = 0;
+  const peek = () => tokens[index];
+  const isOp = (value) => peek().type === 'op' && peek().value === value;
+  const expectOp = (value) => {
+    if (!isOp(value)) {
+      const token = peek();
+      throw formulaError(token.type === 'end' ? `Missing "${value}".` : `Expected "${value}".`, token.position);
+    }
+    index += 1;
+  };
+
+  const parseComparison = () => {
+    const left = parseAdditive();
+    if (peek().type === 'op' && COMPARISONS.includes(peek().value)) {
+      const op = tokens[index++].value;
+      return { type: 'binary', op, left, right: parseAdditive() };
+    }
+    return left;
+  };
+
+  const parseAdditive = () => {
+    let node = parseTerm();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[index++].value;
+      node = { type: 'binary', op, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (isOp('*') || isOp('/')) {
+      const op = tokens[index++].value;
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isOp('-') || isOp('+')) {
+      const op = tokens[index++].value;
+      const operand = parseUnary();
+      return op === '-' ? { type: 'negate', operand } : operand;
+    }
+    return parsePower();
+  };
+
+  // '^' binds tighter than a leading minus on its left (-2^2 is -4) and is right-associative.
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOp('^')) {
+      index += 1;
+      return { type: 'binary', op: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  };
+
+  const parseCall = (name, position) => {
+    const fn = FORMULA_FUNCTIONS[name.toLowerCase()];
+    if (!fn) throw formulaError(`Unknown function "${name}".`, position);
+    index += 1; // '('
+    const args = [];
+    if (!isOp(')')) {
+      do {
+        if (args.length > 0) index += 1; // ','
+        if (name.toLowerCase() === 'total' && args.length === 0) {
+          // The first argument of total() is a level name, not an expression.
+          const token = peek();
+          if (token.type !== 'name') throw formulaError('total() needs a level name, e.g. total(region).', token.position);
+          index += 1;
+          args.push({ type: 'level', name: token.value, position: token.position });
+        } else {
+          args.push(parseComparison());
+        }
+      } while (isOp(','));
+    }
+    expectOp(')');
+    if (args.length < fn.minArgs || args.length > fn.maxArgs) {
+      const expected = fn.minArgs === fn.maxArgs ? fn.minArgs : `${fn.minArgs} to ${fn.maxArgs === Infinity ? 'any' : fn.maxArgs}`;
+      throw formulaError(`${name}() takes ${expected} argument(s).`, position);
+    }
+    return { type: 'call', name: name.toLowerCase(), args, position };
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (token.type === 'number') {
+      index += 1;
+      return { type: 'number', value: token.value };
+    }
+    if (token.type === 'name') {
+      index += 1;
+      if (isOp('(')) return parseCall(token.value, token.position);
+      return { type: 'ref', name: token.value, position: token.position };
+    }
+    if (isOp('(')) {
+      index += 1;
+      const node = parseComparison();
+      expectOp(')');
+      return node;
+    }
+    throw formulaError(token.type === 'end' ? 'The formula ends too early.' : `Unexpected "${token.value}".`, token.position);
+  };
+
+  const ast = parseComparison();
+  if (peek().type !== 'end') throw formulaError(`Unexpected "${peek().value}".`, peek().position);
+  return ast;
+};
+
+/**
+ * Parses a formula.
+ * @param {string} text - The formula, e.g. '(Q4 - Q1) / Q1'.
+ * @returns {{ ast: Object|null, error: { message: string, position: number }|null }} The syntax tree,
+ * or the first error and its character position in the formula.
+ */
+export const parseFormula = (text) => {
+  if (!String(text || '').trim()) return { ast: null, error: { message: 'Enter a formula.', position: 0 } };
+  try {
+    return { ast: parseTokens(tokenize(String(text))), error: null };
+  } catch (error) {
+    return { ast: null, error: { message: error.message, position: error.position ?? 0 } };
+  }
+};
+
+/**
+ * Lists the names a parsed formula refers to, with their positions, for checking them against the schema.
+ * @param {Object} ast - The syntax tree from `parseFormula`.
+ * @returns {{ refs: Array<{ name: string, position: number }>, levels: Array<{ name: string, position: number }> }}
+ * Measure references and the levels named in total().
+ */
+export const getFormulaReferences = (ast) => {
+  const refs = [];
+  const levels = [];
+  const walk = (node) => {
+    if (node.type === 'ref') refs.push({ name: node.name, position: node.position });
+    if (node.type === 'level') levels.push({ name: node.name, position: node.position });
+    if (node.type === 'negate') walk(node.operand);
+    if (node.type === 'binary') { walk(node.left); walk(node.right); }
+    if (node.type === 'call') node.args.forEach(walk);
+  };
+  walk(ast);
+  return { refs, levels };
+};
+
+// Keeps numbers finite; NaN and ±Infinity (e.g. from sqrt(-1) or overflow) become empty values.
+const toResult = (value) => (value === null || !Number.isFinite(value) ? null : value);
+
+/**
+ * Evaluates a parsed formula.
+ * @param {Object} ast - The syntax tree from `parseFormula`.
+ * @param {Object} context - Supplies the values the formula refers to.
+ * @param {Function} context.ref - Called with a measure name; returns its value (or null).
+ * @param {Function} context.total - Called with a level name and the expression node to aggregate at its parent
+ * (null for `value`); returns the value (or null).
+ * @returns {number|null} The result, or null when it is empty.
+ */
+export const evaluateFormula = (ast, context) => {
+  const evaluate = (node) => {
+    switch (node.type) {
+      case 'number':
+        return node.value;
+      case 'ref':
+        return toResult(context.ref(node.name));
+      case 'negate': {
+        const value = evaluate(node.operand);
+        return value === null ? null : -value;
+      }
+      case 'binary': {
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        if (left === null || right === null) return null;
+        switch (node.op) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/': return right === 0 ? null : left / right;
+          case '^': return toResult(left ** right);
+          case '<': return Number(left < right);
+          case '<=': return Number(left <= right);
+          case '>': return Number(left > right);
+          case '>=': return Number(left >= right);
+          case '==': return Number(left === right);
+          case '!=': return Number(left !== right);
+          default: return null;
+        }
+      }
+      case 'call': {
+        if (node.name === 'total') return toResult(context.total(node.args[0].name, node.args[1] || null));
+        if (node.name === 'if') {
+          // Only the branch that is taken is evaluated.
+          const condition = evaluate(node.args[0]);
+          if (condition === null) return null;
+          return evaluate(condition !== 0 ? node.args[1] : node.args[2]);
+        }
+        const args = node.args.map(evaluate);
+        if (args.some(arg => arg === null)) return null;
+        switch (node.name) {
+          case 'abs': return Math.abs(args[0]);
+          case 'round': {
+            const factor = 10 ** (args.length > 1 ? Math.round(args[1]) : 0);
+            return Math.round(args[0] * factor) / factor;
+          }
+          case 'min': return args.reduce((a, b) => (b < a ? b : a));
+          case 'max': return args.reduce((a, b) => (b > a ? b : a));
+          case 'sqrt': return toResult(Math.sqrt(args[0]));
+          default: return null;
+        }
+      }
+      default:
+        return null;
+    }
+  };
+  return toResult(evaluate(ast));
+};
@@ -0,0 +1,88 @@
+// This file lays out the glyph drawn for each cube cell. By default a cell is a block colored by its value; the other
+// shapes show a second measure next to the color, so two measures can be compared at a glance: bars whose height
+// follows a measure, cubes whose size follows it, or bars stacked from a segment per measure.
+// Glyphs are laid out in the unit cell (a cube of side 1 centered on the cell), for ThreeDCube to scale.
+
+import { PALETTES } from './colorScales';
+
+// The glyph shapes. `multiple` shapes show several measures at once; the others scale by a single measure.
+export const GLYPH_SHAPES = {
+  block: { label: 'Blocks (color only)' },
+  bar: { label: 'Bars (height by a measure)' },
+  size: { label: 'Cubes (size by a measure)' },
+  stacked: { label: 'Stacked segments (one per measure)', multiple: true },
+};
+
+export const DEFAULT_GLYPH_SETTINGS = { shape: 'block', measures: [] };
+
+// Colors of the segments of stacked glyphs, by measure (colorblind-safe).
+export const SEGMENT_COLORS = PALETTES.okabeIto.colors;
+
+// Smallest glyph extent, so a cell with a tiny or empty value stays visible and can be hovered.
+const MIN_EXTENT = 0.05;
+
+/**
+ * Lists the measures a glyph setting draws, beyond the cells' displayed value.
+ * @param {Object} settings - The glyph settings ({ shape, measures }).
+ * @param {Array<{ key: string }>} measureOptions - The measures that can be shown, from `getMeasureOptions`.
+ * @returns {Array<string>} The measure keys: none for blocks, the first chosen measure for bars and cubes, and the
+ * chosen measures for stacked segments. Measures no longer in the schema are left out.
+ */
+export const getGlyphMeasures = (settings, measureOptions) => {
+  const shape = GLYPH_SHAPES[settings.shape] ? settings.shape : 'block';
+  if (shape === 'block') return [];
+  const available = settings.measures.filter(key => measureOptions.some(option => option.key === key));
+  return GLYPH_SHAPES[shape].multiple ? available : available.slice(0, 1);
+};
+
+/**
+ * Lays out the glyphs of the cube cells.
+ * Bars and cubes scale by the measure's magnitude against the largest magnitude in the cube, so negative values are
+ * drawn by their size. Stacks scale by their total against the tallest stack; empty and negative segments are left out.
+ * @param {Array<Object>} cells - The cube cells, with `measureValues` for the glyph measures (see `aggregateCube`).
+ * @param {string} shape - The glyph shape key.
+ * @param {Array<string>} measures - The glyph measures, from `getGlyphMeasures`.
+ * @returns {Array<Array<{ center: Array<number>, scale: Array<number>, segment: number|null }>>} For each cell (in
+ * order), its boxes in the unit cell: center offset and scale on X, Y and Z, and the index of the measure a stacked
+ * segment shows (null for a box colored by the cell's value).
+ */
+export const layoutGlyphs = (cells, shape, measures) => {
+  const block = [{ center: [0, 0, 0], scale: [1, 1, 1], segment: null }];
+  if (!GLYPH_SHAPES[shape] || shape === 'block' || measures.length === 0) return cells.map(() => block);
+
+  const valueOf = (cell, key) => {
+    const value = cell.measureValues ? cell.measureValues[key] : null;
+    return typeof value === 'number' ? value : null;
+  };
+
+  if (shape === 'stacked') {
+    const segmentsOf = (cell) => measures.map(key => Math.max(0, valueOf(cell, key) ?? 0));
+    const tallest = cells.reduce((max, cell) => Math.max(max, segmentsOf(cell).reduce((sum, v) => sum + v, 0)), 0);
+    return cells.map(cell => {
+      const boxes = [];
+      let bottom = -0.5;
+      segmentsOf(cell).forEach((value, segment) => {
+        if (value === 0 || tallest === 0) return;
+        const height = value / tallest;
+        boxes.push({ center: [0, bottom + height / 2, 0], scale: [1, height, 1], segment });
+        bottom += height;
+      });
+      // A cell whose measures are all empty keeps a sliver, so it can still be found and hovered.
+      return boxes.length > 0 ? boxes : [{ center: [0, -0.5 + MIN_EXTENT / 2, 0], scale: [1, MIN_EXTENT, 1], segment: null }];
+    });
+  }
+
+  const [key] = measures;
+  const largest = cells.reduce((max, cell) => Math.max(max, Math.abs(valueOf(cell, key) ?? 0)), 0);
+  return cells.map(cell => {
+    const ratio = largest === 0 ? 0 : Math.abs(valueOf(cell, key) ?? 0) / largest;
+    if (shape === 'bar') {
+      // Bars stand on the floor of their cell.
+      const height = Math.max(MIN_EXTENT, ratio);
+      return [{ center: [0, -0.5 + height / 2, 0], scale: [1, height, 1], segment: null }];
+    }
+    // Cube volume follows the value, so the side grows with its cube root.
+    const side = Math.max(MIN_EXTENT, Math.cbrt(ratio));
+    return [{ center: [0, 0, 0], scale: [side, side, side], segment: null }];
+  });
+};
@@ -0,0 +1,27 @@
+// This file reads numbers typed into imported files and data sources, where spreadsheets often write thousands
+// separators ("1,200"). A comma anywhere else is not read as a separator, since in many locales it is the decimal
+// mark ("1,5") and dropping it would silently turn 1.5 into 15.
+
+// Digits grouped in threes by commas, with optional decimals, e.g. "1,200" or "-12,345,678.9".
+const GROUPED_NUMBER = /^[+-]?\d{1,3}(,\d{3})+(\.\d+)?$/;
+
+/**
+ * Reads a number from the text of a file field.
+ * @param {*} value - The field's value.
+ * @returns {number|null} The number; null when the field is blank, and NaN when it isn't a number (including commas
+ * other than thousands separators, e.g. a decimal comma).
+ */
+export const parseNumber = (value) => {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  if (text === '') return null;
+  if (GROUPED_NUMBER.test(text)) return Number(text.replace(/,/g, ''));
+  return text.includes(',') ? NaN : Number(text);
+};
+
+/**
+ * Checks whether a field holds a number written with a decimal comma, e.g. "1,5" or "1.200,75". `parseNumber` doesn't
+ * read these, but a column of them is still a column of numbers.
+ * @param {*} value - The field's value.
+ * @returns {boolean} True for a number with a decimal comma.
+ */
+export const hasDecimalComma = (value) => /^[+-]?\d{1,3}(\.?\d{3})*,\d+$/.test(String(value ?? '').trim());
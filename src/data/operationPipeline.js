@@ -0,0 +1,251 @@
+// This file defines the OLAP view as an ordered pipeline of operations (slice, dice, pivot, roll-up, drill-down, rank)
+// that is re-evaluated from the base facts, so operations compose instead of overwriting each other.
+
+import {
+  applySlice,
+  applyDice,
+  applyRollUp,
+  applyDrillDown,
+  describeFilter,
+  BASE_MEASURE,
+  getMeasureOptions,
+  validateFilterCondition,
+} from './dataProcessor';
+import { RANK_SORTS } from './ranking';
+import { findHierarchy, getCubeDimensions, getDefaultAxisMapping, getDimensionLabel } from './schema';
+
+// Display names of the operation types.
+export const OPERATION_LABELS = {
+  slice: 'Slice',
+  dice: 'Dice',
+  pivot: 'Pivot',
+  rollUp: 'Roll-up',
+  drillDown: 'Drill-down',
+  setLevel: 'Set level',
+  rank: 'Rank',
+};
+
+// Counter used to give operations stable ids (React keys, reordering).
+let nextOperationId = 1;
+
+/**
+ * Creates a pipeline operation.
+ * @param {string} type - One of the OPERATION_LABELS keys.
+ * @param {Object} params - The operation's parameters:
+ *   slice { dimension, value }, dice { filters }, pivot { axisMapping },
+ *   rollUp/drillDown { axis }, setLevel { axis, level },
+ *   rank { axis, sort: 'member'|'desc'|'asc', measure, limit: { type: 'top'|'bottom', count }|null, others }.
+ * @returns {Object} The operation, e.g. { id: 3, type: 'slice', dimension: 'region', value: 'Asia' }.
+ */
+export const createOperation = (type, params) => ({ id: nextOperationId++, type, ...params });
+
+/**
+ * Drops the ids from a pipeline so it can be stored or shared; ids are only meaningful within a session.
+ * @param {Array<Object>} operations - The pipeline.
+ * @returns {Array<Object>} Copies of the operations without ids.
+ */
+export const stripOperationIds = (operations) => operations.map(operation => {
+  const copy = { ...operation };
+  delete copy.id;
+  return copy;
+});
+
+/**
+ * Rebuilds a pipeline stored with `stripOperationIds`, giving every operation a fresh id.
+ * @param {Array<Object>} stored - The stored operations.
+ * @returns {Array<Object>} The pipeline.
+ */
+export const restoreOperations = (stored) => stored.map(({ type, ...params }) => createOperation(type, params));
+
+const AXES = ['x', 'y', 'z'];
+
+// Checks what a slice or dice filters on: a dimension or measure column of the schema (or the base value), and a
+// member or a well-formed condition.
+const validateFilter = (schema, field, condition) => {
+  const fields = [...getCubeDimensions(schema), ...schema.measures, { key: BASE_MEASURE }];
+  if (!fields.some(f => f.key === field)) return `Field "${field}" is not in the schema.`;
+  if (condition === null || condition === undefined || Array.isArray(condition)) return `No condition on "${field}".`;
+  return validateFilterCondition(condition);
+};
+
+/**
+ * Checks an operation read from outside the app (a shared link or an imported file) before it is restored, so a
+ * hand-edited or damaged step can be left out instead of breaking the pipeline.
+ * @param {Object} operation - The stored operation, as from `stripOperationIds`.
+ * @param {Object} schema - The cube schema it will be evaluated with.
+ * @returns {string|null} What is wrong with the operation, or null when it can be restored.
+ */
+export const validateOperation = (operation, schema) => {
+  if (!operation || typeof operation !== 'object') return 'Not an operation.';
+  const { type } = operation;
+  if (!OPERATION_LABELS[type]) return `Unknown operation "${type}".`;
+  if (type !== 'pivot' && type !== 'slice' && type !== 'dice' && !AXES.includes(operation.axis)) {
+    return `Unknown axis "${operation.axis}".`;
+  }
+  switch (type) {
+    case 'slice':
+      return validateFilter(schema, operation.dimension, operation.value);
+    case 'dice': {
+      const { filters } = operation;
+      if (!filters || typeof filters !== 'object' || Array.isArray(filters)) return 'No filters.';
+      return Object.entries(filters).map(([field, condition]) => validateFilter(schema, field, condition)).find(Boolean) || null;
+    }
+    case 'pivot': {
+      const { axisMapping } = operation;
+      if (!axisMapping || typeof axisMapping !== 'object') return 'No axis mapping.';
+      const unknown = AXES.map(axis => axisMapping[axis]).find(key => key && (typeof key !== 'string' || !findHierarchy(schema, key)));
+      return unknown ? `Unknown level "${unknown}".` : null;
+    }
+    case 'setLevel':
+      return typeof operation.level === 'string' && findHierarchy(schema, operation.level) ? null : `Unknown level "${operation.level}".`;
+    case 'rank': {
+      const { sort, measure, limit } = operation;
+      if (!RANK_SORTS[sort]) return `Unknown sort "${sort}".`;
+      if (typeof measure !== 'string') return 'No measure to rank by.';
+      if (limit && (!['top', 'bottom'].includes(limit.type) || !Number.isInteger(limit.count) || limit.count < 1)) {
+        return 'Invalid top/bottom limit.';
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Checks that every axis of a mapping is still a level of the schema (it may have changed since the step was added).
+const isValidMapping = (schema, axisMapping) =>
+  Object.values(axisMapping).every(key => !key || findHierarchy(schema, key));
+
+/**
+ * Evaluates a pipeline: starting from the base facts and the schema's default axis mapping,
+ * applies each enabled operation in order. Filters narrow the facts cumulatively (a slice after a dice keeps both),
+ * and axis operations update the mapping that `aggregateCube` uses afterwards. Steps that no longer fit the schema
+ * (e.g. a filter on a removed column) are skipped with a note. Rank steps set the ranking of an axis (see ranking.js),
+ * whatever level it ends up showing; a later rank step on the same axis replaces it.
+ * @param {Array<Object>} baseFacts - The facts from `processRawData`.
+ * @param {Array<Object>} operations - The pipeline, in order.
+ * @param {Object} schema - The cube schema.
+ * @param {{ slice: Function, dice: Function }} [filtering] - How slice and dice steps filter the facts, by default
+ * `applySlice` and `applyDice`. The cube engine passes its own, which filter a selection of its column store instead.
+ * @returns {{ facts: Array<Object>, axisMapping: Object, filters: Object, rankings: Object, steps: Array<{ id: number, note: string|null }> }}
+ * The filtered facts, the resulting axis mapping, all applied filters keyed by field, the ranking of each ranked axis,
+ * and a note per step explaining why it had no effect (null when it applied).
+ */
+export const evaluatePipeline = (baseFacts, operations, schema, { slice = applySlice, dice = applyDice } = {}) => {
+  let facts = baseFacts;
+  let axisMapping = getDefaultAxisMapping(schema);
+  const filters = {};
+  const rankings = {};
+  const steps = [];
+
+  operations.forEach(operation => {
+    let note = null;
+    if (operation.disabled) {
+      steps.push({ id: operation.id, note: 'Disabled' });
+      return;
+    }
+
+    switch (operation.type) {
+      case 'slice': {
+        // A filter on a field the schema no longer has (or a condition that doesn't fit it) would drop every fact.
+        const problem = validateFilter(schema, operation.dimension, operation.value);
+        if (problem) {
+          note = problem.replace(/\.$/, '');
+        } else {
+          facts = slice(facts, operation.dimension, operation.value);
+          filters[operation.dimension] = operation.value;
+        }
+        break;
+      }
+      case 'dice': {
+        const problem = Object.entries(operation.filters)
+          .map(([field, condition]) => validateFilter(schema, field, condition))
+          .find(Boolean);
+        if (problem) {
+          note = problem.replace(/\.$/, '');
+        } else {
+          facts = dice(facts, operation.filters);
+          Object.assign(filters, operation.filters);
+        }
+        break;
+      }
+      case 'pivot':
+        if (isValidMapping(schema, operation.axisMapping)) {
+          axisMapping = operation.axisMapping;
+        } else {
+          note = 'Uses a dimension that is no longer in the schema';
+        }
+        break;
+      case 'rollUp':
+      case 'drillDown': {
+        const move = operation.type === 'rollUp' ? applyRollUp : applyDrillDown;
+        const moved = move(axisMapping, operation.axis, schema);
+        if (moved === axisMapping) {
+          note = operation.type === 'rollUp' ? 'Axis is already at its top level' : 'Axis is already at its finest level';
+        }
+        axisMapping = moved;
+        break;
+      }
+      case 'setLevel':
+        if (findHierarchy(schema, operation.level)) {
+          axisMapping = { ...axisMapping, [operation.axis]: operation.level };
+        } else {
+          note = 'Level is no longer in the schema';
+        }
+        break;
+      case 'rank':
+        // Member order without a limit is the default: it clears the axis's ranking.
+        if (operation.sort === 'member' && !operation.limit) {
+          delete rankings[operation.axis];
+        } else if (!getMeasureOptions(schema).some(m => m.key === operation.measure)) {
+          note = 'Measure is no longer in the schema';
+        } else {
+          const { sort, measure, limit, others } = operation;
+          rankings[operation.axis] = { sort, measure, limit, others: Boolean(others) };
+        }
+        break;
+      default:
+        note = `Unknown operation "${operation.type}"`;
+    }
+    steps.push({ id: operation.id, note });
+  });
+
+  return { facts, axisMapping, filters, rankings, steps };
+};
+
+/**
+ * Describes an operation in words for the pipeline list, e.g. 'Slice: Region = Asia' or 'Roll-up Z-axis'.
+ * @param {Object} operation - The operation.
+ * @param {Object} schema - The cube schema, for labels.
+ * @returns {string} The description.
+ */
+export const describeOperation = (operation, schema) => {
+  const label = OPERATION_LABELS[operation.type] || operation.type;
+  switch (operation.type) {
+    case 'slice':
+      return `${label}: ${describeFilter(getDimensionLabel(schema, operation.dimension), operation.value)}`;
+    case 'dice':
+      return `${label}: ${Object.entries(operation.filters)
+        .map(([field, condition]) => describeFilter(getDimensionLabel(schema, field), condition))
+        .join('; ') || '(no conditions)'}`;
+    case 'pivot':
+      return `${label}: ${['x', 'y', 'z']
+        .map(axis => `${axis.toUpperCase()}=${getDimensionLabel(schema, operation.axisMapping[axis]) || '(none)'}`)
+        .join(', ')}`;
+    case 'rollUp':
+    case 'drillDown':
+      return `${label} ${operation.axis.toUpperCase()}-axis`;
+    case 'setLevel':
+      return `${label}: ${operation.axis.toUpperCase()}-axis to ${getDimensionLabel(schema, operation.level)}`;
+    case 'rank': {
+      const parts = [];
+      if (operation.limit) parts.push(`${operation.limit.type} ${operation.limit.count}`);
+      if (operation.sort !== 'member') parts.push(operation.sort === 'desc' ? 'highest first' : 'lowest first');
+      if (operation.limit && operation.others) parts.push('rest as Others');
+      const by = operation.measure && operation.measure !== BASE_MEASURE ? ` by ${operation.measure}` : '';
+      return `${label} ${operation.axis.toUpperCase()}-axis: ${parts.join(', ') || 'member order'}${by}`;
+    }
+    default:
+      return label;
+  }
+};
@@ -0,0 +1,160 @@
+// This file builds a pivot table (crosstab) from the cube's facts: nested row and column headers,
+// subtotals per group, grand totals, and rows sorted by member or by the values of a column.
+
+import { aggregateByLevels, getAxisMember } from './dataProcessor';
+import { formatMember, orderMembers } from './ranking';
+
+const keyOf = (members) => JSON.stringify(members);
+
+// Distinct member tuples of the facts on the given levels, in member order (ranking or schema) level by level.
+const getTuples = (facts, levels, schema, memberOrder) => {
+  if (levels.length === 0) return [];
+  const tuples = new Map();
+  facts.forEach(fact => {
+    const members = levels.map(level => getAxisMember(fact, level));
+    if (members.some(member => member === undefined || member === null || member === '')) return;
+    tuples.set(keyOf(members), members);
+  });
+  const orders = levels.map((level, i) => {
+    const members = orderMembers(schema, level, [...new Set([...tuples.values()].map(tuple => tuple[i]))], memberOrder);
+    return new Map(members.map((member, idx) => [member, idx]));
+  });
+  return [...tuples.values()].sort((a, b) => {
+    for (let i = 0; i < levels.length; i++) {
+      const diff = orders[i].get(a[i]) - orders[i].get(b[i]);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  });
+};
+
+// Turns sorted tuples into the entries of one side of the table: leaves, a subtotal after each group
+// (when there is more than one level) and a grand total at the end. `compareGroups` orders the groups
+// under a common parent; it receives two prefixes of the same length.
+const buildEntries = (tuples, levelCount, compareGroups) => {
+  const entries = [];
+  const walk = (group, depth) => {
+    // Split the group by its member at this depth, keeping the first-seen (member) order.
+    const children = new Map();
+    group.forEach(tuple => {
+      const key = keyOf(tuple.slice(0, depth + 1));
+      if (!children.has(key)) children.set(key, []);
+      children.get(key).push(tuple);
+    });
+    const ordered = [...children.values()];
+    if (compareGroups) {
+      ordered.sort((a, b) => compareGroups(a[0].slice(0, depth + 1), b[0].slice(0, depth + 1)));
+    }
+    ordered.forEach(child => {
+      const prefix = child[0].slice(0, depth + 1);
+      if (depth === levelCount - 1) {
+        entries.push({ key: keyOf(prefix), members: prefix, type: 'leaf' });
+      } else {
+        walk(child, depth + 1);
+        entries.push({ key: keyOf(prefix), members: prefix, type: 'subtotal' });
+      }
+    });
+  };
+  if (levelCount > 0) walk(tuples, 0);
+  entries.push({ key: keyOf([]), members: [], type: 'total' });
+  return entries;
+};
+
+/**
+ * Builds a pivot table from facts.
+ * @param {Array<Object>} facts - The facts behind the cube (after slice/dice).
+ * @param {Object} options - The table layout.
+ * @param {Array<string>} options.rowLevels - Levels nested down the rows, outermost first.
+ * @param {Array<string>} options.columnLevels - Levels nested across the columns, outermost first.
+ * @param {string} options.aggregation - The aggregation function key.
+ * @param {string} [options.measure] - The measure shown: the base value (default) or a calculated measure's key.
+ * @param {Object} options.schema - The cube schema, for member order and calculated measures.
+ * @param {Object} [options.memberOrder] - The member order of ranked levels, from `applyRankings`.
+ * @param {{ column: string|null, direction: 'asc'|'desc' }|null} [options.sort] - Sorts the rows, within their groups,
+ * by the values of the column with this key, or by member when `column` is null. Unsorted rows follow member order.
+ * @returns {{ rows: Array<Object>, columns: Array<Object>, getValue: Function }} Row and column entries
+ * ({ key, members, type: 'leaf'|'subtotal'|'total' }, where `members` is the entry's prefix of member tuples)
+ * and `getValue(row, column)`, the aggregated value of their intersection (null when empty).
+ */
+export const buildPivotTable = (facts, { rowLevels, columnLevels, aggregation, measure, schema, memberOrder, sort = null }) => {
+  // One aggregation per combination of row depth and column depth covers every leaf, subtotal and total.
+  const totals = rowLevels.map((_, rowDepth) => rowDepth).concat(rowLevels.length).map(rowDepth =>
+    columnLevels.map((_, columnDepth) => columnDepth).concat(columnLevels.length).map(columnDepth =>
+      aggregateByLevels(facts, [...rowLevels.slice(0, rowDepth), ...columnLevels.slice(0, columnDepth)], aggregation, { measure, schema })
+    )
+  );
+  const getValue = (row, column) => {
+    const value = totals[row.members.length][column.members.length].get(keyOf([...row.members, ...column.members]));
+    return value === undefined ? null : value;
+  };
+
+  const columns = buildEntries(getTuples(facts, columnLevels, schema, memberOrder), columnLevels.length, null);
+
+  // Rows follow member order, reversed for a descending sort by member, unless sorted by a column's values.
+  let rowTuples = getTuples(facts, rowLevels, schema, memberOrder);
+  if (sort && sort.column === null && sort.direction === 'desc') {
+    rowTuples = rowTuples.reverse();
+  }
+  let compareRows = null;
+  if (sort && sort.column !== null) {
+    const column = columns.find(c => c.key === sort.column);
+    if (column) {
+      const sign = sort.direction === 'desc' ? -1 : 1;
+      compareRows = (a, b) => {
+        const valueA = getValue({ members: a }, column);
+        const valueB = getValue({ members: b }, column);
+        // Empty cells go last in either direction.
+        if (valueA === null || valueB === null) return (valueA === null) - (valueB === null);
+        return sign * (valueA - valueB);
+      };
+    }
+  }
+  const rows = buildEntries(rowTuples, rowLevels.length, compareRows);
+
+  return { rows, columns, getValue };
+};
+
+/**
+ * Lays out the nested column headers: one header row per column level, with cells spanning their group.
+ * Subtotal and total columns get a single cell spanning the header rows below their group.
+ * @param {Array<Object>} columns - The column entries from `buildPivotTable`.
+ * @param {number} levelCount - The number of column levels.
+ * @returns {Array<Array<{ key: string, label: *, colSpan: number, rowSpan: number, column: Object|null }>>}
+ * The header rows. `column` is set on the cell that sits directly above a column (for sorting).
+ */
+export const buildColumnHeaders = (columns, levelCount) => {
+  const headerRows = [];
+  for (let depth = 0; depth < Math.max(levelCount, 1); depth++) {
+    const cells = [];
+    columns.forEach(column => {
+      const length = column.members.length;
+      if (column.type !== 'leaf' && length === depth) {
+        // The subtotal/total label, spanning the remaining header rows.
+        cells.push({
+          key: `total-${column.key}`,
+          label: column.type === 'total' ? 'Grand Total' : `${formatMember(column.members[length - 1])} Total`,
+          colSpan: 1,
+          rowSpan: Math.max(levelCount, 1) - depth,
+          column,
+        });
+        return;
+      }
+      if (length <= depth) return;
+      const groupKey = keyOf(column.members.slice(0, depth + 1));
+      const previous = cells[cells.length - 1];
+      if (previous && previous.key === groupKey) {
+        previous.colSpan += 1;
+        return;
+      }
+      cells.push({
+        key: groupKey,
+        label: formatMember(column.members[depth]),
+        colSpan: 1,
+        rowSpan: 1,
+        column: depth === levelCount - 1 ? column : null,
+      });
+    });
+    headerRows.push(cells);
+  }
+  return headerRows;
+};
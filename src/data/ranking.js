@@ -0,0 +1,132 @@
+// This file applies the rankings of the pipeline's rank steps: members of an axis ordered by a measure, and
+// optionally only the top or bottom N of them kept, with the rest dropped or gathered into an "Others" member.
+// Rankings work on the facts (members outside the top N are removed or renamed to "Others"), so the cube, the pivot
+// table and exports all aggregate the same members.
+
+import { aggregateByLevels } from './dataProcessor';
+import { ALL_LABEL, ALL_MEMBER, isAllLevel, sortMembers } from './schema';
+
+// The member that gathers the members left out of a top/bottom N. It is a reserved key starting with a NUL character,
+// which no table value holds, so a real member named "Others" stays a member of its own; it is shown as OTHERS_LABEL.
+export const OTHERS_MEMBER = '\u0000others';
+export const OTHERS_LABEL = 'Others';
+
+/**
+ * Gives the text a member is shown as: its own value, OTHERS_LABEL for the members gathered by a ranking, or ALL_LABEL
+ * for the member of a level rolled up to "All".
+ * @param {*} member - A member of a level, as in the facts and cells.
+ * @returns {*} The member to show.
+ */
+export const formatMember = (member) => {
+  if (member === OTHERS_MEMBER) return OTHERS_LABEL;
+  return member === ALL_MEMBER ? ALL_LABEL : member;
+};
+
+// Sort orders of a ranking: the schema's member order, or by the measure's value.
+export const RANK_SORTS = {
+  member: { label: 'Member order' },
+  desc: { label: 'Highest first' },
+  asc: { label: 'Lowest first' },
+};
+
+const isBlank = (member) => member === undefined || member === null || member === '';
+
+// Orders members by value, empty values last in either direction.
+const sortByValue = (members, valueOf, direction) => {
+  const sign = direction === 'desc' ? -1 : 1;
+  return [...members].sort((a, b) => {
+    const valueA = valueOf(a);
+    const valueB = valueOf(b);
+    if (valueA === null || valueB === null) return (valueA === null) - (valueB === null);
+    return sign * (valueA - valueB);
+  });
+};
+
+/**
+ * Applies rankings to the facts of the cube.
+ * @param {Array<Object>} facts - The facts after slice/dice.
+ * @param {Object} axisMapping - The level shown on each axis.
+ * @param {Object} rankings - The ranking of each ranked axis, from `evaluatePipeline`: { sort: 'member'|'desc'|'asc',
+ * measure: string, limit: { type: 'top'|'bottom', count: number }|null, others: boolean }.
+ * @param {Object} options - How members are valued.
+ * @param {string} options.aggregation - The aggregation function key.
+ * @param {Object} options.schema - The cube schema.
+ * @returns {{ facts: Array<Object>, memberOrder: Object }} The facts with members outside a top/bottom N removed or
+ * renamed to OTHERS_MEMBER (the same array when nothing is limited), and the member order of each ranked level,
+ * keyed by level (OTHERS_MEMBER last).
+ */
+export const applyRankings = (facts, axisMapping, rankings, { aggregation, schema }) => {
+  const memberOrder = {};
+  const limits = [];
+
+  Object.entries(rankings || {}).forEach(([axis, ranking]) => {
+    const level = axisMapping[axis];
+    // An axis at "All" has a single member: nothing to rank.
+    if (!level || isAllLevel(level)) return;
+    const values = aggregateByLevels(facts, [level], aggregation, { measure: ranking.measure, schema });
+    const valueOf = (member) => values.get(JSON.stringify([member])) ?? null;
+    const members = sortMembers(schema, level, [...values.keys()].map(key => JSON.parse(key)[0]));
+
+    let ordered = ranking.sort === 'member' ? members : sortByValue(members, valueOf, ranking.sort);
+    if (ranking.limit && ranking.limit.count < members.length) {
+      const kept = new Set(sortByValue(members, valueOf, ranking.limit.type === 'bottom' ? 'asc' : 'desc').slice(0, ranking.limit.count));
+      ordered = ordered.filter(member => kept.has(member));
+      if (ranking.others) ordered.push(OTHERS_MEMBER);
+      limits.push({ level, kept, others: ranking.others });
+    }
+    memberOrder[level] = ordered;
+  });
+
+  if (limits.length === 0) return { facts, memberOrder };
+  const rankedFacts = [];
+  facts.forEach(fact => {
+    let ranked = fact;
+    const keep = limits.every(({ level, kept, others }) => {
+      // Facts without a member are left out of the axis anyway.
+      if (isBlank(fact[level]) || kept.has(fact[level])) return true;
+      if (!others) return false;
+      ranked = { ...ranked, [level]: OTHERS_MEMBER };
+      return true;
+    });
+    if (keep) rankedFacts.push(ranked);
+  });
+  return { facts: rankedFacts, memberOrder };
+};
+
+/**
+ * Sorts members of a level for display: in ranking order when the level is ranked, otherwise in the schema's order.
+ * @param {Object} schema - The cube schema.
+ * @param {string} level - The level key.
+ * @param {Array} members - The unique members.
+ * @param {Object} [memberOrder] - The member order of ranked levels, from `applyRankings`.
+ * @returns {Array} The sorted members (a new array).
+ */
+export const orderMembers = (schema, level, members, memberOrder) => {
+  const order = memberOrder && memberOrder[level];
+  if (!order) return sortMembers(schema, level, members);
+  const rank = new Map(order.map((member, idx) => [member, idx]));
+  return [...members].sort((a, b) => (rank.get(a) ?? order.length) - (rank.get(b) ?? order.length));
+};
+
+/**
+ * Sorts cube cells by their members on X, then Y, then Z, in display order, e.g. for exports.
+ * @param {Array<Object>} cells - The cube cells.
+ * @param {Object} axisMapping - The level shown on each axis.
+ * @param {Object} schema - The cube schema.
+ * @param {Object} [memberOrder] - The member order of ranked levels, from `applyRankings`.
+ * @returns {Array<Object>} The sorted cells (a new array).
+ */
+export const sortCells = (cells, axisMapping, schema, memberOrder) => {
+  const levels = [...new Set(['x', 'y', 'z'].map(axis => axisMapping[axis]).filter(Boolean))];
+  const ranks = levels.map(level => {
+    const members = orderMembers(schema, level, [...new Set(cells.map(cell => cell[level]))], memberOrder);
+    return new Map(members.map((member, idx) => [member, idx]));
+  });
+  return [...cells].sort((a, b) => {
+    for (let i = 0; i < levels.length; i++) {
+      const diff = ranks[i].get(a[levels[i]]) - ranks[i].get(b[levels[i]]);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  });
+};
@@ -0,0 +1,342 @@
+// This file defines the cube schema: which table columns are dimensions, which are numeric measures,
+// which dimension (if any) represents time, and how dimensions nest into hierarchies. Everything that used to
+// hardcode the continent/region/product/Q1-Q4 sales layout reads it from here instead.
+
+import { hasDecimalComma, parseNumber } from './numbers';
+
+// The member of a hierarchy rolled up to its top ("All") level. Like the Others member of rankings, it is a reserved
+// key starting with a NUL character, so a real member named "Total" stays a member of its own; it is shown as ALL_LABEL.
+export const ALL_MEMBER = '\u0000all';
+export const ALL_LABEL = 'Total';
+// Prefix of the synthetic axis key used for a hierarchy's "All" level, e.g. 'all:geography'.
+const ALL_LEVEL_PREFIX = 'all:';
+
+// Hierarchies recognized in imported files by their column names. Only levels present in the data are used.
+const KNOWN_HIERARCHIES = [
+  { name: 'geography', label: 'Geography', levels: ['continent', 'region', 'country', 'state', 'city'] },
+  { name: 'time', label: 'Time', levels: ['year', 'quarter', 'month', 'week', 'day', 'date'] },
+  { name: 'product', label: 'Product', levels: ['category', 'subcategory', 'product', 'sku'] },
+];
+
+/**
+ * The schema of the original sales dataset.
+ * Its measure columns (Q1-Q4) are periods of the `quarter` time dimension ("wide" layout):
+ * `processRawData` unpivots them so every row becomes one data point per quarter.
+ * A "long" layout dataset instead names an existing dimension column, e.g. { key: 'month' }.
+ */
+export const DEFAULT_SCHEMA = {
+  dimensions: [
+    { key: 'continent', label: 'Continent' },
+    { key: 'region', label: 'Region' },
+    { key: 'product', label: 'Product' },
+  ],
+  measures: [
+    { key: 'Q1', label: 'Q1' },
+    { key: 'Q2', label: 'Q2' },
+    { key: 'Q3', label: 'Q3' },
+    { key: 'Q4', label: 'Q4' },
+  ],
+  timeDimension: { key: 'quarter', label: 'Quarter', fromMeasures: true },
+  // Levels are listed from the top (coarsest) down. Levels missing from the data are skipped,
+  // so the same declaration also covers datasets that add e.g. a country or month column.
+  hierarchies: [
+    { name: 'geography', label: 'Geography', levels: ['continent', 'region', 'country'] },
+    { name: 'time', label: 'Time', levels: ['year', 'quarter', 'month'] },
+    { name: 'product', label: 'Product', levels: ['category', 'product'] },
+  ],
+};
+
+// Member names recognized as periods, used to order time members and to detect wide time layouts.
+const QUARTER_PATTERN = /^q[1-4]$/i;
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const TIME_COLUMN_PATTERN = /^(date|day|week|month|quarter|year|period)$/i;
+
+// Turns a column key like 'sku_code' into a label like 'Sku code'.
+const toLabel = (key) => {
+  const text = String(key).replace(/[_-]+/g, ' ').trim();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+/**
+ * Returns every column of a table row for the schema: dimensions first, then measures.
+ * @param {Object} schema - The cube schema.
+ * @returns {Array<string>} Column keys.
+ */
+export const getSchemaColumns = (schema) => [
+  ...schema.dimensions.map(d => d.key),
+  ...schema.measures.map(m => m.key),
+];
+
+/**
+ * Checks whether a table column holds numbers.
+ * @param {Object} schema - The cube schema.
+ * @param {string} key - The column key.
+ * @returns {boolean} True for measure columns.
+ */
+export const isMeasure = (schema, key) => schema.measures.some(m => m.key === key);
+
+/**
+ * Returns the dimensions that can be placed on a cube axis or used for filtering.
+ * This is every dimension column, plus the time dimension when it is built from measure columns.
+ * @param {Object} schema - The cube schema.
+ * @returns {Array<{ key: string, label: string }>} The cube dimensions.
+ */
+export const getCubeDimensions = (schema) => {
+  const dimensions = [...schema.dimensions];
+  if (schema.timeDimension && schema.timeDimension.fromMeasures) {
+    dimensions.push({ key: schema.timeDimension.key, label: schema.timeDimension.label });
+  }
+  return dimensions;
+};
+
+/**
+ * Looks up the display label of a cube dimension, falling back to the key itself.
+ * @param {Object} schema - The cube schema.
+ * @param {string} key - The dimension key.
+ * @returns {string} The label.
+ */
+export const getDimensionLabel = (schema, key) => {
+  if (!key) return '';
+  if (isAllLevel(key)) {
+    const hierarchy = findHierarchy(schema, key);
+    return hierarchy ? `All ${hierarchy.label}` : 'All';
+  }
+  const dimension = getCubeDimensions(schema).find(d => d.key === key);
+  return dimension ? dimension.label : toLabel(key);
+};
+
+/**
+ * Checks whether an axis key is the synthetic "All" level of a hierarchy.
+ * @param {string|null} key - The axis key.
+ * @returns {boolean} True for "All" levels.
+ */
+export const isAllLevel = (key) => typeof key === 'string' && key.startsWith(ALL_LEVEL_PREFIX);
+
+/**
+ * Returns the hierarchies of the schema, keeping only levels that exist as cube dimensions.
+ * Every cube dimension that isn't part of a declared hierarchy gets a single-level hierarchy of its own,
+ * so roll-up and drill-down work the same way on every axis.
+ * @param {Object} schema - The cube schema.
+ * @returns {Array<{ name: string, label: string, levels: Array<string> }>} The hierarchies.
+ */
+export const getHierarchies = (schema) => {
+  const dimensionKeys = getCubeDimensions(schema).map(d => d.key);
+  const hierarchies = (schema.hierarchies || [])
+    .map(h => ({ ...h, levels: h.levels.filter(level => dimensionKeys.includes(level)) }))
+    .filter(h => h.levels.length > 0);
+  const covered = new Set(hierarchies.flatMap(h => h.levels));
+  dimensionKeys.forEach(key => {
+    if (!covered.has(key)) {
+      hierarchies.push({ name: key, label: getDimensionLabel(schema, key), levels: [key] });
+    }
+  });
+  return hierarchies;
+};
+
+/**
+ * Finds the hierarchy an axis key belongs to (a level key or a hierarchy's "All" key).
+ * @param {Object} schema - The cube schema.
+ * @param {string} key - The axis key.
+ * @returns {Object|undefined} The hierarchy.
+ */
+export const findHierarchy = (schema, key) => getHierarchies(schema).find(h =>
+  (isAllLevel(key) ? getAllLevelKey(h) === key : h.levels.includes(key))
+);
+
+/**
+ * Returns the synthetic axis key of a hierarchy's "All" level.
+ * @param {Object} hierarchy - The hierarchy.
+ * @returns {string} The key, e.g. 'all:geography'.
+ */
+export const getAllLevelKey = (hierarchy) => `${ALL_LEVEL_PREFIX}${hierarchy.name}`;
+
+/**
+ * Returns the levels of the hierarchy that contains `key`, from "All" down to the finest level.
+ * @param {Object} schema - The cube schema.
+ * @param {string} key - The axis key.
+ * @returns {Array<{ key: string, label: string }>} The levels, or an empty array for an unmapped axis.
+ */
+export const getHierarchyLevels = (schema, key) => {
+  const hierarchy = key ? findHierarchy(schema, key) : undefined;
+  if (!hierarchy) return [];
+  return [getAllLevelKey(hierarchy), ...hierarchy.levels].map(level => ({
+    key: level,
+    label: getDimensionLabel(schema, level),
+  }));
+};
+
+/**
+ * Picks a starting axis mapping for a schema: the first two non-time dimensions on X and Y,
+ * and the time dimension (or the next dimension) on Z. Axes are null when there are fewer than three dimensions.
+ * @param {Object} schema - The cube schema.
+ * @returns {{ x: string|null, y: string|null, z: string|null }} The axis mapping.
+ */
+export const getDefaultAxisMapping = (schema) => {
+  const timeKey = schema.timeDimension ? schema.timeDimension.key : null;
+  const keys = getCubeDimensions(schema).map(d => d.key);
+  // Keep time on the Z axis, like the original quarter layout.
+  const ordered = timeKey ? [...keys.filter(k => k !== timeKey), timeKey] : keys;
+  if (timeKey && ordered.length > 3) {
+    ordered.splice(2, ordered.length - 3);
+  }
+  return { x: ordered[0] || null, y: ordered[1] || null, z: ordered[2] || null };
+};
+
+/**
+ * Creates a blank table row for the schema: empty dimension values and zero measures.
+ * @param {Object} schema - The cube schema.
+ * @returns {Object} The row (without `id`).
+ */
+export const createEmptyRow = (schema) => {
+  const row = {};
+  schema.dimensions.forEach(d => { row[d.key] = ''; });
+  schema.measures.forEach(m => { row[m.key] = 0; });
+  return row;
+};
+
+// Ranks a time member so quarters and month names sort chronologically rather than alphabetically.
+const timeRank = (value) => {
+  const text = String(value).trim().toLowerCase();
+  if (QUARTER_PATTERN.test(text)) return Number(text.slice(1));
+  const monthIdx = MONTH_NAMES.indexOf(text.slice(0, 3));
+  return monthIdx === -1 ? null : monthIdx + 1;
+};
+
+/**
+ * Sorts the members of a dimension for display on an axis.
+ * Members of a wide time dimension keep the measure column order, other time members are ordered
+ * chronologically when recognized, numbers sort numerically, and ALL_MEMBER (the rolled-up member) always comes last.
+ * @param {Object} schema - The cube schema.
+ * @param {string} dimension - The dimension key.
+ * @param {Array} values - The unique member values.
+ * @returns {Array} The sorted members (a new array).
+ */
+export const sortMembers = (schema, dimension, values) => {
+  const time = schema.timeDimension;
+  const measureOrder = time && time.fromMeasures && time.key === dimension
+    ? schema.measures.map(m => m.key)
+    : null;
+
+  const rank = (value) => {
+    if (value === ALL_MEMBER) return Infinity;
+    if (measureOrder) return measureOrder.indexOf(value);
+    if (time && time.key === dimension) return timeRank(value);
+    return null;
+  };
+
+  return [...values].sort((a, b) => {
+    const rankA = rank(a);
+    const rankB = rank(b);
+    if (rankA !== null && rankB !== null && rankA !== rankB) return rankA - rankB;
+    if (rankA === Infinity || rankB === Infinity) return rankA === Infinity ? 1 : -1;
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+  });
+};
+
+/**
+ * Builds a schema from its dimension and measure columns. Measure columns named like quarters or months are treated
+ * as periods of a wide time dimension; otherwise a dimension named like 'month' or 'year' becomes the time dimension.
+ * Known hierarchies (e.g. continent > region > country) are declared for the columns that are present.
+ * @param {Array<{ key: string, label: string }>} dimensions - The dimension columns.
+ * @param {Array<{ key: string, label: string }>} measures - The measure columns.
+ * @returns {Object} The schema.
+ */
+export const createSchema = (dimensions, measures) => {
+  let timeDimension = null;
+  if (measures.length > 1 && measures.every(m => timeRank(m.key) !== null)) {
+    const isQuarters = measures.every(m => QUARTER_PATTERN.test(m.key));
+    timeDimension = { key: isQuarters ? 'quarter' : 'month', label: isQuarters ? 'Quarter' : 'Month', fromMeasures: true };
+  } else {
+    const timeColumn = dimensions.find(d => TIME_COLUMN_PATTERN.test(d.key));
+    if (timeColumn) {
+      timeDimension = { key: timeColumn.key, label: timeColumn.label };
+    }
+  }
+
+  // Declare the known hierarchies whose levels appear in the data, matching column names case-insensitively.
+  const levelKeys = [...dimensions.map(d => d.key), timeDimension && timeDimension.fromMeasures ? timeDimension.key : null]
+    .filter(Boolean);
+  const hierarchies = KNOWN_HIERARCHIES
+    .map(h => ({
+      ...h,
+      levels: h.levels
+        .map(level => levelKeys.find(key => key.toLowerCase() === level))
+        .filter(Boolean),
+    }))
+    .filter(h => h.levels.length > 1);
+
+  return { dimensions, measures, timeDimension, hierarchies };
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Checks a column's validation rules (see validation.js): flags and a list of allowed values, each optional.
+const isValidRules = (rules) => isPlainObject(rules) &&
+  ['required', 'numeric', 'nonNegative'].every(flag => rules[flag] === undefined || typeof rules[flag] === 'boolean') &&
+  (rules.allowedValues === undefined ||
+    (Array.isArray(rules.allowedValues) && rules.allowedValues.every(value => typeof value === 'string')));
+
+/**
+ * Checks the shape of a schema read from outside the app (e.g. an imported file), before a dataset is created with it.
+ * @param {*} schema - The schema to check.
+ * @returns {string|null} What is wrong with the schema, or null when it can be used.
+ */
+export const validateSchema = (schema) => {
+  if (!isPlainObject(schema) || !Array.isArray(schema.dimensions) || !Array.isArray(schema.measures)) {
+    return 'The schema needs lists of dimension and measure columns.';
+  }
+  if (schema.dimensions.length === 0 || schema.measures.length === 0) return 'The schema needs at least one dimension and one measure.';
+  const columns = [...schema.dimensions, ...schema.measures];
+  if (!columns.every(c => isPlainObject(c) && typeof c.key === 'string' && c.key.trim() && typeof c.label === 'string')) {
+    return 'Every schema column needs a key and a label.';
+  }
+  const badRules = columns.find(c => c.rules !== undefined && !isValidRules(c.rules));
+  if (badRules) return `The rules of column "${badRules.key}" are not valid.`;
+  const duplicate = columns.find((c, idx) => columns.findIndex(other => other.key === c.key) !== idx);
+  if (duplicate) return `The schema has two columns named "${duplicate.key}".`;
+  const time = schema.timeDimension;
+  if (time !== undefined && time !== null) {
+    if (!isPlainObject(time) || typeof time.key !== 'string') return 'The schema\'s time dimension has no key.';
+    if (!time.fromMeasures && !schema.dimensions.some(d => d.key === time.key)) {
+      return `The time dimension "${time.key}" is not a dimension column.`;
+    }
+  }
+  if (schema.hierarchies !== undefined &&
+    !(Array.isArray(schema.hierarchies) && schema.hierarchies.every(h => isPlainObject(h) && typeof h.name === 'string' &&
+      Array.isArray(h.levels) && h.levels.every(level => typeof level === 'string')))) {
+    return 'Every hierarchy needs a name and a list of levels.';
+  }
+  if (schema.calculatedMeasures !== undefined &&
+    !(Array.isArray(schema.calculatedMeasures) &&
+      schema.calculatedMeasures.every(m => isPlainObject(m) && typeof m.key === 'string' && typeof m.formula === 'string'))) {
+    return 'Every calculated measure needs a name and a formula.';
+  }
+  // Values are formatted with toFixed, which takes 0 to 100 decimals.
+  const badDecimals = (schema.calculatedMeasures || [])
+    .find(m => m.decimals !== undefined && m.decimals !== null && !(Number.isInteger(m.decimals) && m.decimals >= 0 && m.decimals <= 100));
+  if (badDecimals) return `The calculated measure "${badDecimals.key}" needs a whole number of decimals from 0 to 100.`;
+  return null;
+};
+
+/**
+ * Infers a schema from imported columns: columns whose values are all numeric become measures,
+ * everything else becomes a dimension. Time and hierarchies are then declared as in `createSchema`.
+ * @param {Array<string>} headers - The column names.
+ * @param {Array<Array<string>>} sampleRows - Field values of (some of) the data rows, in header order.
+ * @returns {Object} The inferred schema.
+ */
+export const inferSchema = (headers, sampleRows) => {
+  const dimensions = [];
+  const measures = [];
+
+  headers.forEach((header, idx) => {
+    const key = String(header).trim();
+    const values = sampleRows.map(fields => String(fields[idx] ?? '').trim()).filter(v => v !== '');
+    // A column of numbers with decimal commas is still a measure; its values are then reported as not readable.
+    const numeric = values.length > 0 && values.every(v => !Number.isNaN(parseNumber(v)) || hasDecimalComma(v));
+    // Columns like 'year' hold numbers but are members of a dimension, not values to aggregate.
+    (numeric && !TIME_COLUMN_PATTERN.test(key) ? measures : dimensions).push({ key, label: toLabel(key) });
+  });
+
+  return createSchema(dimensions, measures);
+};
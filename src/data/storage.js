@@ -0,0 +1,148 @@
+// This file persists datasets and saved views in the browser's localStorage, so the data typed into the table
+// survives a page reload. Each dataset's rows live under their own key; a small index lists the datasets by name.
+
+import { restoreOperations, stripOperationIds } from './operationPipeline';
+
+const STORAGE_PREFIX = 'olap-app';
+const DATASET_INDEX_KEY = `${STORAGE_PREFIX}:datasets`;
+const ACTIVE_DATASET_KEY = `${STORAGE_PREFIX}:active-dataset`;
+const SAVED_VIEWS_KEY = `${STORAGE_PREFIX}:saved-views`;
+const datasetKey = (id) => `${STORAGE_PREFIX}:dataset:${id}`;
+
+// Reads a JSON value, falling back when it is missing or unreadable (e.g. storage disabled or edited by hand).
+const readJson = (key, fallback) => {
+  try {
+    const text = window.localStorage.getItem(key);
+    return text === null ? fallback : JSON.parse(text);
+  } catch (error) {
+    console.warn(`Ignoring unreadable stored value "${key}": ${error.message}`);
+    return fallback;
+  }
+};
+
+// Writes a JSON value. localStorage holds only a few megabytes, so a full store is reported in plain words.
+const writeJson = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    throw new Error(`Could not save to browser storage (${error.name === 'QuotaExceededError' ? 'storage is full' : error.message}).`);
+  }
+};
+
+/**
+ * Lists the stored datasets, most recently updated first.
+ * @returns {Array<{ id: string, name: string, rowCount: number, updatedAt: number, sourceUrl?: string }>} The dataset
+ * index; `sourceUrl` is set for datasets loaded from a URL.
+ */
+export const listDatasets = () => {
+  const index = readJson(DATASET_INDEX_KEY, []);
+  return Array.isArray(index) ? [...index].sort((a, b) => b.updatedAt - a.updatedAt) : [];
+};
+
+/**
+ * Loads a stored dataset.
+ * @param {string} id - The dataset id.
+ * @returns {{ id: string, name: string, schema: Object, rows: Array<Object>, source?: Object, updatedAt: number }|null}
+ * The dataset, or null if it isn't stored.
+ */
+export const loadDataset = (id) => {
+  const dataset = readJson(datasetKey(id), null);
+  return dataset && dataset.schema && Array.isArray(dataset.rows) ? dataset : null;
+};
+
+/**
+ * Stores a dataset (creating or overwriting it) and updates the index.
+ * @param {{ id: string, name: string, schema: Object, rows: Array<Object>, source?: Object }} dataset - The dataset to
+ * store. A dataset loaded from a URL keeps its `source` (see dataSources.js), and its rows as last loaded.
+ * @returns {Array<Object>} The updated dataset index, as returned by `listDatasets`.
+ * @throws {Error} If the browser storage is full or unavailable.
+ */
+export const saveDataset = ({ id, name, schema, rows, source }) => {
+  const updatedAt = Date.now();
+  const entry = { id, name, rowCount: rows.length, updatedAt };
+  if (source) {
+    writeJson(datasetKey(id), { id, name, schema, rows, source, updatedAt });
+    entry.sourceUrl = source.url;
+  } else {
+    writeJson(datasetKey(id), { id, name, schema, rows, updatedAt });
+  }
+  writeJson(DATASET_INDEX_KEY, [...listDatasets().filter(d => d.id !== id), entry]);
+  return listDatasets();
+};
+
+/**
+ * Renames a stored dataset.
+ * @param {string} id - The dataset id.
+ * @param {string} name - The new name.
+ * @returns {Array<Object>} The updated dataset index.
+ */
+export const renameDataset = (id, name) => {
+  const dataset = loadDataset(id);
+  return dataset ? saveDataset({ ...dataset, name }) : listDatasets();
+};
+
+/**
+ * Deletes a stored dataset and the views saved for it.
+ * @param {string} id - The dataset id.
+ * @returns {Array<Object>} The updated dataset index.
+ */
+export const deleteDataset = (id) => {
+  window.localStorage.removeItem(datasetKey(id));
+  writeJson(DATASET_INDEX_KEY, listDatasets().filter(d => d.id !== id));
+  writeJson(SAVED_VIEWS_KEY, readJson(SAVED_VIEWS_KEY, []).filter(view => view.datasetId !== id));
+  return listDatasets();
+};
+
+// The dataset shown when the app was last used.
+export const getActiveDatasetId = () => readJson(ACTIVE_DATASET_KEY, null);
+
+export const setActiveDatasetId = (id) => {
+  writeJson(ACTIVE_DATASET_KEY, id);
+};
+
+/**
+ * Lists the saved views of a dataset, in the order they were saved. Operations get fresh ids, as in `decodeViewState`.
+ * @param {string} datasetId - The dataset id.
+ * @returns {Array<{ id: string, datasetId: string, name: string, operations: Array<Object>, aggregation: string, camera: Object|null }>}
+ * The saved views.
+ */
+export const listSavedViews = (datasetId) => readJson(SAVED_VIEWS_KEY, [])
+  .filter(view => view.datasetId === datasetId)
+  .map(view => ({ ...view, operations: restoreOperations(view.operations) }));
+
+/**
+ * Stores a saved view, creating it or overwriting the view with the same id.
+ * @param {Object} view - The view: { id, datasetId, name, operations, aggregation, camera }.
+ * @returns {Array<Object>} The dataset's saved views, as returned by `listSavedViews`.
+ * @throws {Error} If the browser storage is full or unavailable.
+ */
+export const saveView = (view) => {
+  const stored = { ...view, operations: stripOperationIds(view.operations) };
+  const views = readJson(SAVED_VIEWS_KEY, []);
+  const exists = views.some(v => v.id === view.id);
+  writeJson(SAVED_VIEWS_KEY, exists ? views.map(v => (v.id === view.id ? stored : v)) : [...views, stored]);
+  return listSavedViews(view.datasetId);
+};
+
+/**
+ * Renames a saved view.
+ * @param {string} datasetId - The view's dataset id.
+ * @param {string} id - The view id.
+ * @param {string} name - The new name.
+ * @returns {Array<Object>} The dataset's saved views.
+ */
+export const renameView = (datasetId, id, name) => {
+  writeJson(SAVED_VIEWS_KEY, readJson(SAVED_VIEWS_KEY, []).map(v => (v.id === id ? { ...v, name } : v)));
+  return listSavedViews(datasetId);
+};
+
+/**
+ * Deletes a saved view.
+ * @param {string} datasetId - The view's dataset id.
+ * @param {string} id - The view id.
+ * @returns {Array<Object>} The dataset's saved views.
+ */
+export const deleteView = (datasetId, id) => {
+  writeJson(SAVED_VIEWS_KEY, readJson(SAVED_VIEWS_KEY, []).filter(v => v.id !== id));
+  return listSavedViews(datasetId);
+};
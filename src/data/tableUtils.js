@@ -0,0 +1,102 @@
+// This file contains pure helpers for the data table's spreadsheet features: sorting, quick filtering,
+// and pasting a rectangular block copied from a spreadsheet.
+
+import { parseDelimited } from './csvUtils';
+import { createEmptyRow, isMeasure } from './schema';
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Sorts table rows by one column. Measures sort numerically, other columns as text (numbers inside text
+ * in numeric order, e.g. 'Region 2' before 'Region 10'). Blank cells go last in either direction.
+ * @param {Array<Object>} rows - The table rows.
+ * @param {{ column: string, direction: 'asc'|'desc' }|null} sort - The sort, or null to keep the table order.
+ * @param {Object} schema - The cube schema.
+ * @returns {Array<Object>} The sorted rows (a new array).
+ */
+export const sortRows = (rows, sort, schema) => {
+  if (!sort) return rows;
+  const sign = sort.direction === 'desc' ? -1 : 1;
+  const numeric = isMeasure(schema, sort.column);
+  return [...rows].sort((a, b) => {
+    const valueA = a[sort.column];
+    const valueB = b[sort.column];
+    if (isBlank(valueA) || isBlank(valueB)) return isBlank(valueA) - isBlank(valueB);
+    if (numeric && !Number.isNaN(Number(valueA)) && !Number.isNaN(Number(valueB))) {
+      return sign * (Number(valueA) - Number(valueB));
+    }
+    return sign * String(valueA).localeCompare(String(valueB), undefined, { numeric: true });
+  });
+};
+
+/**
+ * Keeps the rows where any of the given columns contains the query (case-insensitive).
+ * @param {Array<Object>} rows - The table rows.
+ * @param {string} query - The quick-filter text; blank keeps every row.
+ * @param {Array<string>} columns - The columns to search.
+ * @returns {Array<Object>} The matching rows.
+ */
+export const filterRows = (rows, query, columns) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return rows;
+  return rows.filter(row => columns.some(key => !isBlank(row[key]) && String(row[key]).toLowerCase().includes(needle)));
+};
+
+/**
+ * Parses clipboard text copied from a spreadsheet: tab-separated cells, one line per row.
+ * @param {string} text - The clipboard text.
+ * @returns {Array<Array<string>>} The block of cells, row by row.
+ */
+export const parseClipboardBlock = (text) => parseDelimited(text, '\t').map(record => record.fields);
+
+/**
+ * Pastes a block of cells into the table, with its top-left cell at a given row and column.
+ * Rows are counted in the order shown (`orderedIds`, after sorting and filtering); block rows past the last shown
+ * row become new rows. Cells past the last column are dropped. Numbers are stored as numbers in measure columns;
+ * anything else is kept as pasted, for validation to flag.
+ * @param {Array<Object>} rows - All table rows.
+ * @param {Array<*>} orderedIds - Ids of the rows in the order shown.
+ * @param {*} startRowId - Id of the row the block starts at.
+ * @param {Array<string>} columns - The table's columns, in the order shown.
+ * @param {string} startColumn - The column the block starts at.
+ * @param {Array<Array<string>>} block - The cells to paste, from `parseClipboardBlock`.
+ * @param {Object} schema - The cube schema.
+ * @returns {{ rows: Array<Object>, updatedCount: number, addedCount: number }} The new table rows and how many rows
+ * were changed or added.
+ */
+export const pasteBlock = (rows, orderedIds, startRowId, columns, startColumn, block, schema) => {
+  const startRow = orderedIds.indexOf(startRowId);
+  const startCol = columns.indexOf(startColumn);
+  if (startRow === -1 || startCol === -1) return { rows, updatedCount: 0, addedCount: 0 };
+
+  const toCellValue = (key, text) => {
+    const trimmed = text.trim();
+    return isMeasure(schema, key) && trimmed !== '' && !Number.isNaN(Number(trimmed)) ? Number(trimmed) : trimmed;
+  };
+  const applyCells = (row, cells) => {
+    const updated = { ...row };
+    cells.forEach((text, i) => {
+      const key = columns[startCol + i];
+      if (key) updated[key] = toCellValue(key, text);
+    });
+    return updated;
+  };
+
+  const updates = new Map();
+  const added = [];
+  let nextId = rows.reduce((max, row) => Math.max(max, Number(row.id) || 0), 0) + 1;
+  block.forEach((cells, i) => {
+    const id = orderedIds[startRow + i];
+    if (id !== undefined) {
+      updates.set(id, cells);
+    } else {
+      added.push(applyCells({ id: nextId++, ...createEmptyRow(schema) }, cells));
+    }
+  });
+
+  return {
+    rows: [...rows.map(row => (updates.has(row.id) ? applyCells(row, updates.get(row.id)) : row)), ...added],
+    updatedCount: updates.size,
+    addedCount: added.length,
+  };
+};
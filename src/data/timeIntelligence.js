@@ -0,0 +1,158 @@
+// This file computes time-intelligence display modes over the cube cells: change against the previous period or the
+// same period last year (absolute or %), running and year-to-date totals, and moving averages. They are applied to the
+// aggregated cells after the fact, so the data, facts and pipeline are untouched; each cell keeps its own value as
+// `baseValue`.
+//
+// Cells form one series per combination of members on the non-time axes. Periods are the members of the time
+// levels shown on the axes, coarsest first (e.g. year then quarter when both are on axes), in time order.
+
+import { getHierarchyLevels, isAllLevel, sortMembers } from './schema';
+
+/**
+ * The display modes. `needsYear` modes need a year level on an axis; `percent` modes give a percentage.
+ */
+export const TIME_CALCULATIONS = {
+  none: { label: 'Values as they are' },
+  change: { label: 'Change vs previous period' },
+  changePct: { label: '% change vs previous period', percent: true },
+  yoy: { label: 'Change vs same period last year', needsYear: true },
+  yoyPct: { label: '% change vs same period last year', percent: true, needsYear: true },
+  running: { label: 'Running total' },
+  ytd: { label: 'Year-to-date total', needsYear: true },
+  movingAvg: { label: 'Moving average' },
+};
+
+export const DEFAULT_TIME_CALCULATION = { mode: 'none', window: 3 };
+
+// The levels of the schema's time hierarchy, coarsest first (e.g. year, quarter, month).
+const getTimeLevels = (schema) => {
+  if (!schema.timeDimension) return [];
+  const levels = getHierarchyLevels(schema, schema.timeDimension.key).map(level => level.key).filter(key => !isAllLevel(key));
+  return levels.length > 0 ? levels : [schema.timeDimension.key];
+};
+
+/**
+ * Finds the time levels shown on the cube's axes, which the display modes run along.
+ * @param {Object} axisMapping - The level shown on each axis.
+ * @param {Object} schema - The cube schema.
+ * @returns {{ timeLevels: Array<string>, yearLevel: string|null, message: string|null }} The time levels on axes
+ * (coarsest first), the year level when it is one of them, and why modes are unavailable (null when all are).
+ */
+export const getTimeAxes = (axisMapping, schema) => {
+  const hierarchyLevels = getTimeLevels(schema);
+  const shown = Object.values(axisMapping).filter(Boolean);
+  const timeLevels = hierarchyLevels.filter(level => shown.includes(level));
+  const yearLevel = timeLevels.find(level => /^(year|yr|fiscal_?year)$/i.test(level)) || null;
+  let message = null;
+  if (timeLevels.length === 0) {
+    message = schema.timeDimension
+      ? `Show ${schema.timeDimension.label} (or another time level) on an axis to compare periods.`
+      : 'The schema has no time dimension; choose one in the schema editor.';
+  } else if (!yearLevel) {
+    message = 'Year-over-year and year-to-date need a year column shown on an axis.';
+  }
+  return { timeLevels, yearLevel, message };
+};
+
+// Whether a mode can run with the time levels on the axes.
+export const isTimeCalculationAvailable = (mode, timeAxes) =>
+  mode === 'none' || (timeAxes.timeLevels.length > 0 && (!TIME_CALCULATIONS[mode].needsYear || Boolean(timeAxes.yearLevel)));
+
+const percentChange = (value, previous) => (previous === 0 ? null : ((value - previous) / Math.abs(previous)) * 100);
+
+/**
+ * Applies a time-intelligence display mode to the cube cells.
+ * @param {Array<Object>} cells - The cells from `aggregateCube`.
+ * @param {Object} axisMapping - The axis mapping the cells were aggregated with.
+ * @param {Object} schema - The cube schema.
+ * @param {{ mode: string, window: number }} settings - The mode, and the number of periods of a moving average.
+ * @returns {Array<Object>} The cells with `value` replaced by the mode's value (null when there is nothing to
+ * compare with) and the original value as `baseValue`; the same array when the mode is off or unavailable.
+ */
+export const applyTimeCalculation = (cells, axisMapping, schema, settings) => {
+  const { mode } = settings;
+  const timeAxes = getTimeAxes(axisMapping, schema);
+  if (!TIME_CALCULATIONS[mode] || mode === 'none' || !isTimeCalculationAvailable(mode, timeAxes)) return cells;
+
+  const { timeLevels, yearLevel } = timeAxes;
+  const otherLevels = [...new Set(Object.values(axisMapping).filter(level => level && !timeLevels.includes(level)))];
+
+  // Every period in the cube, in time order: members ranked level by level, coarsest level first.
+  const ranks = timeLevels.map(level => {
+    const members = sortMembers(schema, level, [...new Set(cells.map(cell => cell[level]))]);
+    return new Map(members.map((member, idx) => [member, idx]));
+  });
+  const periodKey = (cell) => JSON.stringify(timeLevels.map(level => cell[level]));
+  const periods = [...new Map(cells.map(cell => [periodKey(cell), timeLevels.map(level => cell[level])])).values()]
+    .sort((a, b) => {
+      for (let i = 0; i < a.length; i++) {
+        const diff = ranks[i].get(a[i]) - ranks[i].get(b[i]);
+        if (diff !== 0) return diff;
+      }
+      return 0;
+    });
+  const periodIndex = new Map(periods.map((period, idx) => [JSON.stringify(period), idx]));
+
+  // One series per combination of the other axes' members: the cell of each period, by period index.
+  const seriesOf = (cell) => JSON.stringify(otherLevels.map(level => cell[level]));
+  const series = new Map();
+  cells.forEach(cell => {
+    const key = seriesOf(cell);
+    if (!series.has(key)) series.set(key, new Map());
+    series.get(key).set(periodIndex.get(periodKey(cell)), cell);
+  });
+  const valueAt = (cell, idx) => {
+    const other = series.get(seriesOf(cell)).get(idx);
+    return other ? other.value : null;
+  };
+
+  // The same period one year earlier: the year member before this one, with the finer members unchanged.
+  const yearIdx = timeLevels.indexOf(yearLevel);
+  const yearMembers = yearLevel ? [...ranks[yearIdx].keys()] : [];
+  const lastYearIndex = (period) => {
+    const previousYear = yearMembers[ranks[yearIdx].get(period[yearIdx]) - 1];
+    if (previousYear === undefined) return undefined;
+    return periodIndex.get(JSON.stringify(period.map((member, i) => (i === yearIdx ? previousYear : member))));
+  };
+
+  const windowSize = Math.max(1, Math.round(Number(settings.window) || 1));
+  const calculate = (cell) => {
+    const idx = periodIndex.get(periodKey(cell));
+    const period = periods[idx];
+    const { value } = cell;
+    switch (mode) {
+      case 'change':
+      case 'changePct':
+      case 'yoy':
+      case 'yoyPct': {
+        const compareIdx = mode === 'change' || mode === 'changePct' ? idx - 1 : lastYearIndex(period);
+        const previous = compareIdx === undefined || compareIdx < 0 ? null : valueAt(cell, compareIdx);
+        if (value === null || previous === null) return null;
+        return TIME_CALCULATIONS[mode].percent ? percentChange(value, previous) : value - previous;
+      }
+      case 'running':
+      case 'ytd': {
+        // Sum the series from its first period (or the first period of this year) up to this one.
+        let total = null;
+        for (let i = idx; i >= 0; i--) {
+          if (mode === 'ytd' && periods[i][yearIdx] !== period[yearIdx]) break;
+          const v = valueAt(cell, i);
+          if (v !== null) total = (total ?? 0) + v;
+        }
+        return total;
+      }
+      case 'movingAvg': {
+        const values = [];
+        for (let i = Math.max(0, idx - windowSize + 1); i <= idx; i++) {
+          const v = valueAt(cell, i);
+          if (v !== null) values.push(v);
+        }
+        return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+      }
+      default:
+        return value;
+    }
+  };
+
+  return cells.map(cell => ({ ...cell, value: calculate(cell), baseValue: cell.value }));
+};
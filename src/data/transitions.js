@@ -0,0 +1,44 @@
+// This file matches the cube's cells before and after a change, so ThreeDCube can animate between the two states.
+// Cells are identified by their members on the levels shown, whatever axis each level is on, so a pivot moves cells
+// rather than replacing them. Cells of a coarser or finer level are related through the facts they share: on a
+// roll-up the regions of a continent collapse into the continent's cell, and on a drill-down they grow out of it.
+
+import { getAxisMember } from './dataProcessor';
+
+/**
+ * Identifies a cell by its members on the levels shown, independent of the axes they are on.
+ * @param {Function} memberOf - Returns the cell's (or a fact's) member on a level.
+ * @param {Array<string>} levels - The levels shown on the axes.
+ * @returns {string} The key, e.g. '[["quarter","Q1"],["region","North"]]'.
+ */
+export const getCellKey = (memberOf, levels) => JSON.stringify([...levels].sort().map(level => [level, memberOf(level)]));
+
+/**
+ * Relates the cells shown at one set of levels to the cells shown at another, through the facts.
+ * @param {Array<Object>} facts - The facts shown after the change.
+ * @param {Array<string>} fromLevels - The levels shown before the change.
+ * @param {Array<string>} toLevels - The levels shown after the change.
+ * @returns {{ sourceOf: Map<string, string>, targetOf: Map<string, string> }} For a new cell, an old cell sharing its
+ * facts (e.g. the continent a drilled-down region grows out of); for an old cell, a new cell sharing its facts (e.g.
+ * the continent a rolled-up region collapses into). Old cells whose facts were filtered away have no target.
+ */
+export const relateCells = (facts, fromLevels, toLevels) => {
+  const sourceOf = new Map();
+  const targetOf = new Map();
+  // Cells at the same levels match by key (e.g. after a pivot or a slice): there is nothing to relate.
+  const sameLevels = fromLevels.length === toLevels.length && fromLevels.every(level => toLevels.includes(level));
+  if (sameLevels || fromLevels.length === 0 || toLevels.length === 0) return { sourceOf, targetOf };
+  const isBlank = (member) => member === undefined || member === null || member === '';
+  facts.forEach(fact => {
+    const memberOf = (level) => getAxisMember(fact, level);
+    if (fromLevels.some(level => isBlank(memberOf(level))) || toLevels.some(level => isBlank(memberOf(level)))) return;
+    const fromKey = getCellKey(memberOf, fromLevels);
+    const toKey = getCellKey(memberOf, toLevels);
+    if (!sourceOf.has(toKey)) sourceOf.set(toKey, fromKey);
+    if (!targetOf.has(fromKey)) targetOf.set(fromKey, toKey);
+  });
+  return { sourceOf, targetOf };
+};
+
+// Eases an animation's progress (0 to 1): slow start, fast middle, slow end.
+export const easeInOut = (t) => (t < 0.5 ? 4 * t * t * t : 1 - ((-2 * t + 2) ** 3) / 2);
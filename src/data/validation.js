@@ -0,0 +1,71 @@
+// This file validates table rows against per-column rules before they are applied to the cube.
+// Rules live on the schema's columns (e.g. { key: 'region', label: 'Region', rules: { required: true } });
+// columns without rules get defaults by role.
+
+import { getSchemaColumns, isMeasure } from './schema';
+
+// Default rules: dimensions must be filled in (a blank member leaves the row out of the cube's axes),
+// measures must be numbers but may be blank (an empty cell).
+const DEFAULT_DIMENSION_RULES = { required: true, numeric: false, nonNegative: false, allowedValues: [] };
+const DEFAULT_MEASURE_RULES = { required: false, numeric: true, nonNegative: false, allowedValues: [] };
+
+/**
+ * Returns the validation rules of a column: its role's defaults overridden by the column's own `rules`.
+ * Measures are always numeric.
+ * @param {Object} schema - The cube schema.
+ * @param {string} key - The column key.
+ * @returns {{ required: boolean, numeric: boolean, nonNegative: boolean, allowedValues: Array<string> }} The rules.
+ */
+export const getColumnRules = (schema, key) => {
+  const measure = isMeasure(schema, key);
+  const column = (measure ? schema.measures : schema.dimensions).find(c => c.key === key);
+  const rules = { ...(measure ? DEFAULT_MEASURE_RULES : DEFAULT_DIMENSION_RULES), ...(column && column.rules) };
+  return measure ? { ...rules, numeric: true } : rules;
+};
+
+/**
+ * Checks one table cell against its column's rules.
+ * @param {*} value - The cell value, as typed or imported.
+ * @param {Object} rules - The rules from `getColumnRules`.
+ * @returns {string|null} What is wrong with the value, or null when it is valid.
+ */
+export const validateValue = (value, rules) => {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  if (text === '') return rules.required ? 'Required' : null;
+  if (rules.numeric || rules.nonNegative) {
+    const number = Number(text);
+    if (Number.isNaN(number)) return 'Must be a number';
+    if (rules.nonNegative && number < 0) return 'Must not be negative';
+  }
+  if (rules.allowedValues.length > 0 && !rules.allowedValues.includes(text)) {
+    return `Must be one of: ${rules.allowedValues.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Validates table rows against the schema's column rules.
+ * @param {Array<Object>} rows - The table rows.
+ * @param {Object} schema - The cube schema.
+ * @returns {{ errors: Object, problems: Array<{ rowId: *, field: string, label: string, message: string }>, invalidRowCount: number }}
+ * `errors` maps row id to { [field]: message } for highlighting; `problems` lists every error in table order.
+ */
+export const validateRows = (rows, schema) => {
+  const columns = getSchemaColumns(schema).map(key => ({
+    key,
+    label: [...schema.dimensions, ...schema.measures].find(c => c.key === key).label,
+    rules: getColumnRules(schema, key),
+  }));
+  const errors = {};
+  const problems = [];
+  rows.forEach(row => {
+    columns.forEach(({ key, label, rules }) => {
+      const message = validateValue(row[key], rules);
+      if (message) {
+        errors[row.id] = { ...errors[row.id], [key]: message };
+        problems.push({ rowId: row.id, field: key, label, message });
+      }
+    });
+  });
+  return { errors, problems, invalidRowCount: Object.keys(errors).length };
+};
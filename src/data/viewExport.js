@@ -0,0 +1,202 @@
+// This file builds the exports of a whole view: an XLSX report (the crosstab of the axes, the operations and filters
+// that produced it, and the table rows behind it) and a JSON file holding the dataset and view, which can be imported
+// again to restore the exact view. Both start from the facts left by the pipeline's slice, dice and roll-up steps.
+
+import { AGGREGATIONS, describeFilter, getMeasureOptions } from './dataProcessor';
+import { describeOperation, stripOperationIds } from './operationPipeline';
+import { buildColumnHeaders, buildPivotTable } from './pivotTable';
+import { formatMember } from './ranking';
+import { getDimensionLabel, getSchemaColumns, validateSchema } from './schema';
+import { TIME_CALCULATIONS } from './timeIntelligence';
+import { restoreView } from './viewState';
+
+// Identifies view export files, and the version of their shape.
+const EXPORT_FORMAT = 'olap-cube-view';
+const EXPORT_VERSION = 1;
+
+const header = (value) => ({ value, bold: true });
+
+// The crosstab sheet: the Y-axis down the rows and the X- and Z-axes across the columns (as the pivot table lays them
+// out by default), with subtotals and grand totals.
+const buildCrosstabSheet = (facts, { axisMapping, aggregation, measure, schema, memberOrder }) => {
+  const rowLevels = [axisMapping.y].filter(Boolean);
+  const columnLevels = [...new Set([axisMapping.x, axisMapping.z].filter(Boolean))].filter(level => !rowLevels.includes(level));
+  const table = buildPivotTable(facts, { rowLevels, columnLevels, aggregation, measure, schema, memberOrder });
+  const headerRows = buildColumnHeaders(table.columns, columnLevels.length);
+  const rowHeaderSpan = Math.max(rowLevels.length, 1);
+
+  // Header cells are placed at their column; cells they span stay empty.
+  const rows = headerRows.map((cells, depth) => {
+    const row = Array(rowHeaderSpan).fill(null);
+    if (depth === headerRows.length - 1) {
+      rowLevels.forEach((level, i) => { row[i] = header(getDimensionLabel(schema, level)); });
+      if (rowLevels.length === 0) row[0] = header('All');
+    }
+    return row;
+  });
+  headerRows.forEach((cells, depth) => {
+    let column = rowHeaderSpan;
+    cells.forEach(cell => {
+      // A total header spanning several header rows sits on the row it starts on; the rows below already skip it.
+      while (rows[depth][column] !== undefined) column++;
+      rows[depth][column] = header(cell.label);
+      for (let below = depth + 1; below < depth + cell.rowSpan; below++) rows[below][column] = null;
+      for (let i = 1; i < cell.colSpan; i++) rows[depth][column + i] = null;
+      column += cell.colSpan;
+    });
+  });
+
+  table.rows.forEach(row => {
+    let headers;
+    if (row.type === 'total') {
+      headers = [header('Grand Total'), ...Array(rowHeaderSpan - 1).fill(null)];
+    } else if (row.type === 'subtotal') {
+      const depth = row.members.length;
+      headers = [
+        ...row.members.slice(0, depth - 1).map(formatMember),
+        header(`${formatMember(row.members[depth - 1])} Total`),
+        ...Array(rowHeaderSpan - depth).fill(null),
+      ];
+    } else {
+      headers = row.members.map(formatMember);
+    }
+    rows.push([...headers, ...table.columns.map(column => table.getValue(row, column))]);
+  });
+
+  return { name: 'Crosstab', rows, columnWidths: Array(rowHeaderSpan).fill(20) };
+};
+
+// The view sheet: what the values are, which level each axis shows, every pipeline step and the filters in effect.
+const buildViewSheet = ({ datasetName, schema, operations, steps, filters, axisMapping, aggregation, measure, timeCalculation }) => {
+  const measureOption = getMeasureOptions(schema).find(option => option.key === measure) || { label: measure };
+  const timeMode = TIME_CALCULATIONS[timeCalculation.mode] ? timeCalculation.mode : 'none';
+  const rows = [
+    [header('View')],
+    ['Dataset', datasetName],
+    ['Aggregation', (AGGREGATIONS[aggregation] || AGGREGATIONS.sum).label],
+    ['Measure', measureOption.label],
+    ['Time calculation', timeMode === 'movingAvg'
+      ? `${TIME_CALCULATIONS[timeMode].label} (${timeCalculation.window} periods)`
+      : TIME_CALCULATIONS[timeMode].label],
+    ...['x', 'y', 'z'].map(axis => [`${axis.toUpperCase()}-axis`, getDimensionLabel(schema, axisMapping[axis]) || '(none)']),
+    [],
+    [header('Step'), header('Operation'), header('Status')],
+  ];
+  operations.forEach((operation, idx) => {
+    const step = steps.find(s => s.id === operation.id);
+    rows.push([idx + 1, describeOperation(operation, schema), (step && step.note) || 'Applied']);
+  });
+  if (operations.length === 0) rows.push(['', 'No operations (the default view)']);
+  rows.push([], [header('Filter'), header('Condition')]);
+  Object.entries(filters).forEach(([field, condition]) => {
+    const label = getDimensionLabel(schema, field);
+    rows.push([label, describeFilter(label, condition)]);
+  });
+  if (Object.keys(filters).length === 0) rows.push(['', 'No filters (all rows)']);
+  return { name: 'Operations & Filters', rows, columnWidths: [20, 60, 40] };
+};
+
+// The rows sheet: the table rows that remain after the filters, with every schema column.
+const buildRowsSheet = (facts, rawData, schema) => {
+  const rowIds = new Set(facts.map(fact => fact.rowId));
+  const columns = getSchemaColumns(schema);
+  const labelOf = (key) => ([...schema.dimensions, ...schema.measures].find(column => column.key === key) || { label: key }).label;
+  return {
+    name: 'Rows',
+    rows: [
+      columns.map(key => header(labelOf(key))),
+      ...rawData.filter(row => rowIds.has(row.id)).map(row => columns.map(key => row[key])),
+    ],
+  };
+};
+
+/**
+ * Builds the sheets of the XLSX report of a view, for `createWorkbook`: the crosstab of the current axes, the
+ * operations and filters applied, and the underlying table rows.
+ * @param {Object} view - The view and the data behind it.
+ * @param {string} view.datasetName - The name of the dataset.
+ * @param {Array<Object>} view.rawData - The table rows.
+ * @param {Object} view.schema - The cube schema.
+ * @param {Array<Object>} view.facts - The facts after the pipeline (and rankings).
+ * @param {Array<Object>} view.operations - The operation pipeline.
+ * @param {Array<{ id: number, note: string|null }>} view.steps - The pipeline's step notes, from `evaluatePipeline`.
+ * @param {Object} view.filters - The filters in effect, from `evaluatePipeline`.
+ * @param {Object} view.axisMapping - The level shown on each axis.
+ * @param {Object} [view.memberOrder] - The member order of ranked levels, from `applyRankings`.
+ * @param {string} view.aggregation - The aggregation function key.
+ * @param {string} view.measure - The measure shown.
+ * @param {{ mode: string, window: number }} view.timeCalculation - The time calculation shown.
+ * @returns {Array<{ name: string, rows: Array<Array<*>>, columnWidths?: Array<number> }>} The sheets.
+ */
+export const buildReportSheets = (view) => [
+  buildCrosstabSheet(view.facts, view),
+  buildViewSheet(view),
+  buildRowsSheet(view.facts, view.rawData, view.schema),
+];
+
+/**
+ * Describes a view as a JSON file that `parseViewExport` can read back: the dataset (schema and rows), the view
+ * (pipeline, aggregation, measure, time calculation, cell glyphs and camera) and the aggregated cells it shows.
+ * @param {Object} options - What to export.
+ * @param {{ name: string, schema: Object, rows: Array<Object> }} options.dataset - The dataset.
+ * @param {Object} options.view - The view, as for `encodeViewState`.
+ * @param {Object} options.axisMapping - The level shown on each axis (for readers of the file; it follows from the pipeline).
+ * @param {Array<Object>} options.cells - The cells shown, as displayed.
+ * @returns {string} The JSON text.
+ */
+export const createViewExport = ({ dataset, view, axisMapping, cells }) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  dataset: { name: dataset.name, schema: dataset.schema, rows: dataset.rows },
+  view: {
+    operations: stripOperationIds(view.operations),
+    aggregation: view.aggregation,
+    measure: view.measure,
+    timeCalculation: view.timeCalculation,
+    glyph: view.glyph,
+    camera: view.camera,
+    axisMapping,
+  },
+  cells,
+}, null, 2);
+
+/**
+ * Reads a JSON file written by `createViewExport`.
+ * @param {string} text - The file contents.
+ * @returns {{ dataset: { name: string, schema: Object, rows: Array<Object> }|null, view: Object|null, error: string|null }}
+ * The dataset and the view (with fresh operation ids), or an error message when the file can't be used.
+ */
+export const parseViewExport = (text) => {
+  const fail = (error) => ({ dataset: null, view: null, error });
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (error) {
+    return fail(`The file is not valid JSON: ${error.message}`);
+  }
+  if (!payload || payload.format !== EXPORT_FORMAT) return fail('The file is not an exported cube view.');
+  if (payload.version !== EXPORT_VERSION) return fail(`Unsupported view export version: ${payload.version}.`);
+  const { dataset, view } = payload;
+  if (!dataset || typeof dataset !== 'object') return fail('The file has no dataset.');
+  const schemaProblem = validateSchema(dataset.schema);
+  if (schemaProblem) return fail(schemaProblem);
+  if (!Array.isArray(dataset.rows)) return fail('The file has no dataset rows.');
+  // Table rows are plain objects with a numeric id of their own, which the data table edits them by (and counts on
+  // from for new rows).
+  const ids = new Set();
+  const badRow = dataset.rows.findIndex(row => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) return true;
+    const valid = Number.isFinite(row.id) && !ids.has(row.id);
+    ids.add(row.id);
+    return !valid;
+  });
+  if (badRow !== -1) return fail(`Row ${badRow + 1} of the dataset has no numeric id of its own.`);
+  if (!view || typeof view !== 'object' || !Array.isArray(view.operations)) return fail('The file has no view to restore.');
+  return {
+    dataset: { name: String(dataset.name || 'Imported view'), schema: dataset.schema, rows: dataset.rows },
+    // Steps and settings that don't fit the schema are left out (see `restoreView`).
+    view: restoreView(view, dataset.schema),
+    error: null,
+  };
+};
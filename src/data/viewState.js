@@ -0,0 +1,122 @@
+// This file serializes the current cube view (operation pipeline, aggregation, measure, time calculation, cell glyphs and
+// camera) to and from a compact string, so a view can live in the URL and be bookmarked or shared.
+
+import { restoreOperations, stripOperationIds, validateOperation } from './operationPipeline';
+import { AGGREGATIONS, BASE_MEASURE, getMeasureOptions } from './dataProcessor';
+import { DEFAULT_TIME_CALCULATION, TIME_CALCULATIONS } from './timeIntelligence';
+import { DEFAULT_GLYPH_SETTINGS, GLYPH_SHAPES } from './glyphs';
+
+// The URL hash parameter holding the encoded view, e.g. '#view=eyJ2Ijox...'.
+const HASH_PARAM = 'view';
+// Bumped if the encoded shape ever changes, so old links can be recognized.
+const FORMAT_VERSION = 1;
+
+// Base64url-encodes a string (UTF-8 safe, no padding), so member names like 'Île-de-France' survive.
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+// Rounds camera coordinates so links stay short.
+const roundVector = (vector) => vector.map(n => Math.round(n * 100) / 100);
+
+const isVector = (vector) => Array.isArray(vector) && vector.length === 3 && vector.every(Number.isFinite);
+
+/**
+ * Restores a view read from outside the app (a shared link or an imported file) for a schema. Steps that don't fit
+ * the schema are left out with a warning, and settings that aren't valid fall back to their defaults, so a damaged or
+ * hand-edited view can't break the app.
+ * @param {Object} stored - The view: { operations (without ids), aggregation, measure, timeCalculation, glyph, camera }.
+ * @param {Object} schema - The cube schema the view will be shown with.
+ * @returns {{ operations: Array<Object>, aggregation: string, measure: string, timeCalculation: Object, glyph: Object,
+ *   camera: Object|null }} The view, with fresh operation ids.
+ */
+export const restoreView = ({ operations, aggregation, measure, timeCalculation, glyph, camera }, schema) => {
+  const steps = (Array.isArray(operations) ? operations : []).filter((operation, idx) => {
+    const problem = validateOperation(operation, schema);
+    if (problem) console.warn(`Ignoring step ${idx + 1} of the view: ${problem}`);
+    return !problem;
+  });
+  const measureKeys = getMeasureOptions(schema).map(m => m.key);
+  const validTime = timeCalculation && TIME_CALCULATIONS[timeCalculation.mode] &&
+    Number.isInteger(timeCalculation.window) && timeCalculation.window >= 1;
+  const validGlyph = glyph && GLYPH_SHAPES[glyph.shape] && Array.isArray(glyph.measures);
+  return {
+    operations: restoreOperations(steps),
+    aggregation: AGGREGATIONS[aggregation] ? aggregation : 'sum',
+    measure: measureKeys.includes(measure) ? measure : BASE_MEASURE,
+    timeCalculation: validTime ? { mode: timeCalculation.mode, window: timeCalculation.window } : DEFAULT_TIME_CALCULATION,
+    glyph: validGlyph ? { shape: glyph.shape, measures: glyph.measures.filter(key => measureKeys.includes(key)) } : DEFAULT_GLYPH_SETTINGS,
+    camera: camera && isVector(camera.position) && isVector(camera.target) ? { position: camera.position, target: camera.target } : null,
+  };
+};
+
+/**
+ * Encodes a view as a URL hash.
+ * @param {Object} view - The view to encode.
+ * @param {Array<Object>} view.operations - The operation pipeline (ids are dropped).
+ * @param {string} view.aggregation - The aggregation function key.
+ * @param {string} [view.measure] - The measure shown: the base value (left out of the hash) or a calculated measure's key.
+ * @param {{ mode: string, window: number }} [view.timeCalculation] - The time calculation shown (left out when off).
+ * @param {{ shape: string, measures: Array<string> }} [view.glyph] - The cell glyphs (left out for plain blocks).
+ * @param {{ position: Array<number>, target: Array<number> }|null} [view.camera] - The camera position and orbit target.
+ * @returns {string} The hash, including the leading '#'.
+ */
+export const encodeViewState = ({ operations, aggregation, measure, timeCalculation, glyph, camera }) => {
+  const payload = {
+    v: FORMAT_VERSION,
+    ops: stripOperationIds(operations),
+    agg: aggregation,
+  };
+  if (measure && measure !== BASE_MEASURE) {
+    payload.ms = measure;
+  }
+  if (timeCalculation && timeCalculation.mode !== 'none') {
+    payload.tc = { m: timeCalculation.mode, w: timeCalculation.window };
+  }
+  if (glyph && glyph.shape !== 'block') {
+    payload.gl = { s: glyph.shape, m: glyph.measures };
+  }
+  if (camera) {
+    payload.cam = { p: roundVector(camera.position), t: roundVector(camera.target) };
+  }
+  return `#${HASH_PARAM}=${toBase64Url(JSON.stringify(payload))}`;
+};
+
+/**
+ * Decodes a view from a URL hash produced by `encodeViewState`, for a schema (see `restoreView`).
+ * @param {string} hash - The URL hash, e.g. window.location.hash.
+ * @param {Object} schema - The cube schema the view will be shown with.
+ * @returns {{ operations: Array<Object>, aggregation: string, measure: string, timeCalculation: Object, glyph: Object,
+ *   camera: Object|null }|null}
+ * The view, with fresh operation ids, or null when the hash holds no (readable) view.
+ */
+export const decodeViewState = (hash, schema) => {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const encoded = params.get(HASH_PARAM);
+  if (!encoded) return null;
+  try {
+    const payload = JSON.parse(fromBase64Url(encoded));
+    if (!payload || payload.v !== FORMAT_VERSION || !Array.isArray(payload.ops)) return null;
+    const { tc, gl, cam } = payload;
+    return restoreView({
+      operations: payload.ops,
+      aggregation: payload.agg,
+      measure: payload.ms || BASE_MEASURE,
+      timeCalculation: tc ? { mode: tc.m, window: tc.w } : DEFAULT_TIME_CALCULATION,
+      glyph: gl ? { shape: gl.s, measures: gl.m } : DEFAULT_GLYPH_SETTINGS,
+      camera: cam ? { position: cam.p, target: cam.t } : null,
+    }, schema);
+  } catch (error) {
+    console.warn(`Ignoring unreadable view in URL: ${error.message}`);
+    return null;
+  }
+};
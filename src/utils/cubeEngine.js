@@ -0,0 +1,86 @@
+// Browser side of the cube engine: starts the worker (see workers/cubeEngine.worker.js) and turns its messages into
+// promises. Every request can report progress and be cancelled with an AbortSignal.
+
+const abortError = () => {
+  const error = new Error('The request was cancelled.');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Starts a cube engine in a worker. Requests are answered in the background; a load replaces the engine's data
+ * once it is built, and later queries run on it.
+ * @returns {{ load: Function, queryView: Function, queryPivot: Function, describeCell: Function, buildReport: Function,
+ * terminate: Function }} The engine's requests. Each takes its parameters and options { signal, onProgress }, where
+ * `onProgress` is called with { progress (0 to 1), stage } during long work, and returns a promise of the answer
+ * that rejects with an 'AbortError' when the signal aborts.
+ */
+export const createCubeEngine = () => {
+  const worker = new Worker(new URL('../workers/cubeEngine.worker.js', import.meta.url), { type: 'module' });
+  // The requests waiting for an answer, by id.
+  const pending = new Map();
+  let nextRequestId = 1;
+
+  const settle = (id) => {
+    const request = pending.get(id);
+    pending.delete(id);
+    if (request && request.signal) request.signal.removeEventListener('abort', request.handleAbort);
+    return request;
+  };
+
+  worker.onmessage = ({ data: message }) => {
+    const request = pending.get(message.id);
+    if (!request) return;
+    if (message.type === 'progress') {
+      if (request.onProgress) request.onProgress({ progress: message.progress, stage: message.stage });
+      return;
+    }
+    settle(message.id);
+    if (message.type === 'result') request.resolve(message.result);
+    else if (message.type === 'cancelled') request.reject(abortError());
+    else request.reject(new Error(message.message));
+  };
+
+  // A worker that failed to start or crashed answers nothing more.
+  worker.onerror = (event) => {
+    const error = new Error(`The cube engine stopped${event.message ? `: ${event.message}` : ''}.`);
+    [...pending.keys()].forEach(id => settle(id).reject(error));
+  };
+
+  const request = (type, payload, { signal, onProgress } = {}) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const id = nextRequestId++;
+    // An aborted request settles at once; the worker stops it at its next chance and its answer is ignored.
+    const handleAbort = () => {
+      settle(id);
+      worker.postMessage({ type: 'cancel', id });
+      reject(abortError());
+    };
+    pending.set(id, { resolve, reject, onProgress, signal, handleAbort });
+    if (signal) signal.addEventListener('abort', handleAbort);
+    worker.postMessage({ id, type, payload });
+  });
+
+  return {
+    // Builds the column store of a dataset: resolves with { factCount, fieldValues, dataQuality }.
+    load: (rows, schema, options) => request('load', { rows, schema }, options),
+    // Evaluates a view { operations, aggregation, measure, measures, relateFrom }: resolves with { axisMapping,
+    // filters, rankings, steps, memberOrder, cells, relations, factCount }.
+    queryView: (query, options) => request('view', query, options),
+    // Builds a view's pivot table { ...view, rowLevels, columnLevels, sort, limit }: resolves with { rows, columns,
+    // values, rowCount }, where values[i][j] is the value of row i in column j.
+    queryPivot: (query, options) => request('pivot', query, options),
+    // The details of a cell of a view { ...view, cell }, as from `describeCell`.
+    describeCell: (query, options) => request('describeCell', query, options),
+    // The XLSX report of a view { ...view, datasetName, timeCalculation }, as a Uint8Array.
+    buildReport: (query, options) => request('report', query, options),
+    // Stops the worker; requests still waiting are cancelled.
+    terminate: () => {
+      worker.terminate();
+      [...pending.keys()].forEach(id => settle(id).reject(abortError()));
+    },
+  };
+};
@@ -0,0 +1,20 @@
+// Small browser helpers for saving generated content as a file.
+
+/**
+ * Triggers a browser download of the given content.
+ * @param {string} filename - The suggested file name, e.g. 'cube-view.csv'.
+ * @param {string|Blob} content - The file contents.
+ * @param {string} [mimeType='text/plain'] - The MIME type used when `content` is a string.
+ */
+export const downloadFile = (filename, content, mimeType = 'text/plain') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the object URL.
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
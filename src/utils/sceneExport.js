@@ -0,0 +1,111 @@
+// Browser helpers for exporting the 3D view as a glTF model that other 3D tools can open.
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+
+// Resolution of label textures, in pixels per scene unit, and the largest texture side.
+const LABEL_PIXELS_PER_UNIT = 64;
+const MAX_LABEL_TEXTURE = 2048;
+
+// Whether an object is a text label (a troika text mesh, as drawn by drei's <Text>).
+const isTextLabel = (object) => typeof object.text === 'string' && Boolean(object.textRenderInfo);
+
+// Turns a text label into a plane textured with its text, at the label's place in the scene. Text meshes are drawn
+// by a shader that other tools don't have, so their glyph geometry would not show there.
+const createLabelPlane = (label) => {
+  const [minX, minY, maxX, maxY] = label.textRenderInfo.blockBounds;
+  const width = maxX - minX;
+  const height = maxY - minY;
+  if (!(width > 0 && height > 0)) return null;
+
+  const pixels = Math.min(LABEL_PIXELS_PER_UNIT, MAX_LABEL_TEXTURE / width, MAX_LABEL_TEXTURE / height);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(width * pixels);
+  canvas.height = Math.ceil(height * pixels);
+  const context = canvas.getContext('2d');
+  context.fillStyle = `#${new THREE.Color(label.color).getHexString()}`;
+  context.font = `${label.fontSize * pixels}px sans-serif`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(label.text, canvas.width / 2, canvas.height / 2, canvas.width);
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+
+  const plane = new THREE.Mesh(
+    new THREE.PlaneGeometry(width, height),
+    new THREE.MeshBasicMaterial({ map: texture, transparent: true, side: THREE.DoubleSide })
+  );
+  plane.name = label.text;
+  label.matrixWorld.decompose(plane.position, plane.quaternion, plane.scale);
+  plane.position.copy(new THREE.Vector3((minX + maxX) / 2, (minY + maxY) / 2, 0).applyMatrix4(label.matrixWorld));
+  return plane;
+};
+
+/**
+ * Builds a plain copy of the cube scene for export: one mesh per cell (or glyph segment), named after the cell's
+ * members when the instanced mesh lists them in `userData.names`, sharing a material per color, and one textured
+ * plane per text label. Wireframe empty cells, cells fading out, outlines, lights and tooltips are left out.
+ * @param {THREE.Scene} scene - The rendered scene.
+ * @returns {THREE.Group} The export scene.
+ */
+export const buildExportScene = (scene) => {
+  const root = new THREE.Group();
+  root.name = 'OLAP cube';
+  const materials = new Map();
+  const materialFor = (color) => {
+    const hex = color.getHexString();
+    if (!materials.has(hex)) materials.set(hex, new THREE.MeshStandardMaterial({ color: color.clone(), name: `#${hex}` }));
+    return materials.get(hex);
+  };
+
+  scene.updateMatrixWorld(true);
+  scene.traverseVisible(object => {
+    if (object.isInstancedMesh) {
+      if (object.material.wireframe || object.material.transparent) return;
+      const matrix = new THREE.Matrix4();
+      const color = new THREE.Color(1, 1, 1);
+      const names = object.userData.names || [];
+      for (let i = 0; i < object.count; i++) {
+        object.getMatrixAt(i, matrix);
+        if (object.instanceColor) object.getColorAt(i, color);
+        const mesh = new THREE.Mesh(object.geometry, materialFor(color));
+        mesh.name = names[i] || `cell ${i + 1}`;
+        mesh.applyMatrix4(matrix.premultiply(object.matrixWorld));
+        root.add(mesh);
+      }
+    } else if (isTextLabel(object)) {
+      const plane = createLabelPlane(object);
+      if (plane) root.add(plane);
+    }
+  });
+  return root;
+};
+
+// Frees the textures and materials created for an export scene (geometries of cells belong to the live scene).
+const disposeExportScene = (root) => {
+  root.traverse(object => {
+    if (!object.isMesh) return;
+    if (object.material.map) {
+      object.material.map.dispose();
+      object.geometry.dispose();
+    }
+    object.material.dispose();
+  });
+};
+
+/**
+ * Exports the cube scene as glTF.
+ * @param {THREE.Scene} scene - The rendered scene.
+ * @param {boolean} binary - Export a single .glb file instead of a .gltf JSON file with embedded data.
+ * @returns {Promise<Blob>} The file.
+ */
+export const exportSceneAsGltf = async (scene, binary) => {
+  const root = buildExportScene(scene);
+  try {
+    const result = await new GLTFExporter().parseAsync(root, { binary });
+    return binary
+      ? new Blob([result], { type: 'model/gltf-binary' })
+      : new Blob([JSON.stringify(result)], { type: 'model/gltf+json' });
+  } finally {
+    disposeExportScene(root);
+  }
+};
@@ -0,0 +1,152 @@
+// Browser helpers for snapshots of the 3D view: rendering the scene at a chosen size, and composing the render with
+// an overlay of the title and color legend into a PNG or an SVG file.
+import * as THREE from 'three';
+
+// Escapes text for use in SVG markup.
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Renders the scene once at the given size and returns it as a PNG data URL. The renderer and camera are restored
+ * afterwards, so the on-screen view is unchanged. Sizes beyond what the GPU can render are scaled down.
+ * @param {Object} three - The react-three-fiber state ({ gl, scene, camera }).
+ * @param {Object} options - The snapshot size and background.
+ * @param {number} options.width - Width in pixels.
+ * @param {number} options.height - Height in pixels.
+ * @param {boolean} options.transparent - Leave the background transparent instead of white.
+ * @returns {{ dataUrl: string, width: number, height: number }} The image and its actual size.
+ */
+export const renderSceneImage = ({ gl, scene, camera }, { width, height, transparent }) => {
+  const limit = gl.capabilities.maxTextureSize;
+  const shrink = Math.min(1, limit / width, limit / height);
+  const targetWidth = Math.floor(width * shrink);
+  const targetHeight = Math.floor(height * shrink);
+
+  const previousSize = gl.getSize(new THREE.Vector2());
+  const previousPixelRatio = gl.getPixelRatio();
+  const previousClearColor = gl.getClearColor(new THREE.Color());
+  const previousClearAlpha = gl.getClearAlpha();
+  const previousAspect = camera.aspect;
+  try {
+    gl.setPixelRatio(1);
+    gl.setSize(targetWidth, targetHeight, false);
+    if (camera.isPerspectiveCamera) {
+      camera.aspect = targetWidth / targetHeight;
+      camera.updateProjectionMatrix();
+    }
+    gl.setClearColor(0xffffff, transparent ? 0 : 1);
+    gl.render(scene, camera);
+    // Read back right after rendering, before the drawing buffer is cleared for the next frame.
+    return { dataUrl: gl.domElement.toDataURL('image/png'), width: targetWidth, height: targetHeight };
+  } finally {
+    gl.setClearColor(previousClearColor, previousClearAlpha);
+    gl.setPixelRatio(previousPixelRatio);
+    gl.setSize(previousSize.x, previousSize.y, false);
+    if (camera.isPerspectiveCamera) {
+      camera.aspect = previousAspect;
+      camera.updateProjectionMatrix();
+    }
+    gl.render(scene, camera);
+  }
+};
+
+/**
+ * Builds the overlay drawn over a snapshot: the title centered at the top and the color legend in the top-right
+ * corner, sized relative to the image.
+ * @param {Object} options - What to draw.
+ * @param {number} options.width - Image width in pixels.
+ * @param {string} options.title - The title, e.g. 'Sum of values'.
+ * @param {Object} options.scale - The color scale from `createColorScale`.
+ * @param {Function} options.format - Formats a value for the legend.
+ * @param {{ label: string, segments: Array<{ label: string, color: string }> }|null} options.glyphKey - What the cell
+ * glyphs show besides color, as in the legend.
+ * @returns {string} SVG elements (without the enclosing <svg>).
+ */
+export const buildOverlaySvg = ({ width, title, scale, format, glyphKey }) => {
+  const unit = Math.max(1, width / 1200);
+  const font = `font-family="sans-serif" fill="#374151"`;
+  const parts = [
+    `<text x="${width / 2}" y="${36 * unit}" text-anchor="middle" font-size="${24 * unit}" font-weight="bold" ${font}>${escapeXml(title)}</text>`,
+  ];
+
+  const boxWidth = 240 * unit;
+  const x = width - boxWidth - 16 * unit;
+  const lineHeight = 20 * unit;
+  let y = 16 * unit + lineHeight;
+  const body = [];
+  const swatch = (color, label) => {
+    body.push(`<rect x="${x + 12 * unit}" y="${y - 12 * unit}" width="${14 * unit}" height="${14 * unit}" fill="${color}"/>`);
+    body.push(`<text x="${x + 32 * unit}" y="${y}" font-size="${13 * unit}" ${font}>${escapeXml(label)}</text>`);
+    y += lineHeight;
+  };
+  body.push(`<text x="${x + 12 * unit}" y="${y}" font-size="${14 * unit}" font-weight="bold" ${font}>${escapeXml(title)}</text>`);
+  y += lineHeight;
+  if (scale.type === 'categorical') {
+    scale.bins.forEach(bin => swatch(bin.color, `${format(bin.from)} – ${format(bin.to)}`));
+  } else {
+    const stops = scale.gradient
+      .map((color, idx) => `<stop offset="${idx / (scale.gradient.length - 1)}" stop-color="${color}"/>`)
+      .join('');
+    body.push(`<defs><linearGradient id="legend-gradient">${stops}</linearGradient></defs>`);
+    body.push(`<rect x="${x + 12 * unit}" y="${y - 12 * unit}" width="${boxWidth - 24 * unit}" height="${12 * unit}" fill="url(#legend-gradient)"/>`);
+    y += lineHeight;
+    const [min, max] = scale.domain;
+    body.push(`<text x="${x + 12 * unit}" y="${y}" font-size="${13 * unit}" ${font}>${scale.clipped ? '≤ ' : ''}${escapeXml(format(min))}</text>`);
+    body.push(`<text x="${x + boxWidth - 12 * unit}" y="${y}" text-anchor="end" font-size="${13 * unit}" ${font}>${scale.clipped ? '≥ ' : ''}${escapeXml(format(max))}</text>`);
+    y += lineHeight;
+  }
+  if (glyphKey) {
+    body.push(`<text x="${x + 12 * unit}" y="${y}" font-size="${13 * unit}" ${font}>${escapeXml(glyphKey.label)}</text>`);
+    y += lineHeight;
+    glyphKey.segments.forEach(segment => swatch(segment.color, segment.label));
+  }
+  parts.push(`<rect x="${x}" y="${16 * unit}" width="${boxWidth}" height="${y - 16 * unit}" rx="${8 * unit}" fill="white" fill-opacity="0.9" stroke="#e5e7eb"/>`);
+  return [...parts, ...body].join('');
+};
+
+const wrapSvg = (width, height, content) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${content}</svg>`;
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('The snapshot image could not be drawn.'));
+  image.src = src;
+});
+
+/**
+ * Composes a rendered image and an optional overlay into a PNG.
+ * @param {{ dataUrl: string, width: number, height: number }} image - The render, from `renderSceneImage`.
+ * @param {string|null} overlay - SVG elements from `buildOverlaySvg`, or null for the render alone.
+ * @returns {Promise<Blob>} The PNG file.
+ */
+export const createPngSnapshot = async (image, overlay) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const context = canvas.getContext('2d');
+  context.drawImage(await loadImage(image.dataUrl), 0, 0);
+  if (overlay) {
+    const svg = wrapSvg(image.width, image.height, overlay);
+    context.drawImage(await loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`), 0, 0);
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The PNG could not be created.'))), 'image/png');
+  });
+};
+
+/**
+ * Composes a rendered image and an optional overlay into an SVG file: the render is embedded as an image, while the
+ * title and legend stay text and shapes that can be edited in a vector editor.
+ * @param {{ dataUrl: string, width: number, height: number }} image - The render, from `renderSceneImage`.
+ * @param {string|null} overlay - SVG elements from `buildOverlaySvg`, or null for the render alone.
+ * @returns {string} The SVG markup.
+ */
+export const createSvgSnapshot = (image, overlay) => wrapSvg(
+  image.width,
+  image.height,
+  `<image width="${image.width}" height="${image.height}" href="${image.dataUrl}" xlink:href="${image.dataUrl}"/>${overlay || ''}`
+);
@@ -0,0 +1,121 @@
+// A small XLSX (Office Open XML spreadsheet) writer for reports: plain sheets of text and numbers with bold header
+// cells, packed with the ZIP writer. Strings are written inline, so no shared string table is needed.
+import { createZip } from './zip';
+
+// Characters Excel doesn't allow in sheet names, and its length limit.
+const INVALID_SHEET_NAME = /[[\]:*?/\\]/g;
+const MAX_SHEET_NAME = 31;
+
+// Escapes text for XML, dropping control characters that XML can't hold.
+const escapeXml = (text) => String(text)
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// The column letters of a zero-based column index, e.g. 0 → 'A', 27 → 'AB'.
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Makes sheet names valid and unique: invalid characters are dropped and repeated names numbered.
+const getSheetNames = (sheets) => {
+  const used = new Set();
+  return sheets.map(({ name }, idx) => {
+    const base = String(name || `Sheet${idx + 1}`).replace(INVALID_SHEET_NAME, '').trim().slice(0, MAX_SHEET_NAME) || `Sheet${idx + 1}`;
+    let unique = base;
+    for (let n = 2; used.has(unique.toLowerCase()); n++) {
+      unique = `${base.slice(0, MAX_SHEET_NAME - String(n).length - 1)} ${n}`;
+    }
+    used.add(unique.toLowerCase());
+    return unique;
+  });
+};
+
+// One cell's XML. Numbers stay numbers; anything else is written as text. Empty cells are left out.
+const cellXml = (cell, ref) => {
+  const { value, bold } = cell !== null && typeof cell === 'object' ? cell : { value: cell, bold: false };
+  if (value === undefined || value === null || value === '') return '';
+  const style = bold ? ' s="1"' : '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+  }
+  return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const sheetXml = ({ rows, columnWidths = [] }) => {
+  const cols = columnWidths.length > 0
+    ? `<cols>${columnWidths.map((width, idx) => `<col min="${idx + 1}" max="${idx + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+    : '';
+  const data = rows.map((row, rowIdx) => {
+    const cells = row.map((cell, colIdx) => cellXml(cell, `${columnName(colIdx)}${rowIdx + 1}`)).join('');
+    return `<row r="${rowIdx + 1}">${cells}</row>`;
+  }).join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `${cols}<sheetData>${data}</sheetData></worksheet>`;
+};
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+  '</styleSheet>';
+
+/**
+ * Builds an XLSX workbook.
+ * @param {Array<{ name: string, rows: Array<Array<*>>, columnWidths?: Array<number> }>} sheets - The sheets, in order.
+ * Each row is a list of cells: a number, a string (other values are written as text), null for an empty cell, or
+ * { value, bold } for a bold (header) cell. Column widths are in characters.
+ * @returns {Uint8Array} The workbook file.
+ */
+export const createWorkbook = (sheets) => {
+  const names = getSheetNames(sheets);
+  const sheetEntries = sheets.map((sheet, idx) => ({ name: `xl/worksheets/sheet${idx + 1}.xml`, content: sheetXml(sheet) }));
+
+  const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    sheetEntries.map(({ name }) =>
+      `<Override PartName="/${name}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    ).join('') +
+    '</Types>';
+  const rootRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>';
+  const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+    names.map((name, idx) => `<sheet name="${escapeXml(name)}" sheetId="${idx + 1}" r:id="rId${idx + 1}"/>`).join('') +
+    '</sheets></workbook>';
+  const workbookRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    names.map((_, idx) =>
+      `<Relationship Id="rId${idx + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${idx + 1}.xml"/>`
+    ).join('') +
+    `<Relationship Id="rId${names.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+    '</Relationships>';
+
+  return createZip([
+    { name: '[Content_Types].xml', content: contentTypes },
+    { name: '_rels/.rels', content: rootRels },
+    { name: 'xl/workbook.xml', content: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+    { name: 'xl/styles.xml', content: STYLES_XML },
+    ...sheetEntries,
+  ]);
+};
@@ -0,0 +1,254 @@
+// This worker is the cube engine: it holds the active dataset in a column store (see data/columnStore.js) and answers
+// the app's queries off the main thread — the cells of a view, a pivot table, the details of a cell and the XLSX
+// report — so building or re-aggregating a large cube doesn't freeze the page. Filtered selections, evaluated views
+// and aggregated cells are cached, so undoing a step or switching back to a measure answers at once. Long requests
+// report progress and stop between chunks of work when the app cancels them. The app talks to it through
+// utils/cubeEngine.js.
+
+import {
+  aggregateSelection,
+  buildColumnStore,
+  canAggregateColumns,
+  filterSelection,
+  getSelectedFacts,
+  relateSelection,
+  selectAll,
+} from '../data/columnStore';
+import { aggregateCube, assessDataQuality, describeCell } from '../data/dataProcessor';
+import { evaluatePipeline, stripOperationIds } from '../data/operationPipeline';
+import { buildPivotTable } from '../data/pivotTable';
+import { applyRankings } from '../data/ranking';
+import { sortMembers } from '../data/schema';
+import { relateCells } from '../data/transitions';
+import { buildReportSheets } from '../data/viewExport';
+import { createWorkbook } from '../utils/xlsx';
+
+// How many filtered selections, evaluated views and sets of cells are kept for reuse.
+const MAX_CACHED_SELECTIONS = 30;
+const MAX_CACHED_VIEWS = 20;
+const MAX_CACHED_CELLS = 40;
+// Requests finishing sooner than this (in ms) don't report progress, so quick queries don't flash a progress bar.
+const PROGRESS_DELAY = 250;
+
+// The loaded dataset: its rows and schema, its column store and the caches built on it. A load replaces it as a
+// whole once the new store is built, so a request running meanwhile finishes on the data it started with.
+let dataset = null;
+// Ids of the requests running, and of those the app cancelled.
+const running = new Set();
+const cancelled = new Set();
+
+// Reads and writes a Map used as a cache of limited size, dropping the least recently used entry.
+const recall = (cache, key) => {
+  if (!cache.has(key)) return undefined;
+  const value = cache.get(key);
+  cache.delete(key);
+  cache.set(key, value);
+  return value;
+};
+
+const remember = (cache, key, value, limit) => {
+  cache.set(key, value);
+  if (cache.size > limit) cache.delete(cache.keys().next().value);
+  return value;
+};
+
+// The progress reporting and cancellation of a request, for the column store's chunked work.
+const createTask = (id) => {
+  const startedAt = Date.now();
+  return {
+    checkpoint: async (progress, stage) => {
+      if (Date.now() - startedAt >= PROGRESS_DELAY) self.postMessage({ id, type: 'progress', progress, stage });
+      // Letting other messages in is what lets a cancel arrive.
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (cancelled.has(id)) {
+        const error = new Error('The request was cancelled.');
+        error.name = 'AbortError';
+        throw error;
+      }
+    },
+  };
+};
+
+// Filters a selection on one field, reusing the result of an earlier request with the same filters before it. Each
+// selection is keyed by the filters that produced it.
+const filterCached = (data, selection, field, condition) => {
+  const key = `${data.selectionKeys.get(selection)}|${JSON.stringify([field, condition])}`;
+  let filtered = recall(data.selections, key);
+  if (!filtered) {
+    filtered = remember(data.selections, key, filterSelection(data.store, selection, field, condition), MAX_CACHED_SELECTIONS);
+    if (!data.selectionKeys.has(filtered)) data.selectionKeys.set(filtered, key);
+  }
+  return filtered;
+};
+
+// Evaluates a view's pipeline over the column store, and its rankings over the facts. Views are cached by their
+// operations (without ids) and aggregation, which the rankings depend on.
+const resolveView = (data, operations, aggregation) => {
+  const key = JSON.stringify([stripOperationIds(operations), aggregation]);
+  const cached = recall(data.views, key);
+  if (cached) return cached;
+
+  const pipeline = evaluatePipeline(data.all, operations, data.schema, {
+    slice: (selection, dimension, value) => filterCached(data, selection, dimension, value),
+    dice: (selection, filters) =>
+      Object.entries(filters || {}).reduce((selected, [field, condition]) => filterCached(data, selected, field, condition), selection),
+  });
+  const view = { key, pipeline, selection: pipeline.facts, facts: null, memberOrder: {}, limited: false };
+  if (Object.keys(pipeline.rankings).length > 0) {
+    const facts = getSelectedFacts(data.store, pipeline.facts);
+    const ranked = applyRankings(facts, pipeline.axisMapping, pipeline.rankings, { aggregation, schema: data.schema });
+    // Top/bottom N limits (and "Others") change the facts, which are then kept; an order alone keeps the selection.
+    view.memberOrder = ranked.memberOrder;
+    view.limited = ranked.facts !== facts;
+    if (view.limited) view.facts = ranked.facts;
+  }
+  return remember(data.views, key, view, MAX_CACHED_VIEWS);
+};
+
+// The facts of a view, for the helpers that work on fact objects. They are rebuilt from the column store, and only
+// the last selection's are kept, so hovering cells of the same view doesn't rebuild them each time.
+const factsOf = (data, view) => {
+  if (view.facts) return view.facts;
+  if (!data.facts || data.facts.selection !== view.selection) {
+    data.facts = { selection: view.selection, facts: getSelectedFacts(data.store, view.selection) };
+  }
+  return data.facts.facts;
+};
+
+// The pipeline's step notes carry the ids of the request's operations (a cached view may have been evaluated for
+// the same operations with other ids).
+const stepsOf = (view, operations) => view.pipeline.steps.map((step, idx) => ({ ...step, id: operations[idx].id }));
+
+const handlers = {
+  // Builds the column store of a dataset and reports what the app shows about the data itself.
+  load: async ({ rows, schema }, task) => {
+    const store = await buildColumnStore(rows, schema, task);
+    const dataQuality = assessDataQuality(rows, schema);
+    const fieldValues = Object.fromEntries(Object.entries(store.dimensions).map(([key, { dictionary }]) => [
+      key,
+      sortMembers(schema, key, dictionary.filter(member => member !== undefined && member !== null && member !== '')),
+    ]));
+    const all = selectAll(store);
+    dataset = {
+      rows,
+      schema,
+      store,
+      all,
+      selections: new Map(),
+      selectionKeys: new WeakMap([[all, '']]),
+      views: new Map(),
+      cells: new Map(),
+      facts: null,
+    };
+    return { factCount: store.size, fieldValues, dataQuality };
+  },
+
+  // Evaluates a view: its axes, filters, rankings and step notes, and its cells. With `relateFrom` (the levels shown
+  // before), the cells are related to those shown before for the cube's transition, as by `relateCells`.
+  view: async ({ operations, aggregation, measure, measures = [], relateFrom = null }, task, data) => {
+    const view = resolveView(data, operations, aggregation);
+    const { axisMapping, filters, rankings } = view.pipeline;
+    await task.checkpoint(0, 'Aggregating');
+    const cellsKey = JSON.stringify([view.key, measure, measures]);
+    let cells = recall(data.cells, cellsKey);
+    if (!cells) {
+      // Plain measures are aggregated from the columns; calculated measures and limited rankings need the facts.
+      const fromColumns = !view.limited && [measure, ...measures].every(key => canAggregateColumns(data.schema, key));
+      cells = fromColumns
+        ? await aggregateSelection(data.store, view.selection, axisMapping, aggregation, { measure, measures }, task)
+        : aggregateCube(factsOf(data, view), axisMapping, aggregation, { measure, measures, schema: data.schema });
+      remember(data.cells, cellsKey, cells, MAX_CACHED_CELLS);
+    }
+    const levels = [...new Set([axisMapping.x, axisMapping.y, axisMapping.z].filter(Boolean))];
+    // Limited rankings change the facts (e.g. into "Others"); otherwise the selection is related from the columns.
+    const related = relateFrom && (view.limited
+      ? relateCells(view.facts, relateFrom, levels)
+      : relateSelection(data.store, view.selection, relateFrom, levels));
+    const relations = relateFrom ? { fromLevels: relateFrom, ...related } : null;
+    return {
+      axisMapping,
+      filters,
+      rankings,
+      steps: stepsOf(view, operations),
+      memberOrder: view.memberOrder,
+      cells,
+      relations,
+      factCount: view.selection.length,
+    };
+  },
+
+  // Builds the pivot table of a view, with the values of its first `limit` rows.
+  pivot: async ({ operations, aggregation, measure, rowLevels, columnLevels, sort = null, limit }, task, data) => {
+    const view = resolveView(data, operations, aggregation);
+    await task.checkpoint(0, 'Building the pivot table');
+    const table = buildPivotTable(factsOf(data, view), {
+      rowLevels,
+      columnLevels,
+      aggregation,
+      measure,
+      schema: data.schema,
+      memberOrder: view.memberOrder,
+      sort,
+    });
+    const rows = table.rows.slice(0, limit);
+    return {
+      rows,
+      columns: table.columns,
+      values: rows.map(row => table.columns.map(column => table.getValue(row, column))),
+      rowCount: table.rows.length,
+    };
+  },
+
+  // The details of one cell of a view, as from `describeCell`.
+  describeCell: async ({ operations, aggregation, cell }, task, data) => {
+    const view = resolveView(data, operations, aggregation);
+    return describeCell(factsOf(data, view), view.pipeline.axisMapping, cell, data.schema, aggregation);
+  },
+
+  // The XLSX report of a view, as from `buildReportSheets` and `createWorkbook`.
+  report: async ({ datasetName, operations, aggregation, measure, timeCalculation }, task, data) => {
+    const view = resolveView(data, operations, aggregation);
+    await task.checkpoint(0, 'Building the report');
+    return createWorkbook(buildReportSheets({
+      datasetName,
+      rawData: data.rows,
+      schema: data.schema,
+      facts: factsOf(data, view),
+      memberOrder: view.memberOrder,
+      operations,
+      steps: stepsOf(view, operations),
+      filters: view.pipeline.filters,
+      axisMapping: view.pipeline.axisMapping,
+      aggregation,
+      measure,
+      timeCalculation,
+    }));
+  },
+};
+
+// Requests are { id, type, payload }; a { type: 'cancel', id } message cancels one. Each request is answered with
+// { id, type: 'result', result }, 'error' (with a message) or 'cancelled', after any number of 'progress' messages.
+self.onmessage = async ({ data: message }) => {
+  if (message.type === 'cancel') {
+    if (running.has(message.id)) cancelled.add(message.id);
+    return;
+  }
+  const { id, type, payload } = message;
+  running.add(id);
+  try {
+    if (!handlers[type]) throw new Error(`Unknown request "${type}".`);
+    if (type !== 'load' && !dataset) throw new Error('No data is loaded yet.');
+    const result = await handlers[type](payload, createTask(id), dataset);
+    // A workbook's bytes are handed over rather than copied.
+    self.postMessage({ id, type: 'result', result }, result instanceof Uint8Array ? [result.buffer] : []);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      self.postMessage({ id, type: 'cancelled' });
+    } else {
+      self.postMessage({ id, type: 'error', message: error.message });
+    }
+  } finally {
+    running.delete(id);
+    cancelled.delete(id);
+  }
+};